@@ -0,0 +1,72 @@
+// Local certificate authority for the tests of the security profiles 2 and 3
+// Usage: node ca.js <command> [options], "node ca.js --help" to list the commands
+// The CA (ca.pem, ca.key) is kept in the --dir folder, the other files are written next to it
+const { parseArgs } = require('util');
+const fs = require('fs');
+const path = require('path');
+
+const USAGE = `Usage: node ca.js <command> [options]
+  init [name]               create the CA (its root certificate can be installed as CentralSystemRootCertificate
+                            or ManufacturerRootCertificate)
+  sign <csr file>           sign a certificate signing request (e.g. the csr of a SignCertificate),
+                            the certificate chain is written to stdout
+  server <host>             create the TLS certificate and key of a server (<host>.pem, <host>.key)
+  client <charge point id>  create the TLS client certificate and key of a charge point (<id>.pem, <id>.key)
+  -d, --dir <folder>        folder of the CA files (default .)
+      --days <n>            validity of the certificates (default 365)
+  -h, --help                show this help`;
+
+async function main() {
+  const { values: args, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      dir: { type: 'string', short: 'd', default: '.' },
+      days: { type: 'string', default: '365' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  const [cmd, arg] = positionals;
+  if (args.help || !cmd) {
+    console.log(USAGE);
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const pki = await import('./js/ocpp_pki.js');
+  const caCert = path.join(args.dir, 'ca.pem');
+  const caKey = path.join(args.dir, 'ca.key');
+  const options = { days: Number(args.days) };
+
+  if (cmd == 'init') {
+    const ca = await pki.LocalCA.create(arg || 'OCPP Simulator Local CA');
+    fs.writeFileSync(caCert, ca.certificate());
+    fs.writeFileSync(caKey, await ca.privateKey(), { mode: 0o600 });
+    console.log('CA written to ' + caCert + ' and ' + caKey);
+    return;
+  }
+  const ca = await pki.LocalCA.load(fs.readFileSync(caKey, 'utf8'), fs.readFileSync(caCert, 'utf8'));
+  switch (cmd) {
+    case 'sign':
+      process.stdout.write(await ca.sign(fs.readFileSync(arg, 'utf8'), options));
+      break;
+    case 'server':
+    case 'client':
+      if (!arg) {
+        throw new Error('Missing ' + (cmd == 'server' ? 'host' : 'charge point id'));
+      }
+      const keyPair = await pki.generateKeyPair();
+      const csr = await pki.createCsr(keyPair, { commonName: arg });
+      const chain = await ca.sign(csr, cmd == 'server' ? Object.assign({ dnsNames: [arg] }, options) : options);
+      fs.writeFileSync(path.join(args.dir, arg + '.pem'), chain);
+      fs.writeFileSync(path.join(args.dir, arg + '.key'), await pki.exportPrivateKey(keyPair.privateKey), { mode: 0o600 });
+      console.log('Certificate written to ' + path.join(args.dir, arg + '.pem') + ' and ' + path.join(args.dir, arg + '.key'));
+      break;
+    default:
+      console.log(USAGE);
+      process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,150 @@
+"use strict";
+/*global $ */
+
+import * as ocpp from './ocpp_constants.js'
+
+//
+// Admin page of the mock Central System of server.js (REST API under /api)
+//
+
+// refresh period of the tables (ms)
+const REFRESH_PERIOD = 2000;
+
+// payload proposed for each command
+const COMMAND_TEMPLATES = {
+    "RemoteStartTransaction": { "connectorId": 1, "idTag": "01234567" },
+    "RemoteStopTransaction": { "transactionId": 1 },
+    "Reset": { "type": ocpp.RESET_SOFT },
+    "ChangeAvailability": { "connectorId": 0, "type": ocpp.AVAILABITY_INOPERATIVE },
+    "TriggerMessage": { "requestedMessage": ocpp.STATUS_NOTIFICATION, "connectorId": 1 }
+};
+
+//
+// Call the REST API
+// @param method The HTTP method
+// @param path The path after /api/
+// @param body The JSON body, if any
+// @return a promise resolved with the decoded response (rejected with an Error giving the error of the API)
+//
+async function api(method, path, body) {
+    var init = { "method": method };
+    if (body !== undefined) {
+        init.headers = { "Content-Type": "application/json" };
+        init.body = JSON.stringify(body);
+    }
+    var res = await fetch("./api/" + path, init);
+    var result = await res.json();
+    if (!res.ok) {
+        throw new Error((result.errorCode ? result.errorCode + ": " : "") + result.error);
+    }
+    return result;
+}
+
+//
+// @param timestamp An ISO timestamp, null if none
+// @return the local time of the timestamp
+//
+function formatTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : "";
+}
+
+//
+// Fill the charge point table and the charge point list of the command
+// @param chargePoints The charge points given by the API
+//
+function fillChargePoints(chargePoints) {
+    var table = $('#chargepoints').empty();
+    for (const cp of chargePoints) {
+        var connectors = Object.keys(cp.connectors).map(c => c + ": " + cp.connectors[c].status).join(", ");
+        table.append($('<tr>').append(
+            $('<td>').text(cp.id),
+            $('<td>').text(cp.connected ? "Yes" : "No"),
+            $('<td>').text(cp.boot ? cp.boot.chargePointVendor + " " + cp.boot.chargePointModel : ""),
+            $('<td>').text(connectors),
+            $('<td>').text(formatTime(cp.lastSeen))));
+    }
+    var select = $('#command_cp');
+    var selected = select.val();
+    select.empty();
+    for (const cp of chargePoints.filter(cp => cp.connected)) {
+        select.append($('<option>').val(cp.id).text(cp.id));
+    }
+    if (selected && chargePoints.some(cp => cp.connected && cp.id == selected)) {
+        select.val(selected);
+    }
+}
+
+//
+// Fill the transaction table, the last transactions first
+// @param transactions The transactions given by the API
+//
+function fillTransactions(transactions) {
+    var table = $('#transactions').empty();
+    for (const t of transactions.slice().reverse()) {
+        table.append($('<tr>').append(
+            $('<td>').text(t.transactionId),
+            $('<td>').text(t.chargePointId),
+            $('<td>').text(t.connectorId),
+            $('<td>').text(t.idTag),
+            $('<td>').text(formatTime(t.startTime)),
+            $('<td>').text(formatTime(t.stopTime)),
+            $('<td>').text(t.meterStop !== null ? t.meterStop - t.meterStart : ""),
+            $('<td>').text(t.reason || "")));
+    }
+}
+
+//
+// Refresh the tables
+//
+async function refresh() {
+    try {
+        fillChargePoints(await api("GET", "chargepoints"));
+        fillTransactions(await api("GET", "transactions"));
+    }
+    catch (err) {
+        $('#command_result').text("Central System not reachable: " + err.message);
+    }
+}
+
+$(document).ready(function () {
+    for (const action of ocpp.CS_COMMANDS) {
+        $('#command_action').append($('<option>').val(action).text(action));
+    }
+    $('#command_action').on('change', function () {
+        $('#command_payload').val(JSON.stringify(COMMAND_TEMPLATES[$(this).val()] || {}, null, 2));
+    }).trigger('change');
+
+    $('#command_send').click(async function () {
+        var id = $('#command_cp').val();
+        var action = $('#command_action').val();
+        if (!id) {
+            $('#command_result').text("No charge point connected");
+            return;
+        }
+        try {
+            var payload = JSON.parse($('#command_payload').val() || "{}");
+            $('#command_result').text("Sending " + action + " to " + id + "...");
+            var result = await api("POST", "chargepoints/" + encodeURIComponent(id) + "/" + action, payload);
+            $('#command_result').text(action + ": " + JSON.stringify(result, null, 2));
+        }
+        catch (err) {
+            $('#command_result').text(action + " failed: " + err.message);
+        }
+        refresh();
+    });
+
+    api("GET", "tags").then(tags => $('#tags').val(tags.join("\n")));
+    $('#tags_save').click(async function () {
+        var tags = $('#tags').val().split("\n").map(t => t.trim()).filter(t => t);
+        try {
+            tags = await api("PUT", "tags", tags);
+            $('#tags_result').text(tags.length ? tags.length + " idTag(s) authorized" : "Every idTag authorized");
+        }
+        catch (err) {
+            $('#tags_result').text(err.message);
+        }
+    });
+
+    refresh();
+    setInterval(refresh, REFRESH_PERIOD);
+});
@@ -0,0 +1,104 @@
+"use strict";
+import * as ocpp from './ocpp_constants.js'
+import ChargePoint from './ocpp_chargepoint.js'
+import Storage, { MemoryStorage } from './ocpp_storage.js'
+import Fleet from './ocpp_fleet.js'
+
+//
+// Fleet tab of the simulator: many charge points in the same page
+//
+
+// each charge point keeps its whole state in memory, so that the stations of a fleet
+// neither collide nor leave keys in the local storage of the page
+var _fleet = new Fleet(function (id) {
+    var cp = new ChargePoint(Number($('#FLEET_CONNECTORS').val()), {
+        "storage": new Storage(new MemoryStorage(), new MemoryStorage(), "fleet." + id + ".")
+    });
+    cp.setValidationMode(ocpp.VALIDATION_OFF);
+    return cp;
+});
+
+// charge points to redraw at the next refresh
+var _dirty = new Set();
+
+function logMsg(msg) {
+    console.log(msg);
+    var html_console = $('#console');
+    html_console.append("&#10;" + msg);
+    html_console.scrollTop(html_console.get(0).scrollHeight);
+}
+
+//
+// @return the table cells of a charge point
+//
+function stationCells(id, cp) {
+    var connectors = cp.connectors().map(function (conn) {
+        var s = conn.id() + ": " + conn.status();
+        if (conn.hasTransaction()) {
+            s += " (transaction " + conn.transactionId() + ")";
+        }
+        return s;
+    });
+    return [id, cp.status(), connectors.join(", "), String(cp.queue().length())];
+}
+
+//
+// Create one table row per charge point of the fleet
+//
+function fillStations() {
+    var tbody = $('#fleet_stations');
+    tbody.empty();
+    for (const id of _fleet.chargePoints().keys()) {
+        var row = $('<tr>').attr('data-station', id);
+        for (var i = 0; i < 4; i++) {
+            row.append($('<td>'));
+        }
+        tbody.append(row);
+        _dirty.add(id);
+    }
+}
+
+//
+// Redraw the charge points which changed and the statistics
+//
+function refresh() {
+    for (const id of _dirty) {
+        var cp = _fleet.chargePoints().get(id);
+        if (cp) {
+            var cells = stationCells(id, cp);
+            $('#fleet_stations tr[data-station="' + $.escapeSelector(id) + '"] td').each(function (i) {
+                $(this).text(cells[i]);
+            });
+        }
+    }
+    _dirty.clear();
+    var s = _fleet.stats();
+    $('#fleet_stats').text(s.registered + "/" + s.stations + " registered, " + s.inTransaction + " charging - " +
+        "sent " + s.sent + " (" + s.sendRate.toFixed(1) + "/s), received " + s.received + " (" +
+        s.receiveRate.toFixed(1) + "/s), " + s.errors + " CALLERROR - response time avg " +
+        s.latency.avg.toFixed(0) + "ms, p95 " + s.latency.p95 + "ms, max " + s.latency.max + "ms");
+}
+
+$(document).ready(function () {
+    _fleet.setLoggingCallback(logMsg);
+    _fleet.setChangeCallback(id => _dirty.add(id));
+
+    $('#fleet_start').click(function () {
+        _fleet.start($('#WSURL').val(), $('#FLEET_IDS').val(), Number($('#FLEET_STAGGER').val()));
+        fillStations();
+    });
+
+    $('#fleet_stop').click(function () {
+        _fleet.stop();
+    });
+
+    $('#fleet_charge').click(function () {
+        _fleet.startCharging($('#TAG').val());
+    });
+
+    $('#fleet_uncharge').click(function () {
+        _fleet.stopCharging();
+    });
+
+    setInterval(refresh, 1000);
+});
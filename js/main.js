@@ -3,6 +3,8 @@
 
 import ChargePoint from './ocpp_chargepoint.js';
 import * as ocpp from './ocpp_constants.js'
+import { parseCertificate } from './ocpp_pki.js'
+import TraceReplay, { loadSession, formatReport } from './ocpp_replay.js'
 
 //
 // CONST definitions
@@ -12,9 +14,30 @@ import * as ocpp from './ocpp_constants.js'
 const WSURL = 'WSURL';
 const CPID  = 'CPID';
 const TAGID = 'TAG';
+const CONNECTORS = 'CONNECTORS';
+const MAX_POWER = 'MAX_POWER';
+const PHASES = 'PHASES';
+const VOLTAGE = 'VOLTAGE';
+const BATTERY_CAPACITY = 'BATTERY_CAPACITY';
+const INITIAL_SOC = 'INITIAL_SOC';
+const VALIDATION = 'VALIDATION';
+const OCPP_VERSION = 'OCPP';
+const RECONNECT = 'RECONNECT';
+const RECONNECT_DELAY = 'RECONNECT_DELAY';
+const RECONNECT_MAX_DELAY = 'RECONNECT_MAX_DELAY';
+const FIRMWARE_DOWNLOAD = 'FIRMWARE_DOWNLOAD';
+const FIRMWARE_INSTALL = 'FIRMWARE_INSTALL';
+const MAINTENANCE_FAILURE = 'MAINTENANCE_FAILURE';
+const REBOOT_DELAY = 'REBOOT_DELAY';
+
+// rows of the Messages tab (the most recent messages matching the filter)
+const TRACE_ROWS = 200;
 
 // the charge point
-var _cp = new ChargePoint();
+var _cp = new ChargePoint(Number(getKey(CONNECTORS)));
+
+// replay of a recorded session, null if none was started
+var _replay = null;
 
 
 // Log message to the JS Console and into the Log TextArea 
@@ -37,7 +60,7 @@ function keyDefaultValue(key) {
     var v=""
     switch(key) {
         case WSURL:
-            v="ws://localhost:8080/steve/websocket/CentralSystemService/";
+            v="ws://localhost:3000/ocpp/";
             break;
         case CPID:
             v='CP01';
@@ -45,6 +68,51 @@ function keyDefaultValue(key) {
         case TAGID:
             v='DEADBEEF';
             break;
+        case CONNECTORS:
+            v=String(ocpp.DEFAULT_CONNECTOR_COUNT);
+            break;
+        case MAX_POWER:
+            v=String(ocpp.DEFAULT_METER_SETTINGS.maxPower);
+            break;
+        case PHASES:
+            v=String(ocpp.DEFAULT_METER_SETTINGS.phases);
+            break;
+        case VOLTAGE:
+            v=String(ocpp.DEFAULT_METER_SETTINGS.voltage);
+            break;
+        case BATTERY_CAPACITY:
+            v=String(ocpp.DEFAULT_METER_SETTINGS.batteryCapacity);
+            break;
+        case INITIAL_SOC:
+            v=String(ocpp.DEFAULT_METER_SETTINGS.initialSoC);
+            break;
+        case VALIDATION:
+            v=ocpp.VALIDATION_WARN;
+            break;
+        case OCPP_VERSION:
+            v=ocpp.OCPP16;
+            break;
+        case RECONNECT:
+            v=ocpp.DEFAULT_RECONNECT_SETTINGS.enabled ? "on" : "off";
+            break;
+        case RECONNECT_DELAY:
+            v=String(ocpp.DEFAULT_RECONNECT_SETTINGS.initialDelay);
+            break;
+        case RECONNECT_MAX_DELAY:
+            v=String(ocpp.DEFAULT_RECONNECT_SETTINGS.maxDelay);
+            break;
+        case FIRMWARE_DOWNLOAD:
+            v=String(ocpp.DEFAULT_MAINTENANCE_SETTINGS.downloadSeconds);
+            break;
+        case FIRMWARE_INSTALL:
+            v=String(ocpp.DEFAULT_MAINTENANCE_SETTINGS.installSeconds);
+            break;
+        case MAINTENANCE_FAILURE:
+            v=ocpp.DEFAULT_MAINTENANCE_SETTINGS.failure;
+            break;
+        case REBOOT_DELAY:
+            v=String(ocpp.DEFAULT_MAINTENANCE_SETTINGS.rebootSeconds);
+            break;
     }
     return v
 }
@@ -67,12 +135,9 @@ function statusChangeCb(s,msg) {
             $('#connect').show();
             $('#disconnect').hide();
             $('#send').hide();
-            $('#start').hide();
-            $('#stop').hide();
             $('#heartbeat').hide();
-            $('#mv').hide();
             $('#status0').hide();
-            $('#status1').hide();
+            $('.conn-action').hide();
             $('#data_transfer').hide();
             break;
 
@@ -87,12 +152,9 @@ function statusChangeCb(s,msg) {
             $('#connect').hide();
             $('#disconnect').show();
             $('#send').show();
-            $('#start').show();
-            $('#stop').show();
             $('#heartbeat').show();
-            $('#mv').show();
             $('#status0').show();
-            $('#status1').show();
+            $('.conn-action').show();
             // RFU $('#data_transfer').show();
             break;
 
@@ -128,6 +190,278 @@ function availabilityChangeCb(c,s) {
     $(dom_id).val(_cp.connectorStatus(c));
 }
 
+function connectorStatusChangeCb(c,s) {
+    $("#STATUS_CON"+c).val(s);
+}
+
+function transactionChangeCb(c,transactionId) {
+    var badge = $("#transaction"+c);
+    if (transactionId === null) {
+        badge.text("None");
+        badge.removeClass("badge-primary").addClass("badge-light");
+    }
+    else {
+        badge.text("Id " + transactionId);
+        badge.removeClass("badge-light").addClass("badge-primary");
+    }
+}
+
+function queueChangeCb(length) {
+    $("#queue_length").text(length);
+}
+
+function configurationChangeCb(key,value) {
+    $("#config_" + key).val(value);
+}
+
+//
+// Fill the configuration tab with one row per configuration key
+//
+function fillConfigurationTab() {
+    var cfg = _cp.configuration();
+    for (const def of cfg.definitions()) {
+        var row = $('<tr>');
+        var input = $('<input class="form-control form-control-sm">')
+            .attr('type', def.writeonly ? 'password' : 'text')
+            .attr('id', 'config_' + def.key)
+            .val(cfg.get(def.key))
+            .prop('disabled', def.readonly === true);
+        var save = $('<button type="button" class="btn btn-sm btn-primary">Save</button>')
+            .prop('disabled', def.readonly === true);
+        save.click(function () {
+            var status = cfg.set(def.key, $('#config_' + def.key).val());
+            logMsg("Configuration " + def.key + ": " + status);
+            $('#config_' + def.key).val(cfg.get(def.key));
+        });
+        row.append($('<td>').text(def.key), $('<td>').append(input), $('<td>').append(save));
+        $('#config_keys').append(row);
+    }
+}
+
+//
+// Fill the authorization tab with the local list and the authorization cache
+//
+function fillAuthorizationTab() {
+    var auth = _cp.authorization();
+    $('#local_list_version').text(auth.listVersion());
+    for (const [tbody, tags] of [['#local_list', auth.localList()], ['#auth_cache', auth.cache()]]) {
+        $(tbody).empty();
+        for (const idTag of Object.keys(tags)) {
+            var info = tags[idTag];
+            $(tbody).append($('<tr>').append(
+                $('<td>').text(idTag),
+                $('<td>').text(info.status),
+                $('<td>').text(info.expiryDate || ""),
+                $('<td>').text(info.parentIdTag || "")));
+        }
+    }
+}
+
+//
+// Fill the faults tab with the fault injection profile
+//
+function fillFaultsTab() {
+    var faults = _cp.faults();
+    $('#fault_list').empty();
+    faults.faults().forEach(function (fault, index) {
+        var parameter = ocpp.FAULT_PARAMETERS[fault.type];
+        var enabled = $('<input type="checkbox">').prop('checked', fault.enabled !== false);
+        enabled.change(function () {
+            faults.enableFault(index, enabled.is(':checked'));
+        });
+        var remove = $('<button type="button" class="btn btn-sm btn-secondary">Remove</button>');
+        remove.click(function () {
+            faults.removeFault(index);
+        });
+        $('#fault_list').append($('<tr>').append(
+            $('<td>').append(enabled),
+            $('<td>').text(fault.action),
+            $('<td>').text(fault.type),
+            $('<td>').text(parameter && fault[parameter] !== undefined ? parameter + "=" + fault[parameter] : ""),
+            $('<td>').append(remove)));
+    });
+}
+
+//
+// @return the filter of the Messages tab {action, connectorId}
+//
+function traceFilter() {
+    return { "action": $('#trace_action').val(), "connectorId": $('#trace_connector').val() };
+}
+
+//
+// Fill the Messages tab with the trace, most recent message first
+//
+function fillMessagesTab() {
+    var trace = _cp.trace();
+    var action = $('#trace_action').val();
+    $('#trace_action').empty().append($('<option>').val("").text("All actions"));
+    for (const a of trace.actions()) {
+        $('#trace_action').append($('<option>').val(a).text(a));
+    }
+    $('#trace_action').val(action);
+    $('#trace_list').empty();
+    for (const r of trace.filter(traceFilter()).slice(-TRACE_ROWS).reverse()) {
+        var payload = r.raw !== undefined ? r.raw : JSON.stringify(r.payload);
+        if (r.errorCode) {
+            payload = r.errorCode + " " + (r.errorDescription || "") + " " + payload;
+        }
+        $('#trace_list').append($('<tr>').append(
+            $('<td>').text(r.timestamp.substring(11, 23)).attr('title', r.timestamp),
+            $('<td>').text(r.direction == ocpp.TRACE_SEND ? "\u2192" : "\u2190").attr('title', r.direction),
+            $('<td>').text(r.messageType),
+            $('<td>').text(r.action || ""),
+            $('<td>').text(r.connectorId === null ? "" : r.connectorId),
+            $('<td>').text(r.latency !== undefined ? r.latency : ""),
+            $('<td>').append($('<code>').text(payload.length > 80 ? payload.substring(0, 80) + "..." : payload)
+                .attr('title', payload))));
+    }
+}
+
+//
+// Download a text as a file
+// @param text The content of the file
+// @param name The name of the file
+// @param type The MIME type of the file
+//
+function download(text, name, type) {
+    var link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { "type": type }));
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+//
+// Fill the security tab with the installed certificates
+//
+function fillSecurityTab() {
+    var certificates = _cp.certificates();
+    $('#installed_certificates').empty();
+    for (const installed of certificates.installed()) {
+        var cert = parseCertificate(installed.certificate);
+        $('#installed_certificates').append($('<tr>').append(
+            $('<td>').text(installed.certificateType),
+            $('<td>').text(cert.subject.commonName || ""),
+            $('<td>').text(cert.serialNumber),
+            $('<td>').text(cert.notAfter.toISOString())));
+    }
+    var chain = certificates.chargePointCertificate();
+    if (chain) {
+        var cpCert = parseCertificate(chain);
+        $('#cp_certificate').text(cpCert.subject.commonName + ", issued by " + cpCert.issuer.commonName +
+            ", valid until " + cpCert.notAfter.toISOString());
+    }
+    else {
+        $('#cp_certificate').text("none");
+    }
+}
+
+//
+// Refresh the simulated meter readings of a connector
+// (leaving the meter value alone while the user is editing it)
+// @param c connectorId
+//
+function refreshMeter(c) {
+    var input = $("#metervalue"+c);
+    if (!input.is(":focus")) {
+        input.val(_cp.meterValue(c));
+    }
+    var meter = _cp.meter(c);
+    var limit = meter.powerLimit();
+    $("#power"+c).text(Math.round(meter.power()) + " W" + (limit === null ? "" : " (limited to " + Math.round(limit) + " W)") +
+        ", SoC " + Math.round(meter.soc()) + " %");
+}
+
+//
+// Create the tab of a connector from the connector template
+// and attach callbacks to its buttons
+// @param c connectorId
+//
+function addConnectorTab(c) {
+    $('#navconfig').before('<li class="nav-item"><a class="nav-link" href="#tabcon' + c + '" data-toggle="tab">Connector ' + c + '</a></li>');
+    var pane = $($('#connector_template').html());
+    pane.attr('id', 'tabcon' + c);
+    pane.find('[data-id]').each(function () {
+        $(this).attr('id', $(this).data('id') + c);
+    });
+    pane.find('[data-for]').each(function () {
+        $(this).attr('for', $(this).data('for') + c);
+    });
+    $('#tabcpsim').before(pane);
+
+    $("#metervalue"+c).val(_cp.meterValue(c));
+    $("#STATUS_CON"+c).val(_cp.connectorStatus(c));
+    $("#AVAILABILITY_CON"+c).val(_cp.availability(c));
+    transactionChangeCb(c, _cp.connector(c).transactionId());
+
+    $('#start'+c).click(function () {
+        _cp.startTransaction($("#TAG").val(),c);
+    });
+
+    $('#stop'+c).click(function () {
+        _cp.stopTransaction($("#TAG").val(),c);
+    });
+
+    $('#mv'+c).click(function () {
+        _cp.sendMeterValue(c);
+    });
+
+    $("#metervalue"+c).change(function(){
+        _cp.setMeterValue(c,parseInt($("#metervalue"+c).val()),false);
+    });
+
+    $("#mvplus"+c).click(function(){
+        var meter = $("#metervalue"+c).val();
+        meter = parseInt(meter) + 10;
+        $("#metervalue"+c).val(meter); 
+        _cp.setMeterValue(c,meter,false);
+    });
+
+    $('#STATUS_CON'+c).change(function () {
+        if (!_cp.setConnectorStatus(c,$("#STATUS_CON"+c).val())) {
+            $("#STATUS_CON"+c).val(_cp.connectorStatus(c));
+        }
+    });
+    $('#status'+c).click(function () {
+        _cp.sendStatusNotification(c);
+    });
+
+    for (const code of ocpp.ERROR_CODES) {
+        if (code != ocpp.NO_ERROR) {
+            $("#ERROR_CON"+c).append($('<option>').val(code).text(code));
+        }
+    }
+    $('#fault'+c).click(function () {
+        _cp.setConnectorFault(c,$("#ERROR_CON"+c).val(),$("#ERROR_INFO_CON"+c).val());
+    });
+    $('#clearfault'+c).click(function () {
+        _cp.clearConnectorFault(c);
+    });
+
+    // Charging session scenario
+    $('#plug'+c).click(function () {
+        _cp.plugIn(c);
+    });
+    $('#authstart'+c).click(function () {
+        _cp.authorizeAndStart(c,$("#TAG").val()).catch(function (err) {
+            logMsg(err.message);
+        });
+    });
+    $('#unplug'+c).click(function () {
+        _cp.unplug(c);
+    });
+    $('#suspendev'+c).click(function () {
+        _cp.suspendCharging(c,ocpp.CONN_SUSPENDED_EV);
+    });
+    $('#suspendevse'+c).click(function () {
+        _cp.suspendCharging(c,ocpp.CONN_SUSPENDED_EVSE);
+    });
+    $('#resume'+c).click(function () {
+        _cp.suspendCharging(c,ocpp.CONN_CHARGING);
+    });
+}
+
 //
 // Entry point of the simulator
 // (attach callbacks to each button and wait for user action)
@@ -137,15 +471,87 @@ $( document ).ready(function() {
     _cp.setLoggingCallback(logMsg);
     _cp.setStatusChangeCallback(statusChangeCb);
     _cp.setAvailabilityChangeCallback(availabilityChangeCb);
+    _cp.setConnectorStatusChangeCallback(connectorStatusChangeCb);
+    _cp.setTransactionChangeCallback(transactionChangeCb);
+    _cp.setConfigurationChangeCallback(configurationChangeCb);
+    _cp.queue().setChangeCallback(queueChangeCb);
+    queueChangeCb(_cp.queue().length());
+    fillConfigurationTab();
+    _cp.authorization().setChangeCallback(fillAuthorizationTab);
+    fillAuthorizationTab();
+    for (const action of [ocpp.FAULT_ALL_ACTIONS].concat(ocpp.OCPP16_ACTIONS)) {
+        $('#fault_action').append($('<option>').val(action).text(action));
+    }
+    for (const type of ocpp.FAULT_TYPES) {
+        $('#fault_type').append($('<option>').val(type).text(type));
+    }
+    _cp.faults().setChangeCallback(fillFaultsTab);
+    fillFaultsTab();
+    for (const type of ocpp.SECURITY_EVENTS) {
+        $('#security_event').append($('<option>').val(type).text(type));
+    }
+    _cp.certificates().setChangeCallback(fillSecurityTab);
+    fillSecurityTab();
+    for (var c = 0; c <= _cp.connectorCount(); c++) {
+        $('#trace_connector').append($('<option>').val(c).text("Connector " + c));
+    }
+    _cp.trace().setChangeCallback(fillMessagesTab);
+    fillMessagesTab();
+    // the trace is only written periodically: keep the last messages on a reload
+    $(window).on('pagehide', () => _cp.trace().save());
+    for (var c = 1; c <= _cp.connectorCount(); c++) {
+        addConnectorTab(c);
+    }
     _cp.setStatus(ocpp.CP_DISCONNECTED);
+    _cp.setValidationMode(getKey(VALIDATION));
+    _cp.setProtocolVersion(getKey(OCPP_VERSION));
+    _cp.validator().loadSchemas(function (name) {
+        return fetch('json/' + name + '.txt').then(r => r.json());
+    });
+    _cp.setMeterSettings({
+        "maxPower": Number(getKey(MAX_POWER)),
+        "phases": Number(getKey(PHASES)),
+        "voltage": Number(getKey(VOLTAGE)),
+        "batteryCapacity": Number(getKey(BATTERY_CAPACITY)),
+        "initialSoC": Number(getKey(INITIAL_SOC))
+    });
+    _cp.setReconnectSettings({
+        "enabled": getKey(RECONNECT) == "on",
+        "initialDelay": Number(getKey(RECONNECT_DELAY)),
+        "maxDelay": Number(getKey(RECONNECT_MAX_DELAY))
+    });
+    _cp.setMaintenanceSettings({
+        "downloadSeconds": Number(getKey(FIRMWARE_DOWNLOAD)),
+        "installSeconds": Number(getKey(FIRMWARE_INSTALL)),
+        "rebootSeconds": Number(getKey(REBOOT_DELAY)),
+        "failure": getKey(MAINTENANCE_FAILURE)
+    });
+    setInterval(function () {
+        for (var c = 1; c <= _cp.connectorCount(); c++) {
+            refreshMeter(c);
+        }
+    }, 1000);
 
     // Init the setting form
     $('#WSURL').val(getKey(WSURL))
     $('#CPID').val(getKey(CPID))
     $('#TAG').val(getKey(TAGID))
-    $("#metervalue").val(_cp.meterValue());
+    $('#CONNECTORS').val(getKey(CONNECTORS))
+    $('#MAX_POWER').val(getKey(MAX_POWER))
+    $('#PHASES').val(getKey(PHASES))
+    $('#VOLTAGE').val(getKey(VOLTAGE))
+    $('#BATTERY_CAPACITY').val(getKey(BATTERY_CAPACITY))
+    $('#INITIAL_SOC').val(getKey(INITIAL_SOC))
+    $('#VALIDATION').val(getKey(VALIDATION))
+    $('#OCPP').val(getKey(OCPP_VERSION))
+    $('#RECONNECT').val(getKey(RECONNECT))
+    $('#RECONNECT_DELAY').val(getKey(RECONNECT_DELAY))
+    $('#RECONNECT_MAX_DELAY').val(getKey(RECONNECT_MAX_DELAY))
+    $('#FIRMWARE_DOWNLOAD').val(getKey(FIRMWARE_DOWNLOAD))
+    $('#FIRMWARE_INSTALL').val(getKey(FIRMWARE_INSTALL))
+    $('#MAINTENANCE_FAILURE').val(getKey(MAINTENANCE_FAILURE))
+    $('#REBOOT_DELAY').val(getKey(REBOOT_DELAY))
     availabilityChangeCb(0,_cp.availability(0));
-    availabilityChangeCb(1,_cp.availability(1));
 
     // Define settings call back
     $('#cpparams').submit(function(e) {
@@ -169,43 +575,115 @@ $( document ).ready(function() {
         _cp.authorize($("#TAG").val());
     });
 
-    $('#start').click(function () {
-        _cp.setMeterValue($("#metervalue").val(),false);
-        _cp.startTransaction($("#TAG").val());
+    $('#clear_cache').click(function () {
+        _cp.authorization().clearCache();
     });
 
-    $('#stop').click(function () {
-        _cp.setMeterValue($("#metervalue").val(),false);
-        _cp.stopTransaction($("#TAG").val());
+    $('#fault_add').click(function () {
+        var fault = { "action": $('#fault_action').val(), "type": $('#fault_type').val() };
+        var parameter = ocpp.FAULT_PARAMETERS[fault.type];
+        var value = $('#fault_parameter').val();
+        if (parameter && value !== "") {
+            fault[parameter] = parameter == "errorCode" ? value : Number(value);
+        }
+        _cp.faults().addFault(fault);
     });
 
-    $('#mv').click(function () {
-        _cp.sendMeterValue();
+    $('#fault_export').click(function () {
+        download(_cp.faults().exportProfile(), 'faults.json', "application/json");
     });
 
-    $("#mvplus").click(function(){
-        var meter = $("#metervalue").val();
-        meter = parseInt(meter) + 10;
-        $("#metervalue").val(meter); 
-        _cp.setMeterValue(meter,false);
+    $('#fault_import').change(function (e) {
+        var file = e.target.files[0];
+        if (file) {
+            file.text().then(function (text) {
+                _cp.faults().importProfile(text);
+                logMsg("Fault profile " + file.name + " imported");
+            }).catch(function (err) {
+                logMsg("Cannot import " + file.name + ": " + err.message);
+            });
+        }
     });
 
+    $('#trace_action, #trace_connector').change(fillMessagesTab);
+
+    $('#trace_clear').click(function () {
+        _cp.trace().clear();
+    });
+
+    $('#trace_export_jsonl').click(function () {
+        var records = _cp.trace().filter(traceFilter());
+        download(_cp.trace().export(ocpp.TRACE_FORMAT_JSONL, records), 'ocpp_trace.jsonl', "application/x-ndjson");
+    });
+
+    $('#trace_export_har').click(function () {
+        var records = _cp.trace().filter(traceFilter());
+        download(_cp.trace().export(ocpp.TRACE_FORMAT_HAR, records), 'ocpp_trace.har', "application/json");
+    });
+
+    $('#trace_import').change(function (e) {
+        var file = e.target.files[0];
+        if (file) {
+            file.text().then(function (text) {
+                var count = _cp.trace().importTrace(text);
+                logMsg("Message trace " + file.name + " imported (" + count + " messages)");
+            }).catch(function (err) {
+                logMsg("Cannot import " + file.name + ": " + err.message);
+            });
+        }
+    });
+
+    $('#replay_start').click(function () {
+        var file = $('#replay_file')[0].files[0];
+        if (!file) {
+            logMsg("Choose the recorded session to replay");
+            return;
+        }
+        if (_replay && _replay.running()) {
+            logMsg("A replay is already running");
+            return;
+        }
+        file.text().then(function (text) {
+            var records = loadSession(text);
+            _replay = new TraceReplay(_cp, getKey(WSURL), getKey(CPID));
+            _replay.setLoggingCallback(logMsg);
+            return _replay.run(records, Number($('#replay_speed').val()));
+        }).then(function (report) {
+            formatReport(report).split("\n").forEach(logMsg);
+        }).catch(function (err) {
+            logMsg("Cannot replay " + file.name + ": " + err.message);
+        });
+    });
+
+    $('#replay_stop').click(function () {
+        if (_replay) {
+            _replay.stop();
+        }
+    });
+
+    $('#sign_certificate').click(function () {
+        _cp.signCertificate();
+    });
+
+    $('#send_security_event').click(function () {
+        _cp.sendSecurityEvent($('#security_event').val(), $('#security_event_info').val());
+    });
+
+    $('#clear_queue').click(function () {
+        _cp.queue().clear();
+    });
 
     $('#heartbeat').click(function () {
         _cp.sendHeartbeat();
     });
 
-    $('#CP0_STATUS').change(function () {
-        _cp.setConnectorStatus(0,$("#STATUS_CON0").val(),false);
-    });
-    $('#CP1_STATUS').change(function () {
-        _cp.setConnectorStatus(1,$("#STATUS_CON1").val(),false);
+    $('#STATUS_CON0').change(function () {
+        if (!_cp.setConnectorStatus(0,$("#STATUS_CON0").val())) {
+            $("#STATUS_CON0").val(_cp.connectorStatus(0));
+        }
     });
     $('#status0').click(function () {
-        _cp.setConnectorStatus(0,$("#STATUS_CON0").val(),true);
-    });
-    $('#status1').click(function () {
-        _cp.setConnectorStatus(1,$("#STATUS_CON1").val(),true);
+        _cp.sendStatusNotification(0);
     });
     $('#REMOTE_START_DELAY').change(function () {
         _cp._remoteStartDelaySeconds = $("#REMOTE_START_DELAY").val();
@@ -213,14 +691,11 @@ $( document ).ready(function() {
 
     $('#data_transfer').click(function () {
         /*
-        setLastAction("DataTransfer");
-        var id=generateId();
-        var DT = JSON.stringify([2,id, "DataTransfer", {
+        _cp.call("DataTransfer", {
             "vendorId": "rus.avt.cp",
             "messageId": "GetChargeInstruction",
             "data": ""
-        }]);
-        wsSendData(DT);
+        });
         */
     });
 
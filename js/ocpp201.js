@@ -0,0 +1,173 @@
+"use strict";
+import * as ocpp from './ocpp_constants.js'
+
+//
+// Helpers of the OCPP 2.0.1 protocol layer
+// The charge point keeps its OCPP 1.6 model (connectors, statuses, meter readings, idTags),
+// the messages being translated to their OCPP 2.0.1 shape when the charge point speaks 2.0.1
+// Each connector of the simulator is an EVSE with a single connector (evseId = connectorId)
+//
+
+//
+// @param payload The OCPP 1.6 BootNotification.req payload
+// @param reason The reason of the boot (PowerUp, RemoteReset...)
+// @return the OCPP 2.0.1 BootNotificationRequest payload
+//
+export function bootNotification(payload, reason = ocpp.BOOT_POWER_UP) {
+    var station = {
+        "model": payload.chargePointModel,
+        "vendorName": payload.chargePointVendor,
+        "serialNumber": payload.chargePointSerialNumber,
+        "firmwareVersion": payload.firmwareVersion
+    };
+    return { "reason": reason, "chargingStation": station };
+}
+
+//
+// @param status An OCPP 1.6 connector status
+// @return the OCPP 2.0.1 connector status (the statuses of an EV being plugged in are all Occupied)
+//
+export function connectorStatus(status) {
+    switch (status) {
+        case ocpp.CONN_AVAILABLE:
+            return ocpp.CONNECTOR_AVAILABLE;
+        case ocpp.CONN_RESERVED:
+            return ocpp.CONNECTOR_RESERVED;
+        case ocpp.CONN_UNAVAILABLE:
+            return ocpp.CONNECTOR_UNAVAILABLE;
+        case ocpp.CONN_FAULTED:
+            return ocpp.CONNECTOR_FAULTED;
+        default:
+            return ocpp.CONNECTOR_OCCUPIED;
+    }
+}
+
+//
+// @param status An OCPP 1.6 connector status
+// @return the charging state of the transaction running on the connector (TransactionEvent chargingState)
+//
+export function chargingState(status) {
+    switch (status) {
+        case ocpp.CONN_CHARGING:
+            return ocpp.CHARGING_STATE_CHARGING;
+        case ocpp.CONN_SUSPENDED_EV:
+            return ocpp.CHARGING_STATE_SUSPENDED_EV;
+        case ocpp.CONN_SUSPENDED_EVSE:
+            return ocpp.CHARGING_STATE_SUSPENDED_EVSE;
+        case ocpp.CONN_PREPARING:
+        case ocpp.CONN_FINISHING:
+            return ocpp.CHARGING_STATE_EV_CONNECTED;
+        default:
+            return ocpp.CHARGING_STATE_IDLE;
+    }
+}
+
+//
+// @param tagId An idTag
+// @return the OCPP 2.0.1 IdTokenType of the tag
+//
+export function idToken(tagId) {
+    return { "idToken": tagId, "type": ocpp.ID_TOKEN_ISO14443 };
+}
+
+//
+// @param idTokenInfo An OCPP 2.0.1 IdTokenInfoType
+// @return the matching OCPP 1.6 idTagInfo ({status, expiryDate, parentIdTag}), null if none
+//
+export function idTagInfo(idTokenInfo) {
+    if (!idTokenInfo) {
+        return null;
+    }
+    var info = { "status": idTokenInfo.status };
+    if (idTokenInfo.cacheExpiryDateTime) {
+        info["expiryDate"] = idTokenInfo.cacheExpiryDateTime;
+    }
+    if (idTokenInfo.groupIdToken) {
+        info["parentIdTag"] = idTokenInfo.groupIdToken.idToken;
+    }
+    return info;
+}
+
+//
+// @param sampledValue An OCPP 1.6 sampledValue (value as a string, unit)
+// @return the OCPP 2.0.1 SampledValueType (value as a number, unitOfMeasure)
+//
+export function sampledValue(sampledValue) {
+    var sv = { "value": Number(sampledValue.value) };
+    for (const field of ["context", "measurand", "phase", "location"]) {
+        if (sampledValue[field] !== undefined) {
+            sv[field] = sampledValue[field];
+        }
+    }
+    if (sampledValue.unit !== undefined) {
+        sv["unitOfMeasure"] = { "unit": sampledValue.unit };
+    }
+    return sv;
+}
+
+//
+// @param meterValue An OCPP 1.6 MeterValue ({timestamp, sampledValue})
+// @return the OCPP 2.0.1 MeterValueType
+//
+export function meterValue(meterValue) {
+    return {
+        "timestamp": meterValue.timestamp,
+        "sampledValue": meterValue.sampledValue.map(sampledValue)
+    };
+}
+
+//
+// @param context The context of a meter reading (Sample.Periodic, Sample.Clock or Trigger)
+// @return the triggerReason of the TransactionEvent carrying the reading
+//
+export function meterValueTriggerReason(context) {
+    switch (context) {
+        case ocpp.CONTEXT_CLOCK:
+            return ocpp.TRIGGER_METER_VALUE_CLOCK;
+        case ocpp.CONTEXT_TRIGGER:
+            return ocpp.TRIGGER_TRIGGER;
+        default:
+            return ocpp.TRIGGER_METER_VALUE_PERIODIC;
+    }
+}
+
+//
+// @param reason The OCPP 1.6 reason of a StopTransaction (empty for a local stop)
+// @return the OCPP 2.0.1 stoppedReason of the transaction
+//
+export function stoppedReason(reason) {
+    switch (reason) {
+        case ocpp.REASON_SOFT_RESET:
+        case ocpp.REASON_HARD_RESET:
+            return ocpp.REASON_IMMEDIATE_RESET;
+        case "":
+        case ocpp.REASON_LOCAL:
+            return ocpp.REASON_LOCAL;
+        case ocpp.REASON_UNLOCK_COMMAND:
+            return ocpp.REASON_OTHER;
+        default:
+            // same name in both versions (EVDisconnected, Remote, DeAuthorized, PowerLoss...)
+            return reason;
+    }
+}
+
+//
+// @param reason The OCPP 1.6 reason of a StopTransaction (empty for a local stop)
+// @return the triggerReason of the TransactionEvent ending the transaction
+//
+export function stopTriggerReason(reason) {
+    switch (reason) {
+        case ocpp.REASON_REMOTE:
+            return ocpp.TRIGGER_REMOTE_STOP;
+        case ocpp.REASON_EV_DISCONNECTED:
+            return ocpp.TRIGGER_EV_COMMUNICATION_LOST;
+        case ocpp.REASON_SOFT_RESET:
+        case ocpp.REASON_HARD_RESET:
+            return ocpp.TRIGGER_RESET_COMMAND;
+        case "":
+        case ocpp.REASON_LOCAL:
+            return ocpp.TRIGGER_STOP_AUTHORIZED;
+        default:
+            return ocpp.TRIGGER_ABNORMAL_CONDITION;
+    }
+}
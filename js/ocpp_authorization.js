@@ -0,0 +1,163 @@
+"use strict";
+import * as ocpp from './ocpp_constants.js'
+import Storage from './ocpp_storage.js'
+
+//
+// Local authorization of the idTags (OCPP 1.6 section 3.5):
+// the Local Authorization List managed by the server (SendLocalList) and the
+// Authorization Cache filled with the idTagInfo of the server responses
+// Both are kept in local storage as {idTag: idTagInfo} objects
+//
+export default class LocalAuthorization {
+
+    //
+    // Constructor
+    // @param storage The storage of the list and of the cache
+    //
+    constructor(storage = new Storage()) {
+        this._storage = storage;
+        this._changeCb = null;
+    }
+
+    //
+    // Set the change callback, triggered when the list or the cache changes
+    // @param A callback function without argument
+    //
+    setChangeCallback(cb) {
+        this._changeCb = cb;
+    }
+
+    //
+    // @return the version of the local list (0 if no list was received)
+    //
+    listVersion() {
+        return parseInt(this._storage.getKey(ocpp.KEY_LOCAL_LIST_VERSION, "0"));
+    }
+
+    //
+    // @return the local list {idTag: idTagInfo}
+    //
+    localList() {
+        return JSON.parse(this._storage.getKey(ocpp.KEY_LOCAL_LIST, "{}"));
+    }
+
+    //
+    // @return the authorization cache {idTag: idTagInfo}
+    //
+    cache() {
+        return JSON.parse(this._storage.getKey(ocpp.KEY_AUTH_CACHE, "{}"));
+    }
+
+    //
+    // Apply a SendLocalList request
+    // @param versionNumber The version of the list after the update
+    // @param updateType "Full" (replace the list) or "Differential" (add, update or remove the given idTags)
+    // @param entries The localAuthorizationList of the request ([{idTag, idTagInfo}]),
+    //        an entry without idTagInfo being removed by a differential update
+    // @param maxLength The maximum number of idTags of the list
+    // @return the status of the update: "Accepted", "Failed" or "VersionMismatch"
+    //
+    sendLocalList(versionNumber, updateType, entries = [], maxLength = Infinity) {
+        var list = {};
+        if (updateType == ocpp.UPDATE_DIFFERENTIAL) {
+            if (versionNumber <= this.listVersion()) {
+                return ocpp.UPDATE_VERSION_MISMATCH;
+            }
+            list = this.localList();
+        }
+        for (const entry of entries) {
+            if (entry.idTagInfo) {
+                list[entry.idTag] = entry.idTagInfo;
+            }
+            else {
+                delete list[entry.idTag];
+            }
+        }
+        if (Object.keys(list).length > maxLength) {
+            return ocpp.UPDATE_FAILED;
+        }
+        this._storage.setKey(ocpp.KEY_LOCAL_LIST, JSON.stringify(list));
+        this._storage.setKey(ocpp.KEY_LOCAL_LIST_VERSION, versionNumber);
+        this.changed();
+        return ocpp.UPDATE_ACCEPTED;
+    }
+
+    //
+    // Keep the idTagInfo given by the server for an idTag
+    // @param idTag The idTag
+    // @param idTagInfo The idTagInfo of an Authorize, StartTransaction or StopTransaction response
+    //
+    updateCache(idTag, idTagInfo) {
+        var cache = this.cache();
+        cache[idTag] = idTagInfo;
+        this._storage.setKey(ocpp.KEY_AUTH_CACHE, JSON.stringify(cache));
+        this.changed();
+    }
+
+    //
+    // Empty the authorization cache
+    //
+    clearCache() {
+        this._storage.setKey(ocpp.KEY_AUTH_CACHE, "{}");
+        this.changed();
+    }
+
+    //
+    // Look for an idTag in the local list, then in the cache
+    // (an idTagInfo whose expiryDate is past is reported as Expired)
+    // @param idTag The idTag
+    // @param useList Look in the local list
+    // @param useCache Look in the authorization cache
+    // @return {source: "list" or "cache", idTagInfo}, null if the idTag is unknown
+    //
+    lookup(idTag, useList = true, useCache = true) {
+        var idTagInfo = null, source = null;
+        if (useList && idTag in this.localList()) {
+            idTagInfo = this.localList()[idTag];
+            source = "list";
+        }
+        else if (useCache && idTag in this.cache()) {
+            idTagInfo = this.cache()[idTag];
+            source = "cache";
+        }
+        if (idTagInfo === null) {
+            return null;
+        }
+        idTagInfo = Object.assign({}, idTagInfo);
+        if (idTagInfo.expiryDate && new Date(idTagInfo.expiryDate) < new Date() && idTagInfo.status == ocpp.AUTH_ACCEPTED) {
+            idTagInfo.status = ocpp.AUTH_EXPIRED;
+        }
+        return { "source": source, "idTagInfo": idTagInfo };
+    }
+
+    //
+    // @param idTag The idTag
+    // @return the parentIdTag of an idTag known locally, null if none
+    //
+    parentIdTag(idTag) {
+        var known = this.lookup(idTag);
+        return known && known.idTagInfo.parentIdTag ? known.idTagInfo.parentIdTag : null;
+    }
+
+    //
+    // @param idTag An idTag
+    // @param other Another idTag
+    // @return true if both idTags are the same or belong to the same group (same parentIdTag)
+    //
+    sameGroup(idTag, other) {
+        if (idTag == other) {
+            return true;
+        }
+        var parent = this.parentIdTag(idTag);
+        return parent !== null && (parent == other || parent == this.parentIdTag(other));
+    }
+
+    //
+    // Call the change callback if any
+    //
+    changed() {
+        if (this._changeCb) {
+            this._changeCb();
+        }
+    }
+}
@@ -0,0 +1,384 @@
+"use strict";
+import * as ocpp from './ocpp_constants.js'
+import { OcppCallError, generateId } from './ocpp_chargepoint.js'
+
+//
+// @param action The action of a CALL
+// @param payload The payload of the CALL
+// @param fields The required fields
+// @throw an OcppCallError (FormationViolation) if a field is missing
+//
+function requireFields(action, payload, fields) {
+    for (const field of fields) {
+        if (payload === null || typeof payload != "object" || payload[field] === undefined) {
+            throw new OcppCallError(action, ocpp.ERROR_FORMATION, "Missing " + field);
+        }
+    }
+}
+
+//
+// Minimal OCPP 1.6 Central System, for the development of the simulator without a real server
+// (hosted by server.js, independent of the transport: the connections are given as send functions)
+// It accepts the BootNotifications, authorizes the idTags of its tag list (every idTag when the list
+// is empty), gives the transactionIds, keeps the statuses and the last MeterValues of the charge points,
+// and signs the certificates of the charge points (SignCertificate) when it has a CA.
+// The commands (RemoteStartTransaction, Reset...) are sent to the connected charge points with command()
+//
+export default class CentralSystem {
+
+    //
+    // Constructor
+    // @param options {tags, heartbeatInterval, ca}: the authorized idTags, the heartbeat interval given
+    //        in the BootNotification.conf (s) and the LocalCA signing the certificates (none by default)
+    //
+    constructor(options = {}) {
+        this._tags = options.tags || [];
+        this._heartbeatInterval = options.heartbeatInterval || ocpp.CS_HEARTBEAT_INTERVAL;
+        this._ca = options.ca || null;
+        // state of the charge points which connected once, by id
+        this._chargePoints = new Map();
+        // connections of the connected charge points {send, pending: CALLs waiting for a response}, by id
+        this._connections = new Map();
+        this._transactions = [];
+        this._nextTransactionId = 1;
+        this._loggingCb = null;
+    }
+
+    //
+    // Set the logging callback
+    // @param A callback function which takes a string argument ("message to log")
+    //
+    setLoggingCallback(cb) {
+        this._loggingCb = cb;
+    }
+
+    //
+    // output a log to the logging callback if any
+    //
+    logMsg(msg) {
+        if (this._loggingCb) {
+            this._loggingCb('[CS] ' + msg);
+        }
+    }
+
+    //
+    // @return the authorized idTags (empty: every idTag is accepted)
+    //
+    tags() {
+        return this._tags.slice();
+    }
+
+    //
+    // Replace the authorized idTags
+    // @param tags The list of idTags (empty to accept every idTag)
+    //
+    setTags(tags) {
+        if (!Array.isArray(tags) || tags.some(t => typeof t != "string")) {
+            throw new Error("A list of idTags is expected");
+        }
+        this._tags = tags.slice();
+    }
+
+    //
+    // @param idTag An idTag
+    // @return the idTagInfo of the idTag
+    //
+    idTagInfo(idTag) {
+        var known = this._tags.length == 0 || this._tags.includes(idTag);
+        return { "status": known ? ocpp.AUTH_ACCEPTED : ocpp.AUTH_INVALID };
+    }
+
+    //
+    // @return the charge points which connected once [{id, connected, boot, lastSeen, connectors, meterValues}]
+    //
+    chargePoints() {
+        return [...this._chargePoints.values()].map(cp => Object.assign({}, cp, { "connected": this._connections.has(cp.id) }));
+    }
+
+    //
+    // @return the transactions [{transactionId, chargePointId, connectorId, idTag, meterStart, startTime, meterStop, stopTime, reason}]
+    //
+    transactions() {
+        return this._transactions.slice();
+    }
+
+    //
+    // @param id A charge point id
+    // @return the state of the charge point, created on its first connection
+    //
+    chargePoint(id) {
+        if (!this._chargePoints.has(id)) {
+            this._chargePoints.set(id, { "id": id, "boot": null, "lastSeen": null, "connectors": {}, "meterValues": [] });
+        }
+        return this._chargePoints.get(id);
+    }
+
+    //
+    // A charge point connects
+    // @param id The charge point id
+    // @param send A function sending a text to the charge point
+    // @param close A function closing the connection, called when the charge point connects again
+    // @return the connection, to give to disconnect()
+    //
+    connect(id, send, close = () => {}) {
+        var previous = this._connections.get(id);
+        if (previous) {
+            this.logMsg(id + " connected again, the previous connection is closed");
+            this.disconnect(id, previous);
+            previous.close();
+        }
+        this.chargePoint(id).lastSeen = new Date().toISOString();
+        var connection = { "send": send, "close": close, "pending": new Map() };
+        this._connections.set(id, connection);
+        this.logMsg(id + " connected");
+        return connection;
+    }
+
+    //
+    // A charge point disconnects (the CALLs waiting for a response fail)
+    // @param id The charge point id
+    // @param connection The connection returned by connect() (ignored if the charge point connected again since)
+    //
+    disconnect(id, connection = this._connections.get(id)) {
+        if (!connection || this._connections.get(id) !== connection) {
+            return;
+        }
+        this._connections.delete(id);
+        for (const [messageId, call] of connection.pending) {
+            clearTimeout(call.timer);
+            call.reject(new OcppCallError(call.action, ocpp.ERROR_NOT_CONNECTED, "Connection closed", {}, messageId));
+        }
+        this.logMsg(id + " disconnected");
+    }
+
+    //
+    // @param id The charge point id
+    // @param connection A connection returned by connect()
+    // @return true if the connection is the current one of the charge point (not replaced by a reconnection)
+    //
+    isCurrent(id, connection) {
+        return this._connections.get(id) === connection;
+    }
+
+    //
+    // Send a message to a charge point
+    // @param id The charge point id
+    // @param frame The message
+    //
+    send(id, frame) {
+        var connection = this._connections.get(id);
+        if (connection) {
+            connection.send(JSON.stringify(frame));
+        }
+    }
+
+    //
+    // Handle a message of a charge point
+    // @param id The charge point id
+    // @param data The text of the message
+    //
+    receive(id, data) {
+        var msg;
+        try {
+            msg = JSON.parse(data);
+        }
+        catch (err) {
+            this.logMsg(id + ": invalid JSON");
+            return;
+        }
+        if (!Array.isArray(msg) || typeof msg[1] != "string") {
+            this.logMsg(id + ": not an OCPP-J message");
+            return;
+        }
+        this.chargePoint(id).lastSeen = new Date().toISOString();
+        var connection = this._connections.get(id);
+        switch (msg[0]) {
+            case 2:
+                this.handleCall(id, msg[1], msg[2], msg[3]);
+                break;
+            case 3:
+            case 4:
+                var call = connection ? connection.pending.get(msg[1]) : undefined;
+                if (!call) {
+                    this.logMsg(id + ": response to an unknown message id " + msg[1]);
+                    return;
+                }
+                connection.pending.delete(msg[1]);
+                clearTimeout(call.timer);
+                if (msg[0] == 3) {
+                    call.resolve(msg[2]);
+                }
+                else {
+                    call.reject(new OcppCallError(call.action, msg[2], msg[3], msg[4], msg[1]));
+                }
+                break;
+            default:
+                this.send(id, [4, msg[1], ocpp.ERROR_PROTOCOL, "Unknown MessageTypeId " + msg[0], {}]);
+                break;
+        }
+    }
+
+    //
+    // Answer a CALL of a charge point
+    // @param id The charge point id
+    // @param messageId The message id
+    // @param action The action
+    // @param payload The payload
+    //
+    handleCall(id, messageId, action, payload) {
+        try {
+            this.send(id, [3, messageId, this.answer(id, action, payload || {})]);
+        }
+        catch (err) {
+            var errorCode = err instanceof OcppCallError ? err.errorCode : ocpp.ERROR_INTERNAL;
+            this.logMsg(id + ": " + action + " answered with " + errorCode + " (" + err.message + ")");
+            this.send(id, [4, messageId, errorCode, err instanceof OcppCallError ? err.errorDescription : err.message, {}]);
+        }
+    }
+
+    //
+    // @param id The charge point id
+    // @param action The action of a CALL of the charge point
+    // @param payload The payload of the CALL
+    // @return the payload of the response
+    // @throw an OcppCallError answered as CALLERROR
+    //
+    answer(id, action, payload) {
+        var cp = this.chargePoint(id);
+        var now = new Date().toISOString();
+        switch (action) {
+            case ocpp.BOOT_NOTIFICATION:
+                requireFields(action, payload, ["chargePointVendor", "chargePointModel"]);
+                cp.boot = payload;
+                this.logMsg(id + " booted (" + payload.chargePointVendor + " " + payload.chargePointModel + ")");
+                return { "status": ocpp.REGISTRATION_ACCEPTED, "currentTime": now, "interval": this._heartbeatInterval };
+            case ocpp.HEARTBEAT:
+                return { "currentTime": now };
+            case ocpp.STATUS_NOTIFICATION:
+                requireFields(action, payload, ["connectorId", "status", "errorCode"]);
+                cp.connectors[payload.connectorId] = {
+                    "status": payload.status,
+                    "errorCode": payload.errorCode,
+                    "timestamp": payload.timestamp || now
+                };
+                return {};
+            case ocpp.AUTHORIZE:
+                requireFields(action, payload, ["idTag"]);
+                return { "idTagInfo": this.idTagInfo(payload.idTag) };
+            case ocpp.START_TRANSACTION:
+                requireFields(action, payload, ["connectorId", "idTag", "meterStart", "timestamp"]);
+                var transaction = {
+                    "transactionId": this._nextTransactionId++,
+                    "chargePointId": id,
+                    "connectorId": payload.connectorId,
+                    "idTag": payload.idTag,
+                    "meterStart": payload.meterStart,
+                    "startTime": payload.timestamp,
+                    "meterStop": null,
+                    "stopTime": null,
+                    "reason": null
+                };
+                this._transactions.push(transaction);
+                this.logMsg(id + " started transaction " + transaction.transactionId + " on connector " + payload.connectorId);
+                return { "transactionId": transaction.transactionId, "idTagInfo": this.idTagInfo(payload.idTag) };
+            case ocpp.STOP_TRANSACTION:
+                requireFields(action, payload, ["transactionId", "meterStop", "timestamp"]);
+                var stopped = this._transactions.find(t => t.chargePointId == id && t.transactionId == payload.transactionId);
+                if (stopped) {
+                    stopped.meterStop = payload.meterStop;
+                    stopped.stopTime = payload.timestamp;
+                    stopped.reason = payload.reason || ocpp.REASON_LOCAL;
+                    this.logMsg(id + " stopped transaction " + stopped.transactionId + " (" + (stopped.meterStop - stopped.meterStart) + " Wh)");
+                }
+                else {
+                    this.logMsg(id + " stopped the unknown transaction " + payload.transactionId);
+                }
+                return payload.idTag ? { "idTagInfo": this.idTagInfo(payload.idTag) } : {};
+            case ocpp.METER_VALUES:
+                requireFields(action, payload, ["connectorId", "meterValue"]);
+                cp.meterValues.push({
+                    "connectorId": payload.connectorId,
+                    "transactionId": payload.transactionId,
+                    "meterValue": payload.meterValue
+                });
+                if (cp.meterValues.length > ocpp.CS_METER_VALUES_KEPT) {
+                    cp.meterValues.shift();
+                }
+                return {};
+            case ocpp.SIGN_CERTIFICATE:
+                requireFields(action, payload, ["csr"]);
+                if (!this._ca) {
+                    return { "status": "Rejected" };
+                }
+                this.signCertificate(id, payload.csr);
+                return { "status": "Accepted" };
+            case "DataTransfer":
+                return { "status": "UnknownVendorId" };
+            case ocpp.FIRMWARE_STATUS_NOTIFICATION:
+            case ocpp.DIAGNOSTICS_STATUS_NOTIFICATION:
+            case ocpp.SIGNED_FIRMWARE_STATUS_NOTIFICATION:
+            case "LogStatusNotification":
+                this.logMsg(id + " " + action + ": " + payload.status);
+                return {};
+            case ocpp.SECURITY_EVENT_NOTIFICATION:
+                this.logMsg(id + " security event " + payload.type);
+                return {};
+            default:
+                throw new OcppCallError(action, ocpp.ERROR_NOT_IMPLEMENTED, "Action " + action + " is not implemented by the Central System");
+        }
+    }
+
+    //
+    // Sign the certificate of a charge point and send it (CertificateSigned)
+    // @param id The charge point id
+    // @param csr The PEM of the certificate signing request
+    //
+    async signCertificate(id, csr) {
+        try {
+            var chain = await this._ca.sign(csr);
+            var result = await this.call(id, "CertificateSigned", { "certificateChain": chain });
+            this.logMsg(id + " certificate signed: " + result.status);
+        }
+        catch (err) {
+            this.logMsg(id + " certificate not signed: " + err.message);
+        }
+    }
+
+    //
+    // Send a CALL to a connected charge point
+    // @param id The charge point id
+    // @param action The action
+    // @param payload The payload
+    // @return a promise resolved with the payload of the CALLRESULT (rejected with an OcppCallError)
+    //
+    call(id, action, payload = {}) {
+        var connection = this._connections.get(id);
+        if (!connection) {
+            return Promise.reject(new OcppCallError(action, ocpp.ERROR_NOT_CONNECTED, id + " is not connected"));
+        }
+        var messageId = generateId();
+        return new Promise((resolve, reject) => {
+            var timer = setTimeout(() => {
+                connection.pending.delete(messageId);
+                reject(new OcppCallError(action, ocpp.ERROR_TIMEOUT, "No response within " + ocpp.CALL_TIMEOUT_SECONDS + "s", {}, messageId));
+            }, ocpp.CALL_TIMEOUT_SECONDS * 1000);
+            connection.pending.set(messageId, { "action": action, "resolve": resolve, "reject": reject, "timer": timer });
+            connection.send(JSON.stringify([2, messageId, action, payload]));
+        });
+    }
+
+    //
+    // Send a command of the admin page / REST API to a charge point
+    // @param id The charge point id
+    // @param action One of the CS_COMMANDS (RemoteStartTransaction, Reset...)
+    // @param payload The payload
+    // @return a promise resolved with the payload of the CALLRESULT
+    //
+    command(id, action, payload = {}) {
+        if (!ocpp.CS_COMMANDS.includes(action)) {
+            return Promise.reject(new Error("Unknown command " + action + " (" + ocpp.CS_COMMANDS.join(", ") + ")"));
+        }
+        this.logMsg("Sending " + action + " to " + id);
+        return this.call(id, action, payload);
+    }
+}
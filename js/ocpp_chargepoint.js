@@ -1,5 +1,22 @@
 "use strict";
 import * as ocpp from './ocpp_constants.js'
+import Connector from './ocpp_connector.js'
+import EnergyMeter from './ocpp_meter.js'
+import Configuration, {
+    CORE_CONFIGURATION, LOCAL_AUTH_LIST_CONFIGURATION, RESERVATION_CONFIGURATION, SMART_CHARGING_CONFIGURATION,
+    SECURITY_CONFIGURATION
+} from './ocpp_configuration.js'
+import Validator, { errorCodeFor } from './ocpp_validator.js'
+import MessageQueue from './ocpp_queue.js'
+import Storage from './ocpp_storage.js'
+import LocalAuthorization from './ocpp_authorization.js'
+import ChargingProfiles from './ocpp_smartcharging.js'
+import FaultInjector from './ocpp_faults.js'
+import MessageTrace from './ocpp_trace.js'
+import CertificateStore from './ocpp_security.js'
+import DeviceModel from './ocpp_device_model.js'
+import * as ocpp201 from './ocpp201.js'
+import { delay, firmwareVersionFromLocation, buildDiagnostics, uploadFile, shouldFail } from './ocpp_maintenance.js'
 
 //
 //
@@ -32,7 +49,7 @@ function formatDate(date) {
     return year + '-' + monthIndex + '-' + day + 'T' + h + ':' + m + ':' + s + 'Z';
 }
 
-function generateId() {
+export function generateId() {
     const possible = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
     var id = "";
     for (var i = 0; i < 36; i++) {
@@ -45,48 +62,49 @@ function isEmpty(str) {
     return (!str || 0 === str.length);
 }
 
-//
-// Store a key value in session storage
-// @param key The key name
-// @param value The key value
-//
-function setSessionKey(key, value) {
-    sessionStorage.setItem(key, value)
+function isObject(value) {
+    return value !== null && typeof value == "object" && !Array.isArray(value);
 }
 
 //
-// Get a key value from session storage
-// @param key The key name
-// @return The key value
+// Default WebSocket factory, in a browser
+// A browser WebSocket cannot send an Authorization header: the Basic Auth credentials are given
+// in the URL, and the TLS client certificate and trusted roots are the ones of the browser
+// @param url The URL of the OCPP server
+// @param protocols The subprotocols
+// @param connection The connection options (see ChargePoint.connectionOptions)
 //
-function getSessionKey(key, default_value = "") {
-    var v = sessionStorage.getItem(key);
-    if (!v) {
-        v = default_value;
+function browserWebSocket(url, protocols, connection = {}) {
+    if (connection.auth) {
+        var u = new URL(url);
+        u.username = connection.auth.username;
+        u.password = connection.auth.password;
+        url = u.toString();
     }
-    return v
+    return new WebSocket(url, protocols);
 }
 
-//
-// Store a key value in local storage
-// @param key The key name
-// @param value The key value
-//
-function setKey(key, value) {
-    localStorage.setItem(key, value)
+// a promise rejected with given error, without unhandled rejection warning
+function rejected(error) {
+    var p = Promise.reject(error);
+    p.catch(function () {});
+    return p;
 }
 
 //
-// Get a key value from session storage
-// @param key The key name
-// @return The key value
+// Error used to reject the promise returned by ChargePoint.call() when the
+// OCPP server answers with a CALLERROR or does not answer at all
 //
-function getKey(key, default_value = "") {
-    var v = localStorage.getItem(key);
-    if (!v) {
-        v = default_value;
+export class OcppCallError extends Error {
+    constructor(action, errorCode, errorDescription = "", errorDetails = {}, messageId = null) {
+        super(action + " failed: " + errorCode + (isEmpty(errorDescription) ? "" : " (" + errorDescription + ")"));
+        this.name = "OcppCallError";
+        this.action = action;
+        this.errorCode = errorCode;
+        this.errorDescription = errorDescription;
+        this.errorDetails = errorDetails;
+        this.messageId = messageId;
     }
-    return v
 }
 
 //
@@ -98,14 +116,131 @@ export default class ChargePoint {
 
     //
     // Constructor
-    // @param a callback function that will receive debug logging information
+    // @param connectorCount The number of connectors of the charge point
+    // @param options Optional adapters to run outside of a browser:
+    //        storage: the Storage of the CP state (sessionStorage/localStorage by default)
+    //        createWebSocket: function (url, protocols, connection) returning a WebSocket like object,
+    //            connection being the options of the security profile (see connectionOptions)
+    //        uploadFile: function (location, fileName, content) returning a promise, used to upload the diagnostics
     //
-    constructor() {
+    constructor(connectorCount = ocpp.DEFAULT_CONNECTOR_COUNT, options = {}) {
+        this._storage = options.storage || new Storage();
+        this._createWebSocket = options.createWebSocket || browserWebSocket;
+        this._uploadFile = options.uploadFile || uploadFile;
+
+        // connector 0 stands for the charge point itself
+        this._connectors = [];
+        for (var c = 0; c <= connectorCount; c++) {
+            this._connectors.push(new Connector(c, this._storage));
+        }
+        // one simulated meter per connector, all sharing the same electrical settings
+        this._meterSettings = JSON.parse(JSON.stringify(ocpp.DEFAULT_METER_SETTINGS));
+        this._meters = this._connectors.map(conn => new EnergyMeter(conn, this._meterSettings, this._storage));
+
+        // charging profiles (Smart Charging), capping the power of the meters
+        this._chargingProfiles = new ChargingProfiles(this._storage);
+        this._transactionStart = this._connectors.map(() => null);
+        this._meters.forEach((meter, c) => meter.setPowerLimitCallback(time => this.powerLimit(c, time)));
+
+        this._configuration = new Configuration(CORE_CONFIGURATION, this._storage);
+        this._configuration.define(LOCAL_AUTH_LIST_CONFIGURATION);
+        this._configuration.define(RESERVATION_CONFIGURATION);
+        this._configuration.define(SMART_CHARGING_CONFIGURATION);
+        this._configuration.define(SECURITY_CONFIGURATION);
+        this._configuration.store("NumberOfConnectors", connectorCount);
+        this._configuration.setChangeCallback((key, value) => this.configurationChanged(key, value));
+        this._configurationChangeCb = null;
+
+        // local authorization list and authorization cache
+        this._authorization = new LocalAuthorization(this._storage);
+
+        // periodic MeterValues during transactions: timers and readings kept for the StopTransaction
+        this._meterValuesTimers = this._connectors.map(() => ({ "sampled": null, "aligned": null }));
+        this._transactionData = this._connectors.map(() => []);
+
+        // expiry timers of the reservations (the reservations themselves are kept by the connectors)
+        this._reservationTimers = this._connectors.map(() => null);
+        // timers of the connectors in Preparing, canceling the incipient transaction (ConnectionTimeOut)
+        this._connectionTimers = this._connectors.map(() => null);
+        for (const conn of this._connectors) {
+            if (conn.reservation()) {
+                this.scheduleReservationExpiry(conn.id());
+            }
+        }
+
         this._websocket = null;
         this._heartbeat = null;
+        // websocket pings (WebSocketPingInterval)
+        this._pingTimer = null;
         this._statusChangeCb = null;
         this._availabilityChangeCb = null;
+        this._connectorStatusChangeCb = null;
+        this._transactionChangeCb = null;
         this._loggingCb = null;
+        this._messageCb = null;
+        // replay of a recorded session driving the connection (see ocpp_replay.js), null if none
+        this._replayCb = null;
+
+        // CALLs sent to the server and still waiting for a response, indexed by message id
+        this._pendingCalls = new Map();
+        this._callTimeout = ocpp.CALL_TIMEOUT_SECONDS;
+
+        this._validator = new Validator();
+        this._validationMode = ocpp.VALIDATION_WARN;
+
+        // transaction related messages are queued until the server acknowledges them
+        // (only sent once the BootNotification is accepted, in order)
+        this._queue = new MessageQueue(this._storage);
+        this._queueWaiters = new Map();
+        this._replayingQueue = false;
+        // next attempt to deliver a message which failed (TransactionMessageRetryInterval)
+        this._queueRetryTimer = null;
+
+        // registration status given in the BootNotification.conf, null while not connected
+        this._registrationStatus = null;
+        this._bootTimer = null;
+
+        // automatic reconnection
+        this._wsUrl = null;
+        this._cpId = null;
+        this._reconnectSettings = Object.assign({}, ocpp.DEFAULT_RECONNECT_SETTINGS);
+        this._reconnectAttempts = 0;
+        this._reconnectTimer = null;
+
+        // simulated firmware update and diagnostics upload, the log being kept for the diagnostics file
+        this._maintenanceSettings = Object.assign({}, ocpp.DEFAULT_MAINTENANCE_SETTINGS);
+        this._firmwareStatus = ocpp.FIRMWARE_IDLE;
+        this._diagnosticsStatus = ocpp.DIAGNOSTICS_IDLE;
+        // requestId of the running SignedUpdateFirmware, null for an UpdateFirmware
+        this._firmwareRequestId = null;
+        this._rebootTimer = null;
+        this._logLines = [];
+
+        // faults injected in the messages sent to the server
+        this._faults = new FaultInjector(this._storage);
+        this._lastCallId = null;
+
+        // structured trace of the messages exchanged with the server
+        this._trace = new MessageTrace(this._storage, id => {
+            var conn = this.connectorForTransaction(id);
+            return conn ? conn.id() : null;
+        });
+
+        // root certificates and certificate of the charge point (security extension)
+        this._certificates = new CertificateStore(this._storage);
+
+        // OCPP version spoken on the next connection, the device model serving the OCPP 2.0.1 variables,
+        // and state of the OCPP 2.0.1 transactions: seqNo of the next TransactionEvent and last chargingState sent
+        this._protocolVersion = ocpp.OCPP16;
+        this._deviceModel = new DeviceModel(this._configuration, () => this.connectors().map(conn => ({
+            "id": conn.id(),
+            "connectorStatus": ocpp201.connectorStatus(conn.status())
+        })));
+        this._seqNo = this._connectors.map(() => 0);
+        this._chargingState = this._connectors.map(() => null);
+        // reason of the next BootNotification (OCPP 2.0.1), and Reset OnIdle waiting for the end of the transactions
+        this._bootReason = ocpp.BOOT_POWER_UP;
+        this._resetOnIdle = false;
 
         // Either "Accepted" or "Rejected"
         this._remoteStartStopResponse = "Accepted";
@@ -137,23 +272,186 @@ export default class ChargePoint {
         this._availabilityChangeCb = cb;
     }
 
+    //
+    // Set the connector status change callback, this will be triggered when the status of a connector changes
+    // @param A callback function which takes two arguments (int + string): (connectorId,"new status")
+    //
+    setConnectorStatusChangeCallback(cb) {
+        this._connectorStatusChangeCb = cb;
+    }
+
+    //
+    // Set the transaction change callback, this will be triggered when a transaction starts or ends on a connector
+    // @param A callback function which takes two arguments (int + int): (connectorId,transactionId)
+    //        transactionId being null when there is no transaction on the connector
+    //
+    setTransactionChangeCallback(cb) {
+        this._transactionChangeCb = cb;
+    }
+
+    //
+    // Set the configuration change callback, this will be triggered when a configuration key changes
+    // @param A callback function which takes two string arguments ("key","new value")
+    //
+    setConfigurationChangeCallback(cb) {
+        this._configurationChangeCb = cb;
+    }
+
+    //
+    // Set the message callback, this will be triggered for every OCPP message sent to or received from the server
+    // @param A callback function which takes two string arguments ("send" or "receive","raw message")
+    //
+    setMessageCallback(cb) {
+        this._messageCb = cb;
+    }
+
+    //
+    // Hand the connection over to a replay: while set, the CP neither registers nor handles the messages
+    // of the server, nor reconnects, the callback being called with ("open"), ("receive", message) and ("close", code)
+    // @param A callback function (event, data), null to get the connection back
+    //
+    setReplayCallback(cb) {
+        this._replayCb = cb;
+    }
+
     //
     // output a log to the logging callback if any
     //
     logMsg(msg) {
+        this._logLines.push({ "time": Date.now(), "msg": msg });
+        if (this._logLines.length > ocpp.DIAGNOSTICS_LOG_LINES) {
+            this._logLines.shift();
+        }
         if (this._loggingCb) {
             msg = '[OCPP] ' + msg;
             this._loggingCb(msg);
         }
     }
 
+    //
+    // @return the configuration store of the CP (GetConfiguration / ChangeConfiguration keys)
+    //
+    configuration() {
+        return this._configuration;
+    }
+
+    //
+    // @return the local authorization list and cache of the CP
+    //
+    authorization() {
+        return this._authorization;
+    }
+
+    //
+    // @return the fault injection profile of the CP
+    //
+    faults() {
+        return this._faults;
+    }
+
+    //
+    // @return the message trace of the CP
+    //
+    trace() {
+        return this._trace;
+    }
+
+    //
+    // @return the certificate store of the CP
+    //
+    certificates() {
+        return this._certificates;
+    }
+
+    //
+    // @return the OCPP 2.0.1 device model of the CP (GetVariables / SetVariables)
+    //
+    deviceModel() {
+        return this._deviceModel;
+    }
+
+    //
+    // @return the OCPP version of the CP: ocpp1.6 or ocpp2.0.1
+    //
+    protocolVersion() {
+        return this._protocolVersion;
+    }
+
+    //
+    // Change the OCPP version of the CP (only while disconnected, the version being
+    // negotiated with the server when the connection is opened)
+    // @param version ocpp1.6 or ocpp2.0.1 (see ocpp.PROTOCOL_VERSIONS)
+    // @throw an Error if the version is unknown or the CP is connected
+    //
+    setProtocolVersion(version) {
+        if (!ocpp.PROTOCOL_VERSIONS.includes(version)) {
+            throw new Error("Unknown OCPP version " + version + " (" + ocpp.PROTOCOL_VERSIONS.join(", ") + ")");
+        }
+        if (this._websocket && version != this._protocolVersion) {
+            throw new Error("The OCPP version cannot be changed while connected");
+        }
+        this._protocolVersion = version;
+    }
+
+    //
+    // @return true if the CP speaks OCPP 2.0.1
+    //
+    isOcpp201() {
+        return this._protocolVersion == ocpp.OCPP201;
+    }
+
+    //
+    // Apply a configuration change to the running simulation
+    // @param key The key name
+    // @param value The new value
+    //
+    configurationChanged(key, value) {
+        switch (key) {
+            case "HeartbeatInterval":
+                if (this._heartbeat) {
+                    this.setHeartbeat(Number(value));
+                }
+                break;
+            case "MeterValueSampleInterval":
+            case "MeterValuesSampledData":
+            case "ClockAlignedDataInterval":
+            case "MeterValuesAlignedData":
+                // reschedule the running transactions with the new settings
+                for (const conn of this.connectors()) {
+                    if (conn.transactionId() !== null) {
+                        this.stopMeterValues(conn.id());
+                        this.startMeterValues(conn.id());
+                    }
+                }
+                break;
+            case "SecurityProfile":
+            case "AuthorizationKey":
+                this.securityEvent(ocpp.SEC_RECONFIGURATION, key + " changed");
+                var profile = this._configuration.getInt("SecurityProfile");
+                var usesKey = profile == ocpp.SECURITY_PROFILE_BASIC_AUTH || profile == ocpp.SECURITY_PROFILE_TLS_BASIC;
+                // the new parameters are used at once (once the ChangeConfiguration is answered)
+                if (this._websocket && (key == "SecurityProfile" || usesKey)) {
+                    setTimeout(() => {
+                        this.logMsg("Reconnecting with the new security parameters");
+                        this.reconnect(ocpp.SECURITY_RECONNECT_SECONDS);
+                    }, 0);
+                }
+                break;
+            default:
+                break;
+        }
+        if (this._configurationChangeCb) {
+            this._configurationChangeCb(key, value);
+        }
+    }
+
     //
     // Set the internal status of the CP and call the status update callbalck if any
     // @param s The new status value
     // @param msg Optional message (for information purpose)
     //
     setStatus(s, msg = "") {
-        setSessionKey(ocpp.KEY_CP_STATUS, s);
+        this._storage.setSessionKey(ocpp.KEY_CP_STATUS, s);
         if (this._statusChangeCb) {
             this._statusChangeCb(s, msg);
         }
@@ -163,44 +461,57 @@ export default class ChargePoint {
     // Handle a command coming from the OCPP server
     //
     async handleCallRequest(id, request, payload) {
-        var respOk = JSON.stringify([3, id, { "status": "Accepted" }]);
+        var respOk = { "status": "Accepted" };
         var connectorId = 0;
+
+        if (this.isOcpp201()) {
+            return this.handleOcpp201Request(id, request, payload);
+        }
+        // whatever the validation mode, a CALL violating its schema is answered with a CALLERROR
+        var errors = this._validator.validate(request, payload);
+        if (errors.length > 0) {
+            this.logMsg("Schema violation in " + request + ": " + errors[0].path + " " + errors[0].message);
+            this.respondError(id, errorCodeFor(errors[0].keyword), errors[0].path + " " + errors[0].message, { "errors": errors });
+            return;
+        }
+
         switch (request) {
             case "Reset":
                 //Reset type can be SOFT, HARD
                 var rstType = payload.type;
                 this.logMsg("Reset Request: type=" + rstType);
-                this.wsSendData(respOk);
-                this.wsDisconnect();
+                if (rstType != ocpp.RESET_SOFT && rstType != ocpp.RESET_HARD) {
+                    this.respond(id, request, { "status": "Rejected" });
+                    break;
+                }
+                this.respond(id, request, respOk);
+                this.reset(rstType);
                 break;
 
             case "RemoteStartTransaction":
                 const tagId = payload.idTag;
                 this.logMsg("Reception of a RemoteStartTransaction request for tag " + tagId);
-
-                const rstConf = JSON.stringify([3, id, { "status": this._remoteStartStopResponse}])
-                this.wsSendData(rstConf);
-                
-                if(this._remoteStartStopResponse == "Rejected") {
-                    break;
+                var startConnector = this.remoteStartConnector(tagId, payload.connectorId);
+                var rstStatus = startConnector ? this._remoteStartStopResponse : "Rejected";
+                this.respond(id, request, { "status": rstStatus });
+                if (rstStatus != "Rejected") {
+                    await this.remoteStart(startConnector, tagId, payload.chargingProfile);
                 }
-
-                // Simulate time it takes for user to plug in charger
-                this.logMsg(`Simulating ${this._remoteStartDelaySeconds} sec delay for user to plug in charger`);
-                await new Promise(resolve => setTimeout(resolve, 1000 * this._remoteStartDelaySeconds))
-                
-                this.startTransaction(tagId);
                 break;
 
             case "RemoteStopTransaction":
                 var stop_id = payload.transactionId;
                 this.logMsg("Reception of a RemoteStopTransaction request for transaction " + stop_id);
-                const respConf = JSON.stringify([3, id, { "status": this._remoteStartStopResponse}])
-                this.wsSendData(respConf);
-                if(this._remoteStartStopResponse == "Rejected") {
+                var rstpStatus = this._remoteStartStopResponse;
+                if (!this.connectorForTransaction(stop_id)) {
+                    this.logMsg("Unknown transaction " + stop_id);
+                    rstpStatus = "Rejected";
+                }
+                this.respond(id, request, { "status": rstpStatus });
+                if(rstpStatus == "Rejected") {
                     break;
                 }
-                this.stopTransactionWithId(stop_id);
+                this.stopTransactionWithId(stop_id, "", ocpp.REASON_REMOTE);
                 break;
 
             case "TriggerMessage":
@@ -210,7 +521,11 @@ export default class ChargePoint {
                     connectorId = payload["connectorId"];
                 }
                 this.logMsg("Reception of a TriggerMessage request (" + requestedMessage + ")");
-                this.wsSendData(respOk);
+                if (!this.connector(connectorId)) {
+                    this.respond(id, request, { "status": "Rejected" });
+                    break;
+                }
+                this.respond(id, request, respOk);
                 this.triggerMessage(requestedMessage, connectorId);
                 break;
 
@@ -218,466 +533,2641 @@ export default class ChargePoint {
                 var avail = payload.type;
                 connectorId = payload.connectorId;
                 this.logMsg("Reception of a ChangeAvailability request (connector " + connectorId + " " + avail + ")");
-                this.wsSendData(respOk);
-                this.setConnectorAvailability(Number(connectorId), avail)
+                this.respond(id, request, { "status": this.changeAvailability(Number(connectorId), avail) });
                 break;
 
             case "UnlockConnector":
-                this.wsSendData(respOk);
+                var unlocked = this.connector(Number(payload.connectorId));
+                // cable kept locked after an EV side disconnection (UnlockConnectorOnEVSideDisconnect)
+                if (unlocked && !unlocked.isPlugged() && !unlocked.hasTransaction() && unlocked.status() == ocpp.CONN_FINISHING) {
+                    this.setConnectorStatus(unlocked.id(), ocpp.CONN_AVAILABLE);
+                }
+                this.respond(id, request, { "status": "Unlocked" });
                 break;
 
             case "GetConfiguration":
-                var requestedMessage = payload.requestedMessage;
-                this.logMsg("Reception of a GetConfiguration request (" + requestedMessage + ")");
-                const configuration = [
-                    3,
-                    id,
-                    {
-                        "unknownKey": [],
-                        "configurationKey": [
-                            {
-                                "key": "HeartbeatInterval",
-                                "readonly": false,
-                                "value": "900"
-                            }
-                        ]
-                    }
-                ];
-                this.wsSendData(JSON.stringify(configuration));
+                var requestedKeys = payload.key || [];
+                this.logMsg("Reception of a GetConfiguration request (" + (requestedKeys.length ? requestedKeys.join(",") : "all keys") + ")");
+                this.respond(id, request, this._configuration.getConfiguration(requestedKeys));
+                break;
+
+            case "SendLocalList":
+                var listEntries = payload.localAuthorizationList || [];
+                var listStatus;
+                if (!this._configuration.getBool("LocalAuthListEnabled")) {
+                    listStatus = ocpp.UPDATE_NOT_SUPPORTED;
+                }
+                else if (listEntries.length > this._configuration.getInt("SendLocalListMaxLength")) {
+                    listStatus = ocpp.UPDATE_FAILED;
+                }
+                else {
+                    listStatus = this._authorization.sendLocalList(payload.listVersion, payload.updateType, listEntries,
+                        this._configuration.getInt("LocalAuthListMaxLength"));
+                }
+                this.logMsg("Reception of a SendLocalList request (" + payload.updateType + ", version " + payload.listVersion + ", " + listEntries.length + " idTag(s)): " + listStatus);
+                this.respond(id, request, { "status": listStatus });
+                break;
+
+            case "GetLocalListVersion":
+                // -1 tells the server that the local list is not enabled
+                var listVersion = this._configuration.getBool("LocalAuthListEnabled") ? this._authorization.listVersion() : -1;
+                this.logMsg("Reception of a GetLocalListVersion request: " + listVersion);
+                this.respond(id, request, { "listVersion": listVersion });
+                break;
+
+            case "ClearCache":
+                this.logMsg("Reception of a ClearCache request");
+                this._authorization.clearCache();
+                this.respond(id, request, respOk);
+                break;
+
+            case "ReserveNow":
+                var resStatus = this.reserveNow(payload.connectorId, payload.reservationId, payload.idTag, payload.expiryDate, payload.parentIdTag);
+                this.logMsg("Reception of a ReserveNow request (reservation " + payload.reservationId + ", connector " + payload.connectorId + ", tag " + payload.idTag + "): " + resStatus);
+                this.respond(id, request, { "status": resStatus });
+                break;
+
+            case "CancelReservation":
+                var cancelStatus = this.cancelReservation(payload.reservationId);
+                this.logMsg("Reception of a CancelReservation request (reservation " + payload.reservationId + "): " + cancelStatus);
+                this.respond(id, request, { "status": cancelStatus });
+                break;
+
+            case "SetChargingProfile":
+                var profile = payload.csChargingProfiles;
+                var profileStatus = this.setChargingProfile(payload.connectorId, profile);
+                this.logMsg("Reception of a SetChargingProfile request (" + profile.chargingProfilePurpose + " " + profile.chargingProfileId +
+                    ", connector " + payload.connectorId + ", stack level " + profile.stackLevel + "): " + profileStatus);
+                this.respond(id, request, { "status": profileStatus });
+                break;
+
+            case "ClearChargingProfile":
+                this.updateMeters();
+                var clearStatus = this._chargingProfiles.clear(payload) > 0 ? ocpp.PROFILE_ACCEPTED : ocpp.PROFILE_UNKNOWN;
+                this.logMsg("Reception of a ClearChargingProfile request (" + JSON.stringify(payload) + "): " + clearStatus);
+                this.respond(id, request, { "status": clearStatus });
+                break;
+
+            case "GetCompositeSchedule":
+                this.logMsg("Reception of a GetCompositeSchedule request (connector " + payload.connectorId + ", " + payload.duration + "s)");
+                this.respond(id, request, this.compositeSchedule(payload.connectorId, payload.duration, payload.chargingRateUnit));
+                break;
+
+            case "UpdateFirmware":
+                this.logMsg("Reception of an UpdateFirmware request (" + payload.location + ", retrieve date " + payload.retrieveDate + ")");
+                this.respond(id, request, {});
+                this.updateFirmware(payload.location, payload.retrieveDate, payload.retries, payload.retryInterval);
+                break;
+
+            case "GetDiagnostics":
+                this.logMsg("Reception of a GetDiagnostics request (" + payload.location + ")");
+                var diagnostics = buildDiagnostics(this._cpId, this.firmwareVersion(), this._configuration.getConfiguration([]).configurationKey,
+                    this._logLines, payload.startTime, payload.stopTime);
+                this.respond(id, request, { "fileName": diagnostics.fileName });
+                this.uploadDiagnostics(payload.location, diagnostics, payload.retries, payload.retryInterval);
+                break;
+
+            case "ChangeConfiguration":
+                var cfgStatus = ocpp.CONFIG_REJECTED;
+                if (payload.key != "SecurityProfile" || this.isSecurityProfileAllowed(Number(payload.value))) {
+                    cfgStatus = this._configuration.set(payload.key, payload.value);
+                }
+                var cfgDef = this._configuration.definitions().find(def => def.key == payload.key);
+                this.logMsg("Reception of a ChangeConfiguration request (" + payload.key + "=" +
+                    (cfgDef && cfgDef.writeonly ? "***" : payload.value) + "): " + cfgStatus);
+                this.respond(id, request, { "status": cfgStatus });
+                break;
+
+            case "ExtendedTriggerMessage":
+                var extendedMessage = payload.requestedMessage;
+                connectorId = payload.connectorId || 0;
+                this.logMsg("Reception of an ExtendedTriggerMessage request (" + extendedMessage + ")");
+                var triggerStatus = "Accepted";
+                if (!this.connector(connectorId)) {
+                    triggerStatus = "Rejected";
+                }
+                else if (extendedMessage == ocpp.TRIGGER_LOG_STATUS) {
+                    // no GetLog support
+                    triggerStatus = "NotImplemented";
+                }
+                this.respond(id, request, { "status": triggerStatus });
+                if (triggerStatus == "Accepted") {
+                    this.extendedTriggerMessage(extendedMessage, connectorId);
+                }
+                break;
+
+            case "CertificateSigned":
+                this.logMsg("Reception of a CertificateSigned request");
+                this.respond(id, request, { "status": await this.installChargePointCertificate(payload.certificateChain) });
+                break;
+
+            case "InstallCertificate":
+                var installStatus = await this._certificates.install(payload.certificateType, payload.certificate,
+                    this._configuration.getInt("CertificateStoreMaxLength"));
+                this.logMsg("Reception of an InstallCertificate request (" + payload.certificateType + "): " + installStatus);
+                this.respond(id, request, { "status": installStatus });
+                break;
+
+            case "GetInstalledCertificateIds":
+                var hashData = this._certificates.installed(payload.certificateType).map(c => c.certificateHashData);
+                this.logMsg("Reception of a GetInstalledCertificateIds request (" + payload.certificateType + "): " + hashData.length + " certificate(s)");
+                this.respond(id, request, hashData.length > 0 ?
+                    { "status": ocpp.CERTIFICATE_ACCEPTED, "certificateHashData": hashData } : { "status": ocpp.CERTIFICATE_NOT_FOUND });
+                break;
+
+            case "DeleteCertificate":
+                var deleteStatus = await this._certificates.remove(payload.certificateHashData);
+                this.logMsg("Reception of a DeleteCertificate request (serial number " + payload.certificateHashData.serialNumber + "): " + deleteStatus);
+                this.respond(id, request, { "status": deleteStatus });
+                break;
+
+            case "SignedUpdateFirmware":
+                var firmware = payload.firmware;
+                this.logMsg("Reception of a SignedUpdateFirmware request (request " + payload.requestId + ", " + firmware.location +
+                    ", retrieve date " + firmware.retrieveDateTime + ")");
+                if (!(await this._certificates.isTrusted(firmware.signingCertificate, ocpp.CERT_MANUFACTURER_ROOT))) {
+                    this.respond(id, request, { "status": ocpp.SIGNED_UPDATE_INVALID_CERTIFICATE });
+                    this.securityEvent(ocpp.SEC_INVALID_FIRMWARE_CERTIFICATE, "Not issued by an installed " + ocpp.CERT_MANUFACTURER_ROOT);
+                    break;
+                }
+                this.respond(id, request, { "status": ocpp.SIGNED_UPDATE_ACCEPTED });
+                this.updateFirmware(firmware.location, firmware.retrieveDateTime, payload.retries, payload.retryInterval,
+                    { "requestId": payload.requestId, "installDateTime": firmware.installDateTime || null });
                 break;
 
             default:
-                var error = JSON.stringify([4, id, "NotImplemented"]);
-                this.wsSendData(error);
+                // NotSupported: a known OCPP action the charge point does not handle, NotImplemented: an unknown action
+                if (ocpp.OCPP16_ACTIONS.includes(request)) {
+                    this.respondError(id, ocpp.ERROR_NOT_SUPPORTED, "Action " + request + " is not supported by the charge point");
+                }
+                else {
+                    this.respondError(id, ocpp.ERROR_NOT_IMPLEMENTED, "Action " + request + " is not implemented");
+                }
                 break;
         }
     }
 
     //
-    // Handle the response from the OCPP server to a command 
-    // @param payload The payload part of the OCPP message
+    // Handle a command coming from an OCPP 2.0.1 server
+    // (the requests of the EVSE model, transactions, device model and availability)
     //
-    handleCallResult(payload) {
-        var la = this.getLastAction();
-        switch(la) {
+    async handleOcpp201Request(id, request, payload) {
+        var evse = payload.evse || null;
+        switch (request) {
+            case "Reset":
+                this.logMsg("Reset Request: type=" + payload.type + (payload.evseId !== undefined ? ", EVSE " + payload.evseId : ""));
+                var resetStatus = "Accepted";
+                // the EVSEs cannot be reset on their own
+                if (payload.evseId !== undefined || (payload.type != ocpp.RESET_IMMEDIATE && payload.type != ocpp.RESET_ON_IDLE)) {
+                    resetStatus = "Rejected";
+                }
+                else if (payload.type == ocpp.RESET_ON_IDLE && this.isInUse(0)) {
+                    resetStatus = ocpp.RESET_SCHEDULED;
+                }
+                this.respond(id, request, { "status": resetStatus });
+                if (resetStatus == ocpp.RESET_SCHEDULED) {
+                    this.logMsg("Reset scheduled after the transactions");
+                    this._resetOnIdle = true;
+                }
+                else if (resetStatus == "Accepted") {
+                    // the transactions are stopped (ImmediateReset) before the reboot
+                    this.reset(ocpp.RESET_SOFT);
+                }
+                break;
 
-        case ocpp.BOOT_NOTIFICATION:
-            if (payload.status == 'Accepted') {
-                this.logMsg("Connection accepted");
-                var hb_interval = payload.interval;
-                this.setHeartbeat(hb_interval);
-                this.setStatus(ocpp.CP_CONNECTED);
-            }
-            else {
-                this.logMsg("Connection refused by server");
-                this.wsDisconnect();
-            }
-            break;
-        case ocpp.AUTHORIZE:
-            if (payload.idTagInfo.status == 'Invalid') {
-                this.logMsg('Authorization failed');
+            case "RequestStartTransaction":
+                var tokenId = payload.idToken.idToken;
+                this.logMsg("Reception of a RequestStartTransaction request for idToken " + tokenId + " (remote start " + payload.remoteStartId + ")");
+                var startEvse = this.remoteStartConnector(tokenId, payload.evseId);
+                var startStatus = startEvse ? this._remoteStartStopResponse : "Rejected";
+                this.respond(id, request, { "status": startStatus });
+                if (startStatus != "Rejected") {
+                    if (payload.chargingProfile) {
+                        this.logMsg("Charging profile of the remote start ignored (not supported in OCPP 2.0.1)");
+                    }
+                    await this.remoteStart(startEvse, tokenId, null, payload.remoteStartId);
+                }
+                break;
+
+            case "RequestStopTransaction":
+                this.logMsg("Reception of a RequestStopTransaction request for transaction " + payload.transactionId);
+                var stopStatus = this._remoteStartStopResponse;
+                if (!this.connectorForTransaction(payload.transactionId)) {
+                    this.logMsg("Unknown transaction " + payload.transactionId);
+                    stopStatus = "Rejected";
+                }
+                this.respond(id, request, { "status": stopStatus });
+                if (stopStatus != "Rejected") {
+                    this.stopTransactionWithId(payload.transactionId, "", ocpp.REASON_REMOTE);
+                }
+                break;
+
+            case "TriggerMessage":
+                var evseId = evse ? evse.id : 0;
+                this.logMsg("Reception of a TriggerMessage request (" + payload.requestedMessage + (evse ? ", EVSE " + evseId : "") + ")");
+                var triggered = [ocpp.BOOT_NOTIFICATION, ocpp.HEARTBEAT, ocpp.METER_VALUES, ocpp.STATUS_NOTIFICATION,
+                    ocpp.TRANSACTION_EVENT, ocpp.FIRMWARE_STATUS_NOTIFICATION];
+                var triggerStatus = "Accepted";
+                if (!triggered.includes(payload.requestedMessage)) {
+                    triggerStatus = "NotImplemented";
+                }
+                else if (!this.connector(evseId) || (evse && evse.connectorId !== undefined && evse.connectorId != ocpp.EVSE_CONNECTOR_ID)) {
+                    triggerStatus = "Rejected";
+                }
+                this.respond(id, request, { "status": triggerStatus });
+                if (triggerStatus == "Accepted") {
+                    this.triggerMessage(payload.requestedMessage, evseId);
+                }
+                break;
+
+            case "ChangeAvailability":
+                var availabilityEvse = evse ? evse.id : 0;
+                this.logMsg("Reception of a ChangeAvailability request (EVSE " + availabilityEvse + " " + payload.operationalStatus + ")");
+                var availabilityStatus = ocpp.AVAILABILITY_REJECTED;
+                if (!evse || evse.connectorId === undefined || evse.connectorId == ocpp.EVSE_CONNECTOR_ID) {
+                    availabilityStatus = this.changeAvailability(Number(availabilityEvse), payload.operationalStatus);
+                }
+                this.respond(id, request, { "status": availabilityStatus });
+                break;
+
+            case "UnlockConnector":
+                var unlockStatus = "Unlocked";
+                if (!this.connector(payload.evseId) || payload.evseId == 0 || payload.connectorId != ocpp.EVSE_CONNECTOR_ID) {
+                    unlockStatus = "UnknownConnector";
+                }
+                else if (this.connector(payload.evseId).hasTransaction()) {
+                    unlockStatus = "OngoingAuthorizedTransaction";
+                }
+                this.logMsg("Reception of an UnlockConnector request (EVSE " + payload.evseId + "): " + unlockStatus);
+                this.respond(id, request, { "status": unlockStatus });
+                break;
+
+            case "ClearCache":
+                this.logMsg("Reception of a ClearCache request");
+                this._authorization.clearCache();
+                this.respond(id, request, { "status": "Accepted" });
+                break;
+
+            case "GetVariables":
+                var getResults = payload.getVariableData.map(data => this._deviceModel.getVariable(data));
+                this.logMsg("Reception of a GetVariables request (" + payload.getVariableData.map(d => d.component.name + "." + d.variable.name).join(",") + ")");
+                this.respond(id, request, { "getVariableResult": getResults });
+                break;
+
+            case "SetVariables":
+                var setResults = payload.setVariableData.map(data => this._deviceModel.setVariable(data));
+                this.logMsg("Reception of a SetVariables request (" + setResults.map(r => r.component.name + "." + r.variable.name + ": " + r.attributeStatus).join(", ") + ")");
+                this.respond(id, request, { "setVariableResult": setResults });
+                break;
+
+            case "GetBaseReport":
+                var reportData = this._deviceModel.report(payload.reportBase);
+                var reportStatus = reportData === null ? ocpp.REPORT_NOT_SUPPORTED :
+                    (reportData.length == 0 ? ocpp.REPORT_EMPTY : ocpp.REPORT_ACCEPTED);
+                this.logMsg("Reception of a GetBaseReport request (" + payload.reportBase + ", request " + payload.requestId + "): " + reportStatus);
+                this.respond(id, request, { "status": reportStatus });
+                if (reportStatus == ocpp.REPORT_ACCEPTED) {
+                    this.sendReport(payload.requestId, reportData);
+                }
+                break;
+
+            default:
+                // NotSupported: a known OCPP action the charge point does not handle, NotImplemented: an unknown action
+                if (ocpp.OCPP201_ACTIONS.includes(request)) {
+                    this.respondError(id, ocpp.ERROR_NOT_SUPPORTED, "Action " + request + " is not supported by the charge point");
+                }
+                else {
+                    this.respondError(id, ocpp.ERROR_NOT_IMPLEMENTED, "Action " + request + " is not implemented");
+                }
+                break;
+        }
+    }
+
+    //
+    // Send the report of a GetBaseReport, split in NotifyReport requests of NOTIFY_REPORT_ITEMS variables
+    // @param requestId The requestId of the GetBaseReport
+    // @param reportData The list of ReportDataType
+    // @return a promise resolved once all the NotifyReport are answered
+    //
+    async sendReport(requestId, reportData) {
+        var generatedAt = luxon.DateTime.utc().toISO();
+        for (var seqNo = 0; seqNo * ocpp.NOTIFY_REPORT_ITEMS < reportData.length; seqNo++) {
+            var start = seqNo * ocpp.NOTIFY_REPORT_ITEMS;
+            var payload = {
+                "requestId": requestId,
+                "generatedAt": generatedAt,
+                "seqNo": seqNo,
+                "tbc": start + ocpp.NOTIFY_REPORT_ITEMS < reportData.length,
+                "reportData": reportData.slice(start, start + ocpp.NOTIFY_REPORT_ITEMS)
+            };
+            this.logMsg("Sending NotifyReport " + seqNo + " of request " + requestId);
+            try {
+                await this.call(ocpp.NOTIFY_REPORT, payload);
             }
-            else {
-                this.logMsg('Authorization OK');
-                this.setStatus(ocpp.CP_AUTHORIZED);
+            catch (err) {
+                this.logMsg("Report " + requestId + " interrupted: " + err.message);
+                return;
             }
-            break;
-        case ocpp.START_TRANSACTION:
-            var transactionId = payload.transactionId;
-            if (!transactionId) { 
-                // doing this so StatusNotifications like "CHARGING" doesnt override transaction id
-                break; 
-            }
-            setSessionKey('TransactionId', transactionId);
-            this.setStatus(ocpp.CP_INTRANSACTION, 'TransactionId: ' + transactionId)
-            this.logMsg("Transaction id is " + transactionId);
-            break;
-        case ocpp.STOP_TRANSACTION:
-            // assuming id 1 for now.
-            const connectorId = 1;
-            this.setConnectorStatus(connectorId, ocpp.CONN_AVAILABLE)
-            break;
+        }
+    }
 
-        default:
-            this.logMsg("NOT IMPLEMENTED in handleCallResult in ocpp_chargepont.js, payload: " + JSON.stringify(payload));
+    //
+    // @param tagId The idTag of a remote start
+    // @param connectorId The requested connector, the first free one if not given
+    // @return the connector on which the transaction can start, null if none
+    //
+    remoteStartConnector(tagId, connectorId) {
+        var conn = connectorId ? this.connector(connectorId) : this.freeConnector(tagId);
+        if (!conn || conn.id() == 0 || conn.hasTransaction() || this.isReservedForOther(conn.id(), tagId)) {
+            this.logMsg("No free connector for the remote start");
+            return null;
         }
+        return conn;
     }
 
     //
-    // Handle an error response from the OCPP server
-    // @param errCode The error code
-    // @param errMsg  The clear text description of the error
+    // Start the transaction of an accepted remote start: the idTag is authorized first when
+    // AuthorizeRemoteTxRequests is set, and the transaction starts once the user had time to plug in the EV
+    // @param conn The connector
+    // @param tagId The idTag
+    // @param chargingProfile Optional TxProfile of the transaction (OCPP 1.6)
+    // @param remoteStartId Optional id of the RequestStartTransaction (OCPP 2.0.1)
     //
-    handleCallError(errCode, errMsg) {
-        this.setStatus(ocpp.CP_ERROR, 'ErrorCode: ' + errCode + ' (' + errMsg + ')');
+    async remoteStart(conn, tagId, chargingProfile = null, remoteStartId = null) {
+        if (this._configuration.getBool("AuthorizeRemoteTxRequests")) {
+            var authConf = await this.authorize(tagId).catch(() => null);
+            if (!authConf || authConf.idTagInfo.status != ocpp.AUTH_ACCEPTED) {
+                this.logMsg("Remote start not authorized for tag " + tagId);
+                return;
+            }
+        }
+
+        // Simulate time it takes for user to plug in charger
+        this.logMsg(`Simulating ${this._remoteStartDelaySeconds} sec delay for user to plug in charger`);
+        if (conn.status() == ocpp.CONN_AVAILABLE) {
+            this.setConnectorStatus(conn.id(), ocpp.CONN_PREPARING);
+        }
+        var preparing = conn.status() == ocpp.CONN_PREPARING;
+        await new Promise(resolve => setTimeout(resolve, 1000 * this._remoteStartDelaySeconds))
+        // canceled meanwhile (ConnectionTimeOut expired, connector made unavailable...)
+        if (preparing && conn.status() != ocpp.CONN_PREPARING && !conn.hasTransaction()) {
+            this.logMsg("Remote start of connector " + conn.id() + " canceled (" + conn.status() + ")");
+            return;
+        }
+
+        this.startTransaction(tagId, conn.id(), null, remoteStartId);
+        if (chargingProfile && conn.hasTransaction()) {
+            var txProfile = Object.assign({}, chargingProfile, { "transactionId": conn.transactionId() });
+            this.logMsg("Charging profile of the remote start: " + this.setChargingProfile(conn.id(), txProfile));
+        }
     }
 
     //
-    // Send an Authorize call to the OCPP Server
-    // @param tagId the id of the RFID tag to authorize
+    // Send the CALLRESULT of a request received from the OCPP server
+    // @param id The message id of the request
+    // @param action The action of the request
+    // @param payload The payload of the response
     //
-    authorize(tagId) {
-        this.setLastAction("Authorize");
-        this.logMsg("Requesting authorization for tag " + tagId);
-        var id = generateId();
-        var Auth = JSON.stringify([2, id, "Authorize", {
-            "idTag": tagId
-        }]);
-        this.wsSendData(Auth);
+    respond(id, action, payload) {
+        var errors = this.checkPayload(action + "Response", payload);
+        if (errors.length > 0 && this._validationMode == ocpp.VALIDATION_STRICT) {
+            this.respondError(id, ocpp.ERROR_INTERNAL, "Invalid " + action + " response", { "errors": errors });
+            return;
+        }
+        this.wsSendFrame([3, id, payload], action);
     }
 
     //
-    // Send a StartTransaction call to the OCPP Server
-    // @param tagId the id of the RFID tag currently authorized on the CP
+    // Send a CALLERROR in response to a request received from the OCPP server
+    // @param id The message id of the request
+    // @param errorCode The OCPP error code (NotImplemented, FormationViolation...)
+    // @param errorDescription Clear text description of the error
+    // @param errorDetails Object with the details of the error
     //
-    startTransaction(tagId, connectorId = 1, reservationId = 0) {
-        this.setStatus(ocpp.CP_INTRANSACTION);
-        var mv = this.meterValue();
-        var id = generateId();
-        var strtT = JSON.stringify([2, id, ocpp.START_TRANSACTION, {
-            "connectorId": connectorId,
-            "idTag": tagId,
-            "meterStart": mv,
-            "timestamp": luxon.DateTime.utc().toISO(),
-            "reservationId": reservationId
-        }]);
-        this.logMsg("Starting Transaction for tag " + tagId + " (connector:" + connectorId + ", meter value=" + mv + ")");
-        this.wsSendData(strtT);
-        this.setConnectorStatus(connectorId, ocpp.CONN_CHARGING, true);
-        this.setLastAction(ocpp.START_TRANSACTION);
+    respondError(id, errorCode, errorDescription = "", errorDetails = {}) {
+        this.wsSendData(JSON.stringify([4, id, errorCode, errorDescription, errorDetails]));
     }
 
     //
-    // Send a StopTransaction call to the OCPP Server
-    // @param tagId the id of the RFID tag currently authorized on the CP
+    // @return the validator used to check the messages against the OCPP schemas
     //
-    stopTransaction(tagId) {
-        var transactionId = parseInt(getSessionKey("TransactionId"));
-        this.stopTransactionWithId(transactionId, tagId);
+    validator() {
+        return this._validator;
     }
 
     //
-    // Send a StopTransaction call to the OCPP Server
-    // @param transactionId the id of the transaction to stop
-    // @param tagId the id of the RFID tag currently authorized on the CP
+    // Set how the schema violations of the messages sent and of the responses received are handled
+    // (the CALLs of the server are always checked, and answered with a CALLERROR when invalid)
+    // @param mode off, warn (violations are logged) or strict (invalid messages are blocked)
     //
-    stopTransactionWithId(transactionId, tagId = "DEADBEEF") {
-        this.setLastAction(ocpp.STOP_TRANSACTION);
-        this.setStatus(ocpp.CP_AUTHORIZED);
-        var mv = this.meterValue();
-        this.logMsg("Stopping Transaction with id " + transactionId + " (meterValue=" + mv + ")");
+    setValidationMode(mode) {
+        this._validationMode = mode;
+    }
+
+    //
+    // Validate a payload against its schema, logging the violations
+    // (the json/ schemas are the OCPP 1.6 ones: the OCPP 2.0.1 messages are not validated)
+    // @param name The schema name ("Authorize" for the request, "AuthorizeResponse" for the response)
+    // @param payload The payload to check
+    // @return the list of violations (always empty when validation is off)
+    //
+    checkPayload(name, payload) {
+        if (this._validationMode == ocpp.VALIDATION_OFF || this.isOcpp201()) {
+            return [];
+        }
+        var errors = this._validator.validate(name, payload);
+        for (const err of errors) {
+            this.logMsg("Schema violation in " + name + ": " + err.path + " " + err.message);
+        }
+        return errors;
+    }
+
+    //
+    // Send a CALL to the OCPP server and keep track of it until the matching
+    // CALLRESULT or CALLERROR is received (or the timeout expires)
+    // @param action The OCPP action (e.g. "Authorize")
+    // @param payload The payload of the request
+    // @param timeout Optional timeout in seconds
+    // @return A promise resolved with the CALLRESULT payload or rejected with an OcppCallError
+    //
+    call(action, payload = {}, timeout = this._callTimeout) {
+        // until the server accepts the BootNotification, nothing else may be sent
+        if (this._websocket && !this.isRegistered() && action != ocpp.BOOT_NOTIFICATION) {
+            this.logMsg(action + " not sent: the charge point is not registered");
+            return rejected(new OcppCallError(action, ocpp.ERROR_NOT_REGISTERED, "BootNotification not accepted (" + (this._registrationStatus || "no response") + ")"));
+        }
+        var errors = this.checkPayload(action, payload);
+        if (errors.length > 0 && this._validationMode == ocpp.VALIDATION_STRICT) {
+            return rejected(new OcppCallError(action, ocpp.ERROR_SCHEMA_VIOLATION, errors[0].path + " " + errors[0].message, { "errors": errors }));
+        }
         var id = generateId();
-        var stopParams = {
-            "transactionId": transactionId,
+        if (this._faults.find(action, ocpp.FAULT_DUPLICATE_ID) && this._lastCallId !== null) {
+            id = this._lastCallId;
+            // a CALL still waiting for its response cannot be told apart anymore
+            var previous = this.takePendingCall(id);
+            if (previous) {
+                previous.reject(new OcppCallError(previous.action, ocpp.ERROR_DUPLICATE_ID, "Message id " + id + " reused"));
+            }
+        }
+        this._lastCallId = id;
+        var self = this;
+        var p = new Promise(function (resolve, reject) {
+            var timer = setTimeout(function () {
+                self._pendingCalls.delete(id);
+                self.logMsg(action + " request " + id + " timed out after " + timeout + "s");
+                reject(new OcppCallError(action, ocpp.ERROR_TIMEOUT, "No response after " + timeout + "s"));
+            }, timeout * 1000);
+            self._pendingCalls.set(id, {
+                "action": action,
+                "payload": payload,
+                "resolve": resolve,
+                "reject": reject,
+                "timer": timer
+            });
+        });
+        // Failures are already logged, so callers that do not await the
+        // result must not end up with an unhandled rejection
+        p.catch(function () {});
+
+        if (!this.wsSendFrame([2, id, action, payload], action)) {
+            this.takePendingCall(id).reject(new OcppCallError(action, ocpp.ERROR_NOT_CONNECTED, "No connection to OCPP server"));
+        }
+        return p;
+    }
+
+    //
+    // Remove a CALL from the pending list
+    // @param id The message id of the CALL
+    // @return the pending CALL (action, payload, resolve, reject) or null if unknown
+    //
+    takePendingCall(id) {
+        var pending = this._pendingCalls.get(id);
+        if (!pending) {
+            return null;
+        }
+        clearTimeout(pending.timer);
+        this._pendingCalls.delete(id);
+        return pending;
+    }
+
+    //
+    // Reject all the pending CALLs (used when the connection is lost)
+    // @param reason Clear text reason of the failure
+    //
+    rejectPendingCalls(reason) {
+        for (const id of Array.from(this._pendingCalls.keys())) {
+            var pending = this.takePendingCall(id);
+            pending.reject(new OcppCallError(pending.action, ocpp.ERROR_NOT_CONNECTED, reason));
+        }
+    }
+
+    //
+    // Handle the response from the OCPP server to a command 
+    // @param id The message id of the CALL this is a response to
+    // @param payload The payload part of the OCPP message
+    //
+    handleCallResult(id, payload) {
+        var pending = this.takePendingCall(id);
+        if (!pending) {
+            this.logMsg("Received a CALLRESULT for an unknown message id: " + id);
+            return;
+        }
+        var errors = this.checkPayload(pending.action + "Response", payload);
+        if (errors.length > 0 && this._validationMode == ocpp.VALIDATION_STRICT) {
+            pending.reject(new OcppCallError(pending.action, ocpp.ERROR_SCHEMA_VIOLATION, errors[0].path + " " + errors[0].message, { "errors": errors }));
+            return;
+        }
+        switch(pending.action) {
+
+        case ocpp.BOOT_NOTIFICATION:
+            this._registrationStatus = payload.status;
+            if (payload.status == ocpp.REGISTRATION_ACCEPTED) {
+                this.logMsg("Connection accepted");
+                this._reconnectAttempts = 0;
+                this._bootReason = ocpp.BOOT_POWER_UP;
+                // the interval given by the server overrides the HeartbeatInterval key
+                if (payload.interval > 0) {
+                    this._configuration.store("HeartbeatInterval", payload.interval);
+                }
+                this.setHeartbeat(this._configuration.getInt("HeartbeatInterval"));
+                this.setStatus(ocpp.CP_CONNECTED);
+                // let the server know the status of every connector
+                for (var c = 0; c <= this.connectorCount(); c++) {
+                    this.sendStatusNotification(c);
+                }
+                // then deliver what happened while offline
+                this.processQueue();
+            }
+            else {
+                // Pending or Rejected: the interval is the time to wait before the next BootNotification
+                var retry = payload.interval > 0 ? payload.interval : ocpp.BOOT_RETRY_SECONDS;
+                this.logMsg("Registration " + payload.status + " by server, next BootNotification in " + retry + "s");
+                this.scheduleBootNotification(retry);
+            }
+            break;
+        case ocpp.AUTHORIZE:
+            var idTagInfo = this.isOcpp201() ? ocpp201.idTagInfo(payload.idTokenInfo) : payload.idTagInfo;
+            this.cacheIdTagInfo(this.isOcpp201() ? pending.payload.idToken.idToken : pending.payload.idTag, idTagInfo);
+            if (idTagInfo.status != ocpp.AUTH_ACCEPTED) {
+                this.logMsg('Authorization failed (' + idTagInfo.status + ')');
+            }
+            else {
+                this.logMsg('Authorization OK');
+                this.setStatus(ocpp.CP_AUTHORIZED);
+            }
+            break;
+        default:
+            break;
+        }
+        pending.resolve(payload);
+    }
+
+    //
+    // Handle an error response from the OCPP server
+    // @param id The message id of the CALL this is a response to
+    // @param errCode The error code
+    // @param errMsg  The clear text description of the error
+    // @param errDetails The error details object
+    //
+    handleCallError(id, errCode, errMsg, errDetails = {}) {
+        var pending = this.takePendingCall(id);
+        if (!pending) {
+            this.logMsg("Received a CALLERROR for an unknown message id: " + id + " (" + errCode + ")");
+            return;
+        }
+        // only the CALL fails, the charge point goes on
+        this.logMsg(pending.action + " request " + id + " failed: " + errCode +
+            (isEmpty(errMsg) ? "" : " (" + errMsg + ")") + (isObject(errDetails) && Object.keys(errDetails).length > 0 ? " " + JSON.stringify(errDetails) : ""));
+        pending.reject(new OcppCallError(pending.action, errCode, errMsg, isObject(errDetails) ? errDetails : {}, id));
+    }
+
+    //
+    // Decode a message received from the OCPP server and pass it to the appropriate handler
+    // The CALLs which cannot be handled are answered with a CALLERROR (OCPP-J 1.6 section 4.2.3),
+    // the malformed responses failing the matching CALL
+    // @param data The raw message
+    //
+    handleMessage(data) {
+        var frame;
+        try {
+            frame = JSON.parse(data);
+        }
+        catch (err) {
+            this.logMsg("Invalid JSON received: " + err.message);
+            // answer a CALL whose message id can still be read
+            var call = /^\s*\[\s*2\s*,\s*"([^"]*)"/.exec(data);
+            if (call) {
+                this.respondError(call[1], ocpp.ERROR_FORMATION, "Invalid JSON: " + err.message);
+            }
+            return;
+        }
+        if (!Array.isArray(frame) || typeof frame[1] != "string") {
+            this.logMsg("Invalid message received: not a [MessageTypeId, UniqueId, ...] array");
+            return;
+        }
+        var id = frame[1];
+        switch (frame[0]) {
+            case 2: // CALL
+                if (frame.length < 4) {
+                    this.respondError(id, ocpp.ERROR_PROTOCOL, "Incomplete CALL: [2, UniqueId, Action, Payload] expected");
+                }
+                else if (frame.length > 4 || typeof frame[2] != "string" || !isObject(frame[3])) {
+                    this.respondError(id, ocpp.ERROR_FORMATION, "Invalid CALL: [2, UniqueId, Action, Payload] expected");
+                }
+                else {
+                    this.handleCallRequest(id, frame[2], frame[3]).catch(err => this.handleCallFailure(id, frame[2], err));
+                }
+                break;
+            case 3: // CALLRESULT
+                if (frame.length != 3 || !isObject(frame[2])) {
+                    this.handleCallError(id, ocpp.ERROR_FORMATION, "Invalid CALLRESULT: [3, UniqueId, Payload] expected");
+                }
+                else {
+                    this.handleCallResult(id, frame[2]);
+                }
+                break;
+            case 4: // CALLERROR
+                if (frame.length < 4 || typeof frame[2] != "string") {
+                    this.handleCallError(id, ocpp.ERROR_PROTOCOL, "Invalid CALLERROR: [4, UniqueId, ErrorCode, ErrorDescription, ErrorDetails] expected");
+                }
+                else {
+                    this.handleCallError(id, frame[2], frame[3] || "", frame[4] || {});
+                }
+                break;
+            default:
+                this.logMsg("Unknown message type " + JSON.stringify(frame[0]) + " received (message " + id + ")");
+                this.respondError(id, ocpp.ERROR_PROTOCOL, "Unknown MessageTypeId " + JSON.stringify(frame[0]));
+                break;
+        }
+    }
+
+    //
+    // Answer a CALL whose handling failed with an InternalError
+    // (the payloads violating their schema are rejected before the handling)
+    // @param id The message id of the CALL
+    // @param action The action of the CALL
+    // @param err The error thrown by the handler
+    //
+    handleCallFailure(id, action, err) {
+        this.logMsg("Error while handling " + action + " " + id + ": " + err.message);
+        this.respondError(id, ocpp.ERROR_INTERNAL, err.message);
+    }
+
+    //
+    // Send an Authorize call to the OCPP Server, unless the tag can be authorized locally
+    // (local list or cache, see localAuthorization)
+    // @param tagId the id of the RFID tag to authorize
+    // @return A promise resolved with the Authorize.conf payload ({idTagInfo}, converted from the idTokenInfo in OCPP 2.0.1)
+    //
+    authorize(tagId) {
+        var local = this.localAuthorization(tagId);
+        if (local) {
+            this.logMsg("Tag " + tagId + " authorized locally (" + local.source + "): " + local.idTagInfo.status);
+            if (local.idTagInfo.status == ocpp.AUTH_ACCEPTED) {
+                this.setStatus(ocpp.CP_AUTHORIZED);
+            }
+            return Promise.resolve({ "idTagInfo": local.idTagInfo });
+        }
+        this.logMsg("Requesting authorization for tag " + tagId);
+        if (this.isOcpp201()) {
+            var p = this.call(ocpp.AUTHORIZE, { "idToken": ocpp201.idToken(tagId) })
+                .then(conf => ({ "idTagInfo": ocpp201.idTagInfo(conf.idTokenInfo) }));
+            p.catch(function () {});
+            return p;
+        }
+        return this.call(ocpp.AUTHORIZE, {
+            "idTag": tagId
+        });
+    }
+
+    //
+    // Authorize an idTag without asking the server, as allowed by the configuration:
+    // - online, only the tags Accepted by the local list or cache (LocalPreAuthorize)
+    // - offline, any tag known locally (LocalAuthorizeOffline), the unknown ones being
+    //   accepted when AllowOfflineTxForUnknownId is set
+    // @param tagId the id of the RFID tag
+    // @return {source: "list", "cache" or "offline", idTagInfo}, null if the server must be asked
+    //
+    localAuthorization(tagId) {
+        var cfg = this._configuration;
+        var known = this._authorization.lookup(tagId, cfg.getBool("LocalAuthListEnabled"), cfg.getBool("AuthorizationCacheEnabled"));
+        if (this.isRegistered()) {
+            if (known && cfg.getBool("LocalPreAuthorize") && known.idTagInfo.status == ocpp.AUTH_ACCEPTED) {
+                return known;
+            }
+            return null;
+        }
+        if (known && cfg.getBool("LocalAuthorizeOffline")) {
+            return known;
+        }
+        if (!known && cfg.getBool("AllowOfflineTxForUnknownId")) {
+            return { "source": "offline", "idTagInfo": { "status": ocpp.AUTH_ACCEPTED } };
+        }
+        return null;
+    }
+
+    //
+    // Keep the idTagInfo of a server response in the authorization cache
+    // (the tags of the local list are managed by the server through SendLocalList only)
+    // @param idTag The idTag
+    // @param idTagInfo The idTagInfo of the Authorize, StartTransaction or StopTransaction response
+    //
+    cacheIdTagInfo(idTag, idTagInfo) {
+        if (!idTag || !idTagInfo || !this._configuration.getBool("AuthorizationCacheEnabled")) {
+            return;
+        }
+        if (this._configuration.getBool("LocalAuthListEnabled") && idTag in this._authorization.localList()) {
+            return;
+        }
+        this._authorization.updateCache(idTag, idTagInfo);
+    }
+
+    //
+    // @return the queue of the transaction related messages waiting for the server
+    //
+    queue() {
+        return this._queue;
+    }
+
+    //
+    // @return a new local transaction id, used until the server assigns the real one
+    // (negative so that it cannot collide with an id given by the server)
+    //
+    nextLocalTransactionId() {
+        var id = Number(this._storage.getKey(ocpp.KEY_LOCAL_TRANSACTION_ID, "0")) - 1;
+        this._storage.setKey(ocpp.KEY_LOCAL_TRANSACTION_ID, id);
+        return id;
+    }
+
+    //
+    // Queue a transaction related message and send the queue if the server is reachable
+    // @param action StartTransaction, MeterValues or StopTransaction (or another message which must not be lost)
+    // @param payload The payload of the request
+    // @param transactionId The (local or server-assigned) id of the transaction, null if none
+    // @return A promise resolved with the CALLRESULT payload once the message is delivered
+    //
+    sendTransactionMessage(action, payload, transactionId) {
+        var entry = {
+            "id": generateId(),
+            "action": action,
+            "payload": payload,
+            "transactionId": transactionId
+        };
+        this._queue.push(entry);
+        var p = new Promise((resolve, reject) => {
+            this._queueWaiters.set(entry.id, { "resolve": resolve, "reject": reject });
+        });
+        p.catch(function () {});
+        if (!this.isRegistered()) {
+            this.logMsg(action + " queued until the OCPP server is reachable (" + this._queue.length() + " message(s) waiting)");
+        }
+        this.processQueue();
+        return p;
+    }
+
+    //
+    // Send the queued messages one after the other, each one waiting for the response to the previous one
+    // A message stays in the queue when the connection is lost. When the server does not answer or
+    // answers with a CALLERROR, it is sent again after TransactionMessageRetryInterval multiplied by
+    // the number of failed attempts, and dropped after TransactionMessageAttempts attempts
+    //
+    async processQueue() {
+        if (this._replayingQueue || this._queueRetryTimer !== null || !this.isRegistered()) {
+            return;
+        }
+        this._replayingQueue = true;
+        var entry;
+        while (this.isRegistered() && (entry = this._queue.peek()) !== null) {
+            var waiter = this._queueWaiters.get(entry.id);
+            var conf;
+            try {
+                conf = await this.call(entry.action, entry.payload);
+            }
+            catch (err) {
+                if (err.errorCode == ocpp.ERROR_NOT_CONNECTED) {
+                    this.logMsg(entry.action + " kept in queue: " + err.message);
+                    break;
+                }
+                var attempts = this._queue.failedAttempt(entry.id);
+                if (attempts < this._configuration.getInt("TransactionMessageAttempts")) {
+                    var delay = this._configuration.getInt("TransactionMessageRetryInterval") * attempts;
+                    this.logMsg(entry.action + " kept in queue: " + err.message + ", attempt " + (attempts + 1) + " in " + delay + "s");
+                    this._queueRetryTimer = setTimeout(() => {
+                        this._queueRetryTimer = null;
+                        this.processQueue();
+                    }, delay * 1000);
+                    break;
+                }
+                this.logMsg(entry.action + " dropped from queue after " + attempts + " attempt(s): " + err.message);
+                this._queue.remove(entry.id);
+                this._queueWaiters.delete(entry.id);
+                if (waiter) {
+                    waiter.reject(err);
+                }
+                continue;
+            }
+            this._queue.remove(entry.id);
+            this._queueWaiters.delete(entry.id);
+            if (conf.idTagInfo) {
+                this.cacheIdTagInfo(entry.payload.idTag, conf.idTagInfo);
+            }
+            else if (conf.idTokenInfo && entry.payload.idToken) {
+                this.cacheIdTagInfo(entry.payload.idToken.idToken, ocpp201.idTagInfo(conf.idTokenInfo));
+            }
+            if (entry.action == ocpp.START_TRANSACTION) {
+                this.transactionConfirmed(entry.transactionId, conf.transactionId);
+                this.transactionAuthorization(conf.transactionId, conf.idTagInfo);
+            }
+            else if (entry.action == ocpp.TRANSACTION_EVENT) {
+                this.transactionAuthorization(entry.transactionId, ocpp201.idTagInfo(conf.idTokenInfo));
+            }
+            if (waiter) {
+                waiter.resolve(conf);
+            }
+        }
+        this._replayingQueue = false;
+    }
+
+    //
+    // Handle the transaction id assigned by the server in the StartTransaction.conf
+    // @param localId The local id of the transaction
+    // @param transactionId The id assigned by the server
+    //
+    transactionConfirmed(localId, transactionId) {
+        // the messages still queued for this transaction must carry the real id
+        this._queue.replaceTransactionId(localId, transactionId);
+        var conn = this.connectorForTransaction(localId);
+        if (!conn) {
+            this.logMsg("Transaction id is " + transactionId + " (transaction already stopped)");
+            return;
+        }
+        conn.setTransaction(conn.transactionTag(), transactionId);
+        this.setStatus(ocpp.CP_INTRANSACTION, 'TransactionId: ' + transactionId)
+        this.logMsg("Transaction id is " + transactionId + " (connector " + conn.id() + ")");
+        if (this._transactionChangeCb) {
+            this._transactionChangeCb(conn.id(), transactionId);
+        }
+    }
+
+    //
+    // Handle the idTagInfo given in the response to the start of a transaction: when the idTag is not
+    // accepted, the transaction is stopped (reason DeAuthorized) if StopTransactionOnInvalidId is true,
+    // the energy delivery being suspended (SuspendedEVSE) otherwise
+    // @param transactionId The id of the transaction
+    // @param idTagInfo The idTagInfo of the response, null if none
+    //
+    transactionAuthorization(transactionId, idTagInfo) {
+        var conn = this.connectorForTransaction(transactionId);
+        if (!conn || !idTagInfo || idTagInfo.status == ocpp.AUTH_ACCEPTED) {
+            return;
+        }
+        this.logMsg("Tag " + conn.transactionTag() + " of transaction " + transactionId + " not accepted (" + idTagInfo.status + ")");
+        if (this._configuration.getBool("StopTransactionOnInvalidId")) {
+            this.stopTransactionWithId(transactionId, conn.transactionTag(), ocpp.REASON_DEAUTHORIZED);
+        }
+        else {
+            this.setConnectorStatus(conn.id(), ocpp.CONN_SUSPENDED_EVSE);
+        }
+    }
+
+    //
+    // Send a StartTransaction call to the OCPP Server
+    // (queued if the server is not reachable, the transaction runs with a local id meanwhile)
+    // A reserved connector only accepts the idTag of the reservation (or of its group),
+    // the reservation then ends and its id is sent in the StartTransaction
+    // In OCPP 2.0.1, a TransactionEvent Started is sent instead, with a transaction id chosen by the charge point
+    // @param tagId the id of the RFID tag currently authorized on the CP
+    // @param connectorId the connector on which the transaction is started
+    // @param reservationId optional id of the reservation, taken from the reservation used if any
+    // @param remoteStartId optional id of the RequestStartTransaction which started the transaction (OCPP 2.0.1)
+    //
+    startTransaction(tagId, connectorId, reservationId = null, remoteStartId = null) {
+        var conn = this.connector(connectorId);
+        if (!conn || connectorId == 0) {
+            this.logMsg("Cannot start a transaction on unknown connector " + connectorId);
+            return null;
+        }
+        if (conn.hasTransaction()) {
+            this.logMsg("A transaction is already running on connector " + connectorId);
+            return null;
+        }
+        var reserved = conn.status() == ocpp.CONN_RESERVED;
+        if (conn.status() == ocpp.CONN_UNAVAILABLE || conn.status() == ocpp.CONN_FAULTED || (!reserved && !conn.canSetStatus(ocpp.CONN_CHARGING))) {
+            this.logMsg("Cannot start a transaction on connector " + connectorId + " while " + conn.status());
+            return null;
+        }
+        if (this.isReservedForOther(conn.id(), tagId)) {
+            this.logMsg("Cannot start a transaction on connector " + connectorId + ": reserved for another idTag");
+            return null;
+        }
+        var reservedConnector = this.reservedConnectorFor(conn.id(), tagId);
+        if (reservedConnector !== null) {
+            if (reservationId === null) {
+                reservationId = this.connector(reservedConnector).reservation().reservationId;
+            }
+            this.logMsg("Reservation " + reservationId + " used by tag " + tagId);
+            this.clearReservation(reservedConnector, false);
+        }
+        if (reserved) {
+            // Reserved -> Preparing -> Charging
+            this.setConnectorStatus(connectorId, ocpp.CONN_PREPARING);
+        }
+        var localId = this.isOcpp201() ? generateId() : this.nextLocalTransactionId();
+        conn.setTransaction(tagId, localId);
+        this._transactionStart[conn.id()] = Date.now();
+        this.setStatus(ocpp.CP_INTRANSACTION);
+        this._meters[conn.id()].startSession();
+        var mv = this.meterValue(conn.id());
+        this._transactionData[conn.id()] = [
+            this.meterValueSample(conn.id(), ocpp.CONTEXT_TRANSACTION_BEGIN, this.meterValuesSettings().stopTxnSampledData)
+        ];
+        this.logMsg("Starting Transaction for tag " + tagId + " (connector:" + connectorId + ", meter value=" + mv + ")");
+        if (this.isOcpp201()) {
+            var fields = {
+                "idToken": ocpp201.idToken(tagId),
+                "meterValue": this._transactionData[conn.id()].map(ocpp201.meterValue)
+            };
+            var info = { "chargingState": ocpp.CHARGING_STATE_CHARGING };
+            if (reservationId !== null) {
+                fields["reservationId"] = reservationId;
+            }
+            if (remoteStartId !== null) {
+                info["remoteStartId"] = remoteStartId;
+            }
+            this._seqNo[conn.id()] = 0;
+            var event = this.sendTransactionEvent(conn.id(), ocpp.TX_STARTED,
+                remoteStartId !== null ? ocpp.TRIGGER_REMOTE_START : ocpp.TRIGGER_AUTHORIZED, fields, info);
+            this.setStatus(ocpp.CP_INTRANSACTION, 'TransactionId: ' + localId);
+            if (this._transactionChangeCb) {
+                this._transactionChangeCb(conn.id(), localId);
+            }
+            this.setConnectorStatus(connectorId, ocpp.CONN_CHARGING);
+            this.startMeterValues(conn.id());
+            return event;
+        }
+        var startParams = {
+            "connectorId": Number(connectorId),
+            "idTag": tagId,
+            "meterStart": mv,
+            "timestamp": luxon.DateTime.utc().toISO()
+        };
+        if (reservationId !== null) {
+            startParams["reservationId"] = reservationId;
+        }
+        var p = this.sendTransactionMessage(ocpp.START_TRANSACTION, startParams, localId);
+        this.setConnectorStatus(connectorId, ocpp.CONN_CHARGING);
+        this.startMeterValues(conn.id());
+        return p;
+    }
+
+    //
+    // Send a StopTransaction call to the OCPP Server
+    // @param tagId the id of the RFID tag currently authorized on the CP
+    // @param connectorId the connector on which the transaction is running
+    //
+    stopTransaction(tagId, connectorId) {
+        var conn = this.connector(connectorId);
+        if (!conn || conn.transactionId() === null) {
+            this.logMsg("No transaction running on connector " + connectorId);
+            return null;
+        }
+        return this.stopTransactionWithId(conn.transactionId(), tagId);
+    }
+
+    //
+    // Send a StopTransaction call to the OCPP Server
+    // @param transactionId the id of the transaction to stop
+    // @param tagId the id of the RFID tag currently authorized on the CP
+    // @param reason optional reason of the stop (EVDisconnected, Local, Remote...)
+    //
+    stopTransactionWithId(transactionId, tagId = "DEADBEEF", reason = "") {
+        var conn = this.connectorForTransaction(transactionId);
+        if (!conn) {
+            this.logMsg("Unknown transaction " + transactionId);
+            return null;
+        }
+        this.stopMeterValues(conn.id());
+        var mv = this.meterValue(conn.id());
+        var transactionData = this._transactionData[conn.id()];
+        transactionData.push(this.meterValueSample(conn.id(), ocpp.CONTEXT_TRANSACTION_END, this.meterValuesSettings().stopTxnSampledData));
+        this._transactionData[conn.id()] = [];
+        this.logMsg("Stopping Transaction with id " + transactionId + " (meterValue=" + mv + ")");
+        var p;
+        if (this.isOcpp201()) {
+            var fields = { "meterValue": transactionData.map(ocpp201.meterValue) };
+            if (!isEmpty(tagId)) {
+                fields["idToken"] = ocpp201.idToken(tagId);
+            }
+            p = this.sendTransactionEvent(conn.id(), ocpp.TX_ENDED, ocpp201.stopTriggerReason(reason), fields,
+                { "stoppedReason": ocpp201.stoppedReason(reason) });
+        }
+        else {
+            var stopParams = {
+                "transactionId": transactionId,
+                "timestamp": luxon.DateTime.utc().toISO(),
+                "meterStop": mv
+            };
+            if (!isEmpty(tagId)) {
+                stopParams["idTag"] = tagId;
+            }
+            if (!isEmpty(reason)) {
+                stopParams["reason"] = reason;
+            }
+            stopParams["transactionData"] = transactionData;
+            p = this.sendTransactionMessage(ocpp.STOP_TRANSACTION, stopParams, transactionId);
+        }
+        conn.clearTransaction();
+        this._chargingState[conn.id()] = null;
+        // the TxProfiles end with the transaction
+        this._chargingProfiles.clear({ "connectorId": conn.id(), "chargingProfilePurpose": ocpp.PURPOSE_TX });
+        this._transactionStart[conn.id()] = null;
+        this.setConnectorStatus(conn.id(), ocpp.CONN_FINISHING);
+        // the connector stays in Finishing until the EV is unplugged, and after an EV side disconnection
+        // until an UnlockConnector if the cable is not unlocked (UnlockConnectorOnEVSideDisconnect)
+        if (!conn.isPlugged() &&
+            (reason != ocpp.REASON_EV_DISCONNECTED || this._configuration.getBool("UnlockConnectorOnEVSideDisconnect"))) {
+            this.setConnectorStatus(conn.id(), ocpp.CONN_AVAILABLE);
+        }
+        if (this._transactionChangeCb) {
+            this._transactionChangeCb(conn.id(), null);
+        }
+        if (!this.connectors().some(c => c.hasTransaction())) {
+            this.setStatus(ocpp.CP_AUTHORIZED);
+        }
+        this.applyScheduledAvailability();
+        if (this._resetOnIdle && !this.isInUse(0)) {
+            this._resetOnIdle = false;
+            this.logMsg("Transactions over, running the scheduled reset");
+            this.reset(ocpp.RESET_SOFT);
+        }
+        return p;
+    }
+
+    //
+    // Send a TransactionEvent (OCPP 2.0.1) for the transaction running on a connector,
+    // queued like the other transaction related messages
+    // @param c connectorId (evseId)
+    // @param eventType Started, Updated or Ended
+    // @param triggerReason The reason of the event (Authorized, MeterValuePeriodic, RemoteStop...)
+    // @param fields Optional fields of the event (idToken, meterValue, reservationId)
+    // @param transactionInfo Optional fields of the transactionInfo (chargingState, stoppedReason, remoteStartId)
+    // @return A promise resolved with the CALLRESULT payload once the message is delivered
+    //
+    sendTransactionEvent(c, eventType, triggerReason, fields = {}, transactionInfo = {}) {
+        var transactionId = this.connector(c).transactionId();
+        if (transactionInfo.chargingState) {
+            this._chargingState[c] = transactionInfo.chargingState;
+        }
+        var payload = Object.assign({
+            "eventType": eventType,
             "timestamp": luxon.DateTime.utc().toISO(),
-            "meterStop": mv
+            "triggerReason": triggerReason,
+            "seqNo": this._seqNo[c]++,
+            "transactionInfo": Object.assign({ "transactionId": transactionId }, transactionInfo),
+            "evse": { "id": Number(c), "connectorId": ocpp.EVSE_CONNECTOR_ID }
+        }, fields);
+        if (!this.isRegistered()) {
+            payload["offline"] = true;
+        }
+        if (payload.meterValue && payload.meterValue.length == 0) {
+            delete payload.meterValue;
+        }
+        this.logMsg("Sending TransactionEvent " + eventType + " (" + triggerReason + ") for transaction " + transactionId);
+        return this.sendTransactionMessage(ocpp.TRANSACTION_EVENT, payload, transactionId);
+    }
+
+    //
+    // Implement the TriggerMessage request (OCPP 1.6 and 2.0.1, c being the evseId in OCPP 2.0.1)
+    // @param requestedMessage the message that shall be triggered
+    // @param c connectorId concerned by the message (if any)
+    //
+    triggerMessage(requestedMessage, c = 0) {
+        switch (requestedMessage) {
+            case 'BootNotification':
+                this._bootReason = ocpp.BOOT_TRIGGERED;
+                this.sendBootNotification();
+                break;
+            case 'Heartbeat':
+                this.sendHeartbeat();
+                break;
+            case 'MeterValues':
+                this.sendMeterValue(c, ocpp.CONTEXT_TRIGGER);
+                break;
+            case 'StatusNotification':
+                // OCPP 2.0.1 has no connector 0: the status of every EVSE is sent
+                if (this.isOcpp201() && c == 0) {
+                    this.connectors().forEach(conn => this.sendStatusNotification(conn.id()));
+                    break;
+                }
+                this.sendStatusNotification(c);
+                break;
+            case ocpp.TRANSACTION_EVENT:
+                for (const conn of c == 0 ? this.connectors() : [this.connector(c)]) {
+                    if (conn.hasTransaction()) {
+                        this.sendTransactionEvent(conn.id(), ocpp.TX_UPDATED, ocpp.TRIGGER_TRIGGER, {
+                            "meterValue": [ocpp201.meterValue(this.meterValueSample(conn.id(), ocpp.CONTEXT_TRIGGER, this.meterValuesSettings().sampledData))]
+                        }, { "chargingState": ocpp201.chargingState(conn.status()) });
+                    }
+                }
+                break;
+            case ocpp.DIAGNOSTICS_STATUS_NOTIFICATION:
+                this.sendDiagnosticsStatusNotification();
+                break;
+            case ocpp.FIRMWARE_STATUS_NOTIFICATION:
+                this.sendFirmwareStatusNotification();
+                break;
+            default:
+                this.logMsg("Requested Message not supported: " + requestedMessage);
+                break;
+        }
+    }
+
+    //
+    // Implement the ExtendedTriggerMessage request (security extension): the messages of TriggerMessage,
+    // the FirmwareStatusNotification becoming a SignedFirmwareStatusNotification, and SignChargePointCertificate
+    // @param requestedMessage the message that shall be triggered
+    // @param c connectorId concerned by the message (if any)
+    //
+    extendedTriggerMessage(requestedMessage, c = 0) {
+        switch (requestedMessage) {
+            case ocpp.FIRMWARE_STATUS_NOTIFICATION:
+                this.sendSignedFirmwareStatusNotification();
+                break;
+            case ocpp.TRIGGER_SIGN_CERTIFICATE:
+                this.signCertificate();
+                break;
+            default:
+                this.triggerMessage(requestedMessage, c);
+                break;
+        }
+    }
+
+    //
+    // @return the firmware version reported in the BootNotification
+    //
+    firmwareVersion() {
+        return this._storage.getKey(ocpp.KEY_FIRMWARE_VERSION, ocpp.DEFAULT_FIRMWARE_VERSION);
+    }
+
+    //
+    // @return the settings of the simulated firmware update and diagnostics upload (see ocpp.DEFAULT_MAINTENANCE_SETTINGS)
+    //
+    maintenanceSettings() {
+        return this._maintenanceSettings;
+    }
+
+    //
+    // Change the settings of the simulated firmware update and diagnostics upload
+    // @param settings Object with the settings to change (downloadSeconds, installSeconds, rebootSeconds, failure)
+    //
+    setMaintenanceSettings(settings) {
+        Object.assign(this._maintenanceSettings, settings);
+    }
+
+    //
+    // @return the status of the firmware update (Idle when no update is in progress)
+    //
+    firmwareStatus() {
+        return this._firmwareStatus;
+    }
+
+    //
+    // @return the status of the diagnostics upload (Idle when no upload is in progress)
+    //
+    diagnosticsStatus() {
+        return this._diagnosticsStatus;
+    }
+
+    //
+    // Send a FirmwareStatusNotification with the current status of the firmware update
+    // (a SignedFirmwareStatusNotification during a SignedUpdateFirmware)
+    //
+    sendFirmwareStatusNotification() {
+        if (this._firmwareRequestId !== null) {
+            return this.sendSignedFirmwareStatusNotification();
+        }
+        this.logMsg("Sending FirmwareStatusNotification: " + this._firmwareStatus);
+        return this.call(ocpp.FIRMWARE_STATUS_NOTIFICATION, { "status": this._firmwareStatus });
+    }
+
+    //
+    // Send a SignedFirmwareStatusNotification with the current status of the firmware update
+    // (and the requestId of the SignedUpdateFirmware if one is running)
+    //
+    sendSignedFirmwareStatusNotification() {
+        var payload = { "status": this._firmwareStatus };
+        if (this._firmwareRequestId !== null) {
+            payload["requestId"] = this._firmwareRequestId;
+        }
+        this.logMsg("Sending SignedFirmwareStatusNotification: " + this._firmwareStatus);
+        return this.call(ocpp.SIGNED_FIRMWARE_STATUS_NOTIFICATION, payload);
+    }
+
+    //
+    // Send a DiagnosticsStatusNotification with the current status of the diagnostics upload
+    //
+    sendDiagnosticsStatusNotification() {
+        this.logMsg("Sending DiagnosticsStatusNotification: " + this._diagnosticsStatus);
+        return this.call(ocpp.DIAGNOSTICS_STATUS_NOTIFICATION, { "status": this._diagnosticsStatus });
+    }
+
+    //
+    // Update the status of the firmware update and notify the server
+    // @param status The new status (Downloading, Downloaded...)
+    //
+    setFirmwareStatus(status) {
+        this._firmwareStatus = status;
+        this.sendFirmwareStatusNotification();
+    }
+
+    //
+    // Update the status of the diagnostics upload and notify the server
+    // @param status The new status (Uploading, Uploaded or UploadFailed)
+    //
+    setDiagnosticsStatus(status) {
+        this._diagnosticsStatus = status;
+        this.sendDiagnosticsStatusNotification();
+    }
+
+    //
+    // Simulate the firmware update of an UpdateFirmware request: download at the retrieveDate,
+    // installation once the running transactions are over, then reboot with the new firmware version
+    // (the firmware is not actually downloaded, the failures being set in the maintenance settings)
+    // A SignedUpdateFirmware also checks the signature of the firmware, may schedule the installation,
+    // and reports its Installed status after the reboot
+    // @param location The URI of the firmware
+    // @param retrieveDate The date after which the firmware must be retrieved (ISO 8601)
+    // @param retries Optional number of download attempts
+    // @param retryInterval Optional delay between two attempts (s)
+    // @param signed Optional {requestId, installDateTime} of a SignedUpdateFirmware
+    // @return a promise resolved with true once the firmware is installed, false if the update failed
+    //
+    async updateFirmware(location, retrieveDate, retries = 1, retryInterval = 0, signed = null) {
+        var settings = this._maintenanceSettings;
+        this._firmwareRequestId = signed ? signed.requestId : null;
+        var wait = (new Date(retrieveDate).getTime() - Date.now()) / 1000;
+        if (wait > 0) {
+            this.logMsg("Firmware download in " + Math.round(wait) + "s");
+            if (signed) {
+                this.setFirmwareStatus(ocpp.FIRMWARE_DOWNLOAD_SCHEDULED);
+            }
+            await delay(wait);
+        }
+        var downloaded = false;
+        for (var attempt = 1; attempt <= Math.max(1, retries || 1) && !downloaded; attempt++) {
+            if (attempt > 1) {
+                await delay(retryInterval || 0);
+            }
+            this.setFirmwareStatus(ocpp.FIRMWARE_DOWNLOADING);
+            await delay(settings.downloadSeconds);
+            downloaded = !shouldFail(settings, ocpp.FAIL_DOWNLOAD);
+            if (!downloaded) {
+                this.logMsg("Firmware download failed (attempt " + attempt + ")");
+                this.setFirmwareStatus(ocpp.FIRMWARE_DOWNLOAD_FAILED);
+            }
+        }
+        if (!downloaded) {
+            this._firmwareStatus = ocpp.FIRMWARE_IDLE;
+            this._firmwareRequestId = null;
+            return false;
+        }
+        this.setFirmwareStatus(ocpp.FIRMWARE_DOWNLOADED);
+        if (signed) {
+            if (shouldFail(settings, ocpp.FAIL_SIGNATURE)) {
+                this.logMsg("Invalid firmware signature");
+                this.setFirmwareStatus(ocpp.FIRMWARE_INVALID_SIGNATURE);
+                this.securityEvent(ocpp.SEC_INVALID_FIRMWARE_SIGNATURE, location);
+                this._firmwareStatus = ocpp.FIRMWARE_IDLE;
+                this._firmwareRequestId = null;
+                return false;
+            }
+            this.setFirmwareStatus(ocpp.FIRMWARE_SIGNATURE_VERIFIED);
+            var installWait = signed.installDateTime ? (new Date(signed.installDateTime).getTime() - Date.now()) / 1000 : 0;
+            if (installWait > 0) {
+                this.logMsg("Firmware installation in " + Math.round(installWait) + "s");
+                this.setFirmwareStatus(ocpp.FIRMWARE_INSTALL_SCHEDULED);
+                await delay(installWait);
+            }
+        }
+        while (this.connectors().some(conn => conn.hasTransaction())) {
+            this.logMsg("Firmware installation waiting for the end of the transactions");
+            await delay(ocpp.FIRMWARE_WAIT_SECONDS);
+        }
+        this.setFirmwareStatus(ocpp.FIRMWARE_INSTALLING);
+        await delay(settings.installSeconds);
+        if (shouldFail(settings, ocpp.FAIL_INSTALL)) {
+            this.logMsg("Firmware installation failed");
+            this.setFirmwareStatus(ocpp.FIRMWARE_INSTALLATION_FAILED);
+            this._firmwareStatus = ocpp.FIRMWARE_IDLE;
+            this._firmwareRequestId = null;
+            return false;
+        }
+        var version = firmwareVersionFromLocation(location, this.firmwareVersion());
+        this._storage.setKey(ocpp.KEY_FIRMWARE_VERSION, version);
+        this.logMsg("Firmware " + version + " installed");
+        this._bootReason = ocpp.BOOT_FIRMWARE_UPDATE;
+        if (signed) {
+            this.setFirmwareStatus(ocpp.FIRMWARE_INSTALL_REBOOTING);
+            this.reboot();
+            // queued until the new firmware is running
+            this.sendTransactionMessage(ocpp.SIGNED_FIRMWARE_STATUS_NOTIFICATION,
+                { "status": ocpp.FIRMWARE_INSTALLED, "requestId": signed.requestId }, null);
+        }
+        else {
+            this.setFirmwareStatus(ocpp.FIRMWARE_INSTALLED);
+            this.reboot();
+        }
+        this.securityEvent(ocpp.SEC_FIRMWARE_UPDATED, "Firmware " + version);
+        this._firmwareStatus = ocpp.FIRMWARE_IDLE;
+        this._firmwareRequestId = null;
+        return true;
+    }
+
+    //
+    // Upload the diagnostics file of a GetDiagnostics request
+    // @param location The URI to upload the file to
+    // @param file The diagnostics file {fileName, content}
+    // @param retries Optional number of upload attempts
+    // @param retryInterval Optional delay between two attempts (s)
+    // @return a promise resolved with true once the file is uploaded, false if the upload failed
+    //
+    async uploadDiagnostics(location, file, retries = 1, retryInterval = 0) {
+        var uploaded = false;
+        for (var attempt = 1; attempt <= Math.max(1, retries || 1) && !uploaded; attempt++) {
+            if (attempt > 1) {
+                await delay(retryInterval || 0);
+            }
+            this.setDiagnosticsStatus(ocpp.DIAGNOSTICS_UPLOADING);
+            try {
+                if (shouldFail(this._maintenanceSettings, ocpp.FAIL_UPLOAD)) {
+                    throw new Error("simulated failure");
+                }
+                await this._uploadFile(location, file.fileName, file.content);
+                uploaded = true;
+                this.logMsg("Diagnostics " + file.fileName + " uploaded to " + location);
+                this.setDiagnosticsStatus(ocpp.DIAGNOSTICS_UPLOADED);
+            }
+            catch (err) {
+                this.logMsg("Diagnostics upload failed (attempt " + attempt + "): " + err.message);
+                this.setDiagnosticsStatus(ocpp.DIAGNOSTICS_UPLOAD_FAILED);
+            }
+        }
+        this._diagnosticsStatus = ocpp.DIAGNOSTICS_IDLE;
+        return uploaded;
+    }
+
+    //
+    // Simulate a reboot: the connection is closed, then opened again after the boot delay
+    // @param seconds The boot delay (s)
+    //
+    reboot(seconds = this._maintenanceSettings.rebootSeconds) {
+        this.logMsg("Rebooting, back in " + seconds + "s");
+        this.reconnect(seconds);
+    }
+
+    //
+    // Close the connection, then open it again after a delay
+    // @param seconds The delay (s)
+    //
+    reconnect(seconds) {
+        var url = this._wsUrl, cpId = this._cpId;
+        this.wsDisconnect();
+        this._rebootTimer = setTimeout(() => {
+            this._rebootTimer = null;
+            if (url !== null) {
+                this.wsConnect(url, cpId);
+            }
+        }, seconds * 1000);
+    }
+
+    //
+    // Reset the charge point (Reset request), then reboot it
+    // Soft: the transactions are stopped (reason SoftReset) and their StopTransaction sent before the reboot
+    // Hard: the charge point reboots at once, losing its volatile state (EVs, transactions, reservations),
+    // the StopTransaction of the interrupted transactions (reason HardReset) being sent after the BootNotification
+    // The persistent state (configuration, availability, queued messages) survives the reboot
+    // @param type Soft or Hard
+    // @return a promise resolved when the charge point starts rebooting
+    //
+    async reset(type) {
+        this._bootReason = ocpp.BOOT_REMOTE_RESET;
+        if (type == ocpp.RESET_HARD) {
+            this.wsDisconnect();
+            // offline: the StopTransactions are only queued
+            for (const conn of this.connectors()) {
+                if (conn.hasTransaction()) {
+                    this.stopTransactionWithId(conn.transactionId(), conn.transactionTag(), ocpp.REASON_HARD_RESET);
+                }
+            }
+            this.clearVolatileState();
+            this.reboot();
+            this.securityEvent(ocpp.SEC_RESET_OR_REBOOT, "Hard reset");
+            return;
+        }
+        var stops = [];
+        for (const conn of this.connectors()) {
+            if (conn.hasTransaction()) {
+                stops.push(this.stopTransactionWithId(conn.transactionId(), conn.transactionTag(), ocpp.REASON_SOFT_RESET));
+            }
+        }
+        // the StopTransactions not answered in time stay in the queue, and are sent after the reboot
+        await Promise.race([Promise.allSettled(stops), delay(this._callTimeout)]);
+        this.reboot();
+        // sent after the reboot
+        this.securityEvent(ocpp.SEC_RESET_OR_REBOOT, "Soft reset");
+    }
+
+    //
+    // Forget the volatile state of the connectors after a hard reset: EVs unplugged, no reservation,
+    // connectors Available (or Unavailable when Inoperative)
+    //
+    clearVolatileState() {
+        for (const conn of this._connectors) {
+            this.stopMeterValues(conn.id());
+            this.clearReservation(conn.id(), false);
+            conn.setPlugged(false);
+            conn.setStatus(conn.availability() == ocpp.AVAILABITY_INOPERATIVE ? ocpp.CONN_UNAVAILABLE : ocpp.CONN_AVAILABLE);
+            if (this._connectorStatusChangeCb) {
+                this._connectorStatusChangeCb(conn.id(), conn.status());
+            }
+        }
+        this.updateMeters();
+    }
+
+    //
+    // Send a SecurityEventNotification, queued like the transaction related messages so that
+    // it is delivered even if the connection is lost
+    // @param type The type of the event (see ocpp.SECURITY_EVENTS)
+    // @param techInfo Optional technical details
+    // @return A promise resolved with the CALLRESULT payload once the message is delivered
+    //
+    sendSecurityEvent(type, techInfo = "") {
+        var payload = { "type": type, "timestamp": luxon.DateTime.utc().toISO() };
+        if (!isEmpty(techInfo)) {
+            payload["techInfo"] = String(techInfo).slice(0, 255);
+        }
+        this.logMsg("Sending SecurityEventNotification: " + type);
+        return this.sendTransactionMessage(ocpp.SECURITY_EVENT_NOTIFICATION, payload, null);
+    }
+
+    //
+    // Handle a security event raised by the charge point: it is logged, and the critical ones are sent
+    // to the server (only with a security profile, the servers without the security extension not expecting them)
+    // @param type The type of the event
+    // @param techInfo Optional technical details
+    //
+    securityEvent(type, techInfo = "") {
+        this.logMsg("Security event " + type + (isEmpty(techInfo) ? "" : ": " + techInfo));
+        if (ocpp.CRITICAL_SECURITY_EVENTS.includes(type) && this._configuration.getInt("SecurityProfile") > ocpp.SECURITY_PROFILE_NONE) {
+            this.sendSecurityEvent(type, techInfo);
+        }
+    }
+
+    //
+    // Ask the server to sign a new certificate of the charge point (SignCertificate), the certificate
+    // being received later in a CertificateSigned request
+    // @return a promise resolved with the status of the SignCertificate.conf, null if the request failed
+    //
+    async signCertificate() {
+        var subject = { "commonName": this._cpId || "", "organization": this._configuration.get("CpoName") };
+        try {
+            var csr = await this._certificates.createCsr(subject);
+            this.logMsg("Sending SignCertificate");
+            var conf = await this.call(ocpp.SIGN_CERTIFICATE, { "csr": csr });
+            this.logMsg("SignCertificate " + conf.status);
+            return conf.status;
+        }
+        catch (err) {
+            this.logMsg("SignCertificate failed: " + err.message);
+            return null;
+        }
+    }
+
+    //
+    // Install the certificate chain of a CertificateSigned request as the charge point certificate
+    // @param chain The PEM of the certificate chain
+    // @return a promise resolved with the status: Accepted, or Rejected if the certificate is invalid
+    //
+    async installChargePointCertificate(chain) {
+        try {
+            if (chain.length > this._configuration.getInt("CertificateSignedMaxChainSize")) {
+                throw new Error("Certificate chain longer than CertificateSignedMaxChainSize");
+            }
+            await this._certificates.setChargePointCertificate(chain);
+            this.logMsg("Charge point certificate installed");
+            return ocpp.CERTIFICATE_ACCEPTED;
+        }
+        catch (err) {
+            this.logMsg("Charge point certificate rejected: " + err.message);
+            this.securityEvent(ocpp.SEC_INVALID_CHARGE_POINT_CERTIFICATE, err.message);
+            return ocpp.CERTIFICATE_REJECTED;
+        }
+    }
+
+    //
+    // @param profile A security profile requested by ChangeConfiguration
+    // @return true if the charge point can switch to it: the profile cannot be lowered, profiles 2 and 3
+    //         need a wss:// URL, profiles 1 and 2 an AuthorizationKey
+    //
+    isSecurityProfileAllowed(profile) {
+        if (!(profile >= this._configuration.getInt("SecurityProfile"))) {
+            return false;
+        }
+        if (profile >= ocpp.SECURITY_PROFILE_TLS_BASIC && this._wsUrl !== null && !/^wss:/i.test(this._wsUrl)) {
+            return false;
+        }
+        return profile == ocpp.SECURITY_PROFILE_NONE || profile == ocpp.SECURITY_PROFILE_TLS_CLIENT ||
+            !isEmpty(this._configuration.get("AuthorizationKey"));
+    }
+
+    //
+    // Options of the connection given by the security profile (SecurityProfile configuration key)
+    // @param wsurl The URL of the OCPP server
+    // @return {auth, certificate, privateKey, ca}, given to the WebSocket factory:
+    //         auth: the Basic Auth credentials {username, password} (profiles 1 and 2), null otherwise
+    //         certificate, privateKey: the PEM of the charge point certificate and key (profile 3), null if none
+    //         ca: the PEM of the installed CentralSystemRootCertificates (trusted by the TLS connection)
+    // @throw an Error if the URL or the configuration do not fit the profile
+    //
+    connectionOptions(wsurl) {
+        var profile = this._configuration.getInt("SecurityProfile");
+        if (profile >= ocpp.SECURITY_PROFILE_TLS_BASIC && !/^wss:/i.test(wsurl)) {
+            throw new Error("Security profile " + profile + " requires a wss:// URL");
+        }
+        var options = {
+            "auth": null,
+            "certificate": null,
+            "privateKey": null,
+            "ca": this._certificates.installed(ocpp.CERT_CENTRAL_SYSTEM_ROOT).map(c => c.certificate)
+        };
+        if (profile == ocpp.SECURITY_PROFILE_BASIC_AUTH || profile == ocpp.SECURITY_PROFILE_TLS_BASIC) {
+            var key = this._configuration.get("AuthorizationKey");
+            if (isEmpty(key)) {
+                throw new Error("Security profile " + profile + " requires an AuthorizationKey");
+            }
+            options.auth = { "username": this._cpId, "password": key };
+        }
+        if (profile == ocpp.SECURITY_PROFILE_TLS_CLIENT) {
+            options.certificate = this._certificates.chargePointCertificate();
+            options.privateKey = this._certificates.chargePointPrivateKey();
+        }
+        return options;
+    }
+
+    //
+    // @return true if the server accepted the last BootNotification
+    //
+    isRegistered() {
+        return this._websocket !== null && this._registrationStatus == ocpp.REGISTRATION_ACCEPTED;
+    }
+
+    //
+    // Send a BootNotification call to the OCPP Server
+    // (sent again later if the server does not answer while the CP is not registered)
+    //
+    sendBootNotification() {
+        this.logMsg('Sending BootNotification');
+        var payload = {
+            "chargePointVendor": "Elmo",
+            "chargePointModel": "Elmo-Virtual1",
+            "chargePointSerialNumber": "elm.001.13.1",
+            "chargeBoxSerialNumber": "elm.001.13.1.01",
+            "firmwareVersion": this.firmwareVersion(),
+            "iccid": "",
+            "imsi": "",
+            "meterType": "ELM NQC-ACDC",
+            "meterSerialNumber": "elm.001.13.1.01"
+        };
+        if (this.isOcpp201()) {
+            payload = ocpp201.bootNotification(payload, this._bootReason);
+        }
+        var p = this.call(ocpp.BOOT_NOTIFICATION, payload);
+        p.catch(err => {
+            if (this._websocket && !this.isRegistered()) {
+                this.logMsg(err.message + ", next BootNotification in " + ocpp.BOOT_RETRY_SECONDS + "s");
+                this.scheduleBootNotification(ocpp.BOOT_RETRY_SECONDS);
+            }
+        });
+        return p;
+    }
+
+    //
+    // Send a BootNotification after given delay
+    // @param delay The delay in seconds
+    //
+    scheduleBootNotification(delay) {
+        clearTimeout(this._bootTimer);
+        this._bootTimer = setTimeout(() => {
+            this._bootTimer = null;
+            if (this._websocket) {
+                this.sendBootNotification();
+            }
+        }, delay * 1000);
+    }
+
+    //
+    // Setup heartbeat sending at the appropriate period
+    // (clearing any previous setup)
+    // @param period The heartbeat period in seconds
+    //
+    setHeartbeat(period) {
+        this.logMsg("Setting heartbeat period to " + period + "s");
+        if (this._heartbeat) {
+            clearInterval(this._heartbeat);
+            this._heartbeat = null;
+        }
+        if (period > 0) {
+            this._heartbeat = setInterval(() => this.sendHeartbeat(), period * 1000);
+        }
+    }
+
+    //
+    // Send a websocket ping every WebSocketPingInterval seconds (0: no ping)
+    // Only the WebSockets of the ws package (headless mode) can send pings, not the ones of a browser
+    //
+    startPing() {
+        var period = this._configuration.getInt("WebSocketPingInterval");
+        var ws = this._websocket;
+        if (period > 0 && typeof ws.ping == "function") {
+            this._pingTimer = setInterval(() => {
+                if (ws.readyState == 1) {
+                    ws.ping();
+                }
+            }, period * 1000);
+        }
+    }
+
+    //
+    // Send a heartbeat to the OCPP Server
+    //
+    sendHeartbeat() {
+        this.logMsg('Heartbeat');
+        return this.call(ocpp.HEARTBEAT, {});
+    }
+
+    //
+    // Send a CALL or a CALLRESULT to the server, altered by the faults injected in its action
+    // @param frame The message: [2, id, action, payload] or [3, id, payload]
+    // @param action The action of the message
+    // @return true if the message was handed over to the websocket (or dropped on purpose)
+    //
+    wsSendFrame(frame, action) {
+        var altered = this._faults.alter(frame, action, this.connectors().some(conn => conn.hasTransaction()));
+        if (altered.faults.length == 0) {
+            return this.wsSendData(altered.data);
+        }
+        this.logMsg("Injecting fault(s) " + altered.faults.join(", ") + " in " + action + " " + frame[1]);
+        var send = () => {
+            var sent = altered.data !== null && this.wsSendData(altered.data);
+            if (sent && altered.close) {
+                this.logMsg("Closing the connection (injected fault)");
+                this._websocket.close(ocpp.FAULT_CLOSE_CODE);
+            }
+            return sent;
+        };
+        if (altered.data === null || altered.delay > 0) {
+            if (altered.data !== null) {
+                setTimeout(send, altered.delay * 1000);
+            }
+            return this._websocket !== null;
+        }
+        return send();
+    }
+
+    //
+    // Send data to the server (will be also logged in console)
+    // @data the data to send 
+    // @return true if the data was handed over to the websocket
+    //
+    wsSendData(data) {
+        console.log("SEND: " + data);
+        if (this._websocket) {
+            this._websocket.send(data);
+            this._trace.record(ocpp.TRACE_SEND, data);
+            if (this._messageCb) {
+                this._messageCb("send", data);
+            }
+            return true;
+        }
+        else {
+            this.setStatus(ocpp.CP_ERROR, 'No connection to OCPP server')
+            return false;
+        }
+    }
+
+    //
+    // @return the internal state of the CP
+    //
+    status() {
+        return this._storage.getSessionKey(ocpp.KEY_CP_STATUS);
+    }
+
+    //
+    // Open the websocket and set internal state accordingly
+    // @param wsurl The URL of the OCPP server
+    // @param cpid  The charge point identifief (as defined in OCPP server)
+    //
+    wsConnect(wsurl, cpid) {
+        // kept for the automatic reconnection
+        this._wsUrl = wsurl;
+        this._cpId = cpid;
+        if (this._websocket) {
+            this.setStatus(ocpp.CP_ERROR, 'Socket already opened. Closing it. Retry later');
+            this._websocket.close(3001);
+        }
+        else {
+            var connection;
+            try {
+                connection = this.connectionOptions(wsurl);
+            }
+            catch (err) {
+                this.setStatus(ocpp.CP_ERROR, err.message);
+                this.logMsg(err.message);
+                return;
+            }
+
+            this._websocket = this._createWebSocket(wsurl + "" + cpid, ocpp.SUBPROTOCOLS[this._protocolVersion], connection);
+            var self = this
+
+            //
+            // OnOpen Callback
+            //
+            this._websocket.onopen = function (evt) {
+                if (self._replayCb) {
+                    self.setStatus(ocpp.CP_CONNECTED);
+                    self._replayCb("open");
+                    return;
+                }
+                self.setStatus(ocpp.CP_CONNECTING);
+                self.startPing();
+                self.sendBootNotification();
+            }
+
+            //
+            // OnError Callback
+            //                  
+            this._websocket.onerror = function (evt) {
+                switch (self._websocket.readyState) {
+                    case 1: // OPEN
+                        self.setStatus(ocpp.CP_ERROR, 'ws normal error: ' + evt.type)
+                        break;
+                    case 3: // CLOSED
+                        self.setStatus(ocpp.CP_ERROR, 'connection cannot be opened: ' + evt.type)
+                        break;
+                    default:
+                        self.setStatus(ocpp.CP_ERROR, 'websocket error: ' + evt.type)
+                        break;
+                }
+
+            }
+
+            //
+            // OnMessage Callback
+            // Decode the type of message and pass it to the appropriate handler
+            // 
+            this._websocket.onmessage = function (msg) {
+                console.log("RECEIVE: " + msg.data);
+                self._trace.record(ocpp.TRACE_RECEIVE, msg.data);
+                if (self._messageCb) {
+                    self._messageCb("receive", msg.data);
+                }
+                if (self._replayCb) {
+                    self._replayCb("receive", msg.data);
+                    return;
+                }
+                self.handleMessage(msg.data);
+            }
+
+            //
+            // OnClose Callback
+            //   
+            this._websocket.onclose = function (evt) {
+                self._registrationStatus = null;
+                clearTimeout(self._bootTimer);
+                self._bootTimer = null;
+                if (self._heartbeat) {
+                    clearInterval(self._heartbeat);
+                    self._heartbeat = null;
+                }
+                clearInterval(self._pingTimer);
+                self._pingTimer = null;
+                self.rejectPendingCalls('Connection closed (' + evt.code + ')');
+                // the queue is sent again once registered
+                clearTimeout(self._queueRetryTimer);
+                self._queueRetryTimer = null;
+                if (evt.code == 3001) {
+                    self.setStatus(ocpp.CP_DISCONNECTED);
+                    self.logMsg('Connection closed');
+                    self._websocket = null;
+                } else {
+                    self.setStatus(ocpp.CP_ERROR, 'Connection error: ' + evt.code);
+                    self.logMsg('Connection error: ' + evt.code);
+                    self._websocket = null;
+                    if (!self._replayCb) {
+                        self.scheduleReconnect();
+                    }
+                }
+                if (self._replayCb) {
+                    self._replayCb("close", evt.code);
+                }
+            }
+        }
+    }
+
+    //
+    // @return true if the websocket is opened (or being opened)
+    //
+    isConnected() {
+        return this._websocket !== null;
+    }
+
+    //
+    // Close the websocket and set internal state accordingly
+    //
+    wsDisconnect() {
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+        clearTimeout(this._rebootTimer);
+        this._rebootTimer = null;
+        this._reconnectAttempts = 0;
+        if (this._websocket) {
+            // nothing is sent on the closing socket
+            this._registrationStatus = null;
+            this._websocket.close(3001);
+        }
+        this.setStatus(ocpp.CP_DISCONNECTED);
+    }
+
+    //
+    // @return the automatic reconnection settings (see ocpp.DEFAULT_RECONNECT_SETTINGS)
+    //
+    reconnectSettings() {
+        return this._reconnectSettings;
+    }
+
+    //
+    // Change the automatic reconnection settings
+    // @param settings an object with some of the keys of ocpp.DEFAULT_RECONNECT_SETTINGS
+    //
+    setReconnectSettings(settings) {
+        Object.assign(this._reconnectSettings, settings);
+    }
+
+    //
+    // Open the websocket again after a connection loss, waiting longer after each failed attempt
+    // (exponential backoff with jitter, reset once the BootNotification is accepted)
+    //
+    scheduleReconnect() {
+        var settings = this._reconnectSettings;
+        if (!settings.enabled || this._wsUrl === null || this._reconnectTimer) {
+            return;
+        }
+        var delay = Math.min(settings.maxDelay, settings.initialDelay * Math.pow(2, this._reconnectAttempts));
+        delay = delay * (1 - settings.jitter * Math.random());
+        this._reconnectAttempts++;
+        this.logMsg("Reconnecting in " + delay.toFixed(1) + "s (attempt " + this._reconnectAttempts + ")");
+        this._reconnectTimer = setTimeout(() => {
+            this._reconnectTimer = null;
+            this.wsConnect(this._wsUrl, this._cpId);
+        }, delay * 1000);
+    }
+
+    //
+    // @return the number of connectors (connector 0 excluded)
+    //
+    connectorCount() {
+        return this._connectors.length - 1;
+    }
+
+    //
+    // @param c connectorId
+    // @return the given connector, null if it does not exist
+    //
+    connector(c) {
+        c = Number(c);
+        if (!Number.isInteger(c) || c < 0 || c >= this._connectors.length) {
+            return null;
+        }
+        return this._connectors[c];
+    }
+
+    //
+    // @return the list of connectors (connector 0 excluded)
+    //
+    connectors() {
+        return this._connectors.slice(1);
+    }
+
+    //
+    // @param transactionId the id of a transaction
+    // @return the connector on which the transaction runs, null if none
+    //
+    connectorForTransaction(transactionId) {
+        return this.connectors().find(conn => conn.transactionId() !== null && String(conn.transactionId()) === String(transactionId)) || null;
+    }
+
+    //
+    // @param tagId optional idTag, to skip the connectors reserved for other idTags
+    // @return the first operative connector without transaction, null if none
+    //
+    freeConnector(tagId = null) {
+        return this.connectors().find(conn => !conn.hasTransaction() && conn.availability() == ocpp.AVAILABITY_OPERATIVE &&
+            (tagId === null || !this.isReservedForOther(conn.id(), tagId))) || null;
+    }
+
+    //
+    // @return the electrical settings of the simulated meters (see ocpp.DEFAULT_METER_SETTINGS)
+    //
+    meterSettings() {
+        return this._meterSettings;
+    }
+
+    //
+    // Update the electrical settings of the simulated meters
+    // @param settings an object holding the settings to change (maxPower, phases, voltage...)
+    //
+    setMeterSettings(settings) {
+        // account for the energy delivered with the previous settings first
+        this._meters.forEach(m => m.update());
+        Object.assign(this._meterSettings, settings);
+    }
+
+    //
+    // @param c connectorId
+    // @return the simulated meter of given connector
+    //
+    meter(c) {
+        return this._meters[Number(c)];
+    }
+
+    //
+    // Return the meter value (energy register in Wh) of given connector
+    // (connector 0 being the sum of all connectors)
+    // @param c connectorId
+    //
+    meterValue(c) {
+        if (Number(c) == 0) {
+            return this.connectors().reduce((sum, conn) => sum + this.meterValue(conn.id()), 0);
+        }
+        return this.meter(c).register();
+    }
+
+    //
+    // Set the meter value (and optionnally update the OCPP server with it)
+    // @param c connectorId
+    // @param v the new meter value
+    // @param updateServer if set to true, update the server with the new meter value
+    //
+    setMeterValue(c, v, updateServer = false) {
+        this.meter(c).update();
+        this.connector(c).setMeterValue(v);
+        if (updateServer) {
+            this.sendMeterValue(c);
+        }
+    }
+
+    //
+    // @return the settings of the MeterValues sent during transactions, from the configuration keys
+    // (intervals in seconds, 0 meaning disabled)
+    // sampled: every sampleInterval from the start of the transaction
+    // aligned: at every multiple of alignedInterval since midnight (UTC)
+    // stopTxn*: the readings collected for the transactionData of the StopTransaction
+    //
+    meterValuesSettings() {
+        var cfg = this._configuration;
+        return {
+            "sampleInterval": cfg.getInt("MeterValueSampleInterval"),
+            "sampledData": cfg.getList("MeterValuesSampledData"),
+            "alignedInterval": cfg.getInt("ClockAlignedDataInterval"),
+            "alignedData": cfg.getList("MeterValuesAlignedData"),
+            "stopTxnSampledData": cfg.getList("StopTxnSampledData"),
+            "stopTxnAlignedData": cfg.getList("StopTxnAlignedData")
+        };
+    }
+
+    //
+    // Start sending the sampled and clock-aligned MeterValues of the transaction running on given connector
+    // @param c connectorId
+    //
+    startMeterValues(c) {
+        var settings = this.meterValuesSettings();
+        var timers = this._meterValuesTimers[c];
+        if (settings.sampleInterval > 0) {
+            timers.sampled = setInterval(() => {
+                this.sendTransactionMeterValue(c, ocpp.CONTEXT_PERIODIC, settings.sampledData, settings.stopTxnSampledData);
+            }, settings.sampleInterval * 1000);
+        }
+        if (settings.alignedInterval > 0) {
+            var self = this;
+            var scheduleAligned = function () {
+                var period = settings.alignedInterval * 1000;
+                var now = Date.now();
+                var dayStart = now - (now % 86400000);
+                var next = dayStart + (Math.floor((now - dayStart) / period) + 1) * period;
+                timers.aligned = setTimeout(function () {
+                    self.sendTransactionMeterValue(c, ocpp.CONTEXT_CLOCK, settings.alignedData, settings.stopTxnAlignedData);
+                    scheduleAligned();
+                }, next - now);
+            };
+            scheduleAligned();
+        }
+    }
+
+    //
+    // Stop sending the MeterValues of the transaction running on given connector
+    // @param c connectorId
+    //
+    stopMeterValues(c) {
+        var timers = this._meterValuesTimers[c];
+        clearInterval(timers.sampled);
+        clearTimeout(timers.aligned);
+        timers.sampled = null;
+        timers.aligned = null;
+    }
+
+    //
+    // Send a MeterValues during a transaction and keep a reading for the transactionData of the StopTransaction
+    // @param c connectorId
+    // @param context Sample.Periodic or Sample.Clock
+    // @param measurands The measurands to send
+    // @param stopTxnMeasurands The measurands to keep for the StopTransaction
+    //
+    sendTransactionMeterValue(c, context, measurands, stopTxnMeasurands) {
+        if (stopTxnMeasurands.length > 0) {
+            this._transactionData[c].push(this.meterValueSample(c, context, stopTxnMeasurands));
+        }
+        return this.sendMeterValue(c, context, measurands);
+    }
+
+    //
+    // Take a reading of the meter of given connector
+    // (connector 0 reports the energy and power of the whole charge point)
+    // @param c connectorId
+    // @param context The reading context (Sample.Periodic, Transaction.Begin...)
+    // @param measurands The measurands to read
+    // @return the list of sampledValue objects
+    //
+    sampleMeter(c, context = ocpp.CONTEXT_PERIODIC, measurands = this.meterValuesSettings().sampledData) {
+        if (Number(c) != 0) {
+            return this.meter(c).sample(context, measurands);
+        }
+        var energy = 0, power = 0;
+        for (const conn of this.connectors()) {
+            energy += this.meterValue(conn.id());
+            power += this.meter(conn.id()).power();
+        }
+        return [
+            { "value": energy.toFixed(0), "context": context, "format": "Raw", "measurand": ocpp.MEASURAND_ENERGY, "location": "Inlet", "unit": "Wh" },
+            { "value": power.toFixed(0), "context": context, "format": "Raw", "measurand": ocpp.MEASURAND_POWER, "location": "Inlet", "unit": "W" }
+        ];
+    }
+
+    //
+    // Take a timestamped reading of the meter of given connector
+    // @param c connectorId
+    // @param context The reading context (Sample.Periodic, Transaction.Begin...)
+    // @param measurands The measurands to read
+    // @return a MeterValue object (timestamp and sampledValue list)
+    //
+    meterValueSample(c, context, measurands) {
+        return {
+            "timestamp": luxon.DateTime.utc().toISO(),
+            "sampledValue": this.sampleMeter(c, context, measurands)
+        };
+    }
+
+    //
+    // update the server with the internal meter value of given connector
+    // @param connectorId connectorId
+    // @param context The reading context (Sample.Periodic, Trigger...)
+    // @param measurands The measurands to send (MeterValuesSampledData by default)
+    //
+    sendMeterValue(connectorId, context = ocpp.CONTEXT_PERIODIC, measurands = this.meterValuesSettings().sampledData) {
+        var conn = this.connector(connectorId);
+        this.logMsg("Send Meter Values: " + this.meterValue(connectorId) + " Wh (connector " + connectorId + ")");
+        if (this.isOcpp201()) {
+            var meterValue = [ocpp201.meterValue(this.meterValueSample(connectorId, context, measurands))];
+            if (conn.transactionId() !== null) {
+                return this.sendTransactionEvent(conn.id(), ocpp.TX_UPDATED, ocpp201.meterValueTriggerReason(context), { "meterValue": meterValue });
+            }
+            return this.call(ocpp.METER_VALUES, { "evseId": conn.id(), "meterValue": meterValue });
+        }
+        var mvreq = {
+            "connectorId": conn.id(),
+            "meterValue": [this.meterValueSample(connectorId, context, measurands)]
+        };
+        if (conn.transactionId() !== null) {
+            mvreq["transactionId"] = conn.transactionId();
+            return this.sendTransactionMessage(ocpp.METER_VALUES, mvreq, conn.transactionId());
+        }
+        return this.call(ocpp.METER_VALUES, mvreq);
+    }
+
+    //
+    // @return the charging profiles installed on the CP
+    //
+    chargingProfiles() {
+        return this._chargingProfiles;
+    }
+
+    //
+    // @param c connectorId
+    // @return the context of the charging profiles of a connector: {voltage, phases, transactionStart}
+    //
+    profileContext(c) {
+        return {
+            "voltage": this._meterSettings.voltage,
+            "phases": this._meterSettings.phases,
+            "transactionStart": this._transactionStart[c]
         };
-        if (!isEmpty(tagId)) {
-            stopParams["idTag"] = tagId;
-        }
-        var stpT = JSON.stringify([2, id, "StopTransaction", stopParams]);
-        this.wsSendData(stpT);
-        this.setConnectorStatus(1, ocpp.CONN_FINISHING);
     }
 
     //
-    // Implement the TriggerMessage request
-    // @param requestedMessage the message that shall be triggered
-    // @param c connectorId concerned by the message (if any)
+    // Power limit of a connector set by the charging profiles: the limit of the connector, capped by
+    // the ChargePointMaxProfile shared between the charging connectors
+    // @param c connectorId
+    // @param time The time (ms)
+    // @return the limit (W), null if no profile applies
     //
-    triggerMessage(requestedMessage, c = 0) {
-        switch (requestedMessage) {
-            case 'BootNotification':
-                this.sendBootNotification();
-                break;
-            case 'Heartbeat':
-                this.sendHeartbeat();
-                break;
-            case 'MeterValues':
-                this.sendMeterValue(c);
-                break;
-            case 'StatusNotification':
-                this.sendStatusNotification(c);
-                break;
-            case 'DiagnosticStatusNotification':
-                break;
-            case 'FirmwareStatusNotification':
-                break;
-            default:
-                this.logMsg("Requested Message not supported: " + requestedMessage);
-                break;
+    powerLimit(c, time = Date.now()) {
+        var context = this.profileContext(c);
+        var limit = this._chargingProfiles.connectorLimit(c, time, context);
+        var cpLimit = this._chargingProfiles.chargePointLimit(time, context);
+        if (cpLimit !== null) {
+            var charging = this.connectors().filter(conn => conn.status() == ocpp.CONN_CHARGING).length;
+            var share = cpLimit / Math.max(1, charging);
+            limit = limit === null ? share : Math.min(limit, share);
         }
+        return limit;
     }
 
     //
-    // Send a BootNotification call to the OCPP Server
+    // Integrate the energy of all the meters (before the limits change)
     //
-    sendBootNotification() {
-        this.logMsg('Sending BootNotification');
-        this.setLastAction(ocpp.BOOT_NOTIFICATION);
-        var id = generateId();
-        var bn_req = JSON.stringify([2, id, "BootNotification", {
-            "chargePointVendor": "Elmo",
-            "chargePointModel": "Elmo-Virtual1",
-            "chargePointSerialNumber": "elm.001.13.1",
-            "chargeBoxSerialNumber": "elm.001.13.1.01",
-            "firmwareVersion": "0.9.87",
-            "iccid": "",
-            "imsi": "",
-            "meterType": "ELM NQC-ACDC",
-            "meterSerialNumber": "elm.001.13.1.01"
-        }]);
-        this.wsSendData(bn_req);
+    updateMeters() {
+        for (const meter of this._meters) {
+            meter.update();
+        }
     }
 
-    // @todo: Shitty code to remove asap => real transaction support
-    setLastAction(action) {
-        setSessionKey("LastAction", action);
-    }
-    // @todo: Shitty code to remove asap
-    getLastAction() {
-        return getSessionKey("LastAction");
+    //
+    // Implement the SetChargingProfile request, checking the profile against the
+    // Smart Charging configuration keys
+    // @param c connectorId
+    // @param profile The csChargingProfiles object
+    // @return Accepted or Rejected
+    //
+    setChargingProfile(c, profile) {
+        var conn = this.connector(c);
+        var cfg = this._configuration;
+        var schedule = profile.chargingSchedule;
+        var units = cfg.get("ChargingScheduleAllowedChargingRateUnit").split(",")
+            .map(u => u == "Current" ? ocpp.RATE_UNIT_CURRENT : ocpp.RATE_UNIT_POWER);
+        var installed = this._chargingProfiles.installed();
+        var reason = null;
+        if (!conn) {
+            reason = "unknown connector";
+        }
+        else if (profile.stackLevel > cfg.getInt("ChargeProfileMaxStackLevel")) {
+            reason = "stack level above ChargeProfileMaxStackLevel";
+        }
+        else if (schedule.chargingSchedulePeriod.length > cfg.getInt("ChargingScheduleMaxPeriods")) {
+            reason = "more periods than ChargingScheduleMaxPeriods";
+        }
+        else if (!units.includes(schedule.chargingRateUnit)) {
+            reason = "charging rate unit not allowed";
+        }
+        else if (profile.chargingProfilePurpose == ocpp.PURPOSE_CHARGE_POINT_MAX && conn.id() != 0) {
+            reason = "ChargePointMaxProfile on a connector";
+        }
+        else if (profile.chargingProfilePurpose == ocpp.PURPOSE_TX && (conn.id() == 0 || !conn.hasTransaction())) {
+            reason = "no transaction for the TxProfile";
+        }
+        else if (profile.chargingProfilePurpose == ocpp.PURPOSE_TX && profile.transactionId !== undefined && profile.transactionId != conn.transactionId()) {
+            reason = "transaction " + profile.transactionId + " not running on connector " + conn.id();
+        }
+        else if (installed.length >= cfg.getInt("MaxChargingProfilesInstalled") && !installed.some(p => p.profile.chargingProfileId == profile.chargingProfileId)) {
+            reason = "MaxChargingProfilesInstalled reached";
+        }
+        if (reason !== null) {
+            this.logMsg("Charging profile " + profile.chargingProfileId + " rejected: " + reason);
+            return ocpp.PROFILE_REJECTED;
+        }
+        this.updateMeters();
+        this._chargingProfiles.install(conn.id(), profile);
+        return ocpp.PROFILE_ACCEPTED;
     }
 
     //
-    // Setup heartbeat sending at the appropriate period
-    // (clearing any previous setup)
-    // @param period The heartbeat period in seconds
+    // Implement the GetCompositeSchedule request
+    // @param c connectorId (0 for the charge point)
+    // @param duration The duration of the schedule (s)
+    // @param unit The requested chargingRateUnit (W if not given)
+    // @return the GetCompositeSchedule.conf payload
     //
-    setHeartbeat(period) {
-        this.logMsg("Setting heartbeat period to " + period + "s");
-        if (this._heartbeat) {
-            clearInterval(this._heartbeat);
+    compositeSchedule(c, duration, unit = ocpp.RATE_UNIT_POWER) {
+        var conn = this.connector(c);
+        if (!conn) {
+            return { "status": ocpp.PROFILE_REJECTED };
         }
-        this._heartbeat = setInterval(this.sendHeartbeat, period * 1000);
+        var now = Date.now();
+        var context = this.profileContext(conn.id());
+        // without transaction, the Relative schedules start now
+        context.transactionStart = context.transactionStart === null ? now : context.transactionStart;
+        context.maxPower = this._meterSettings.maxPower * (conn.id() == 0 ? this.connectorCount() : 1);
+        var schedule = this._chargingProfiles.compositeSchedule(conn.id(), now, duration, unit || ocpp.RATE_UNIT_POWER, context);
+        return {
+            "status": ocpp.PROFILE_ACCEPTED,
+            "connectorId": conn.id(),
+            "scheduleStart": schedule.startSchedule,
+            "chargingSchedule": schedule
+        };
     }
 
     //
-    // Send a heartbeat to the OCPP Server
+    // Get the status of given connector
+    // @param c connectorId
+    // @return connector status as string
     //
-    sendHeartbeat() {
-        this.setLastAction("Heartbeat");
-        var id = generateId();
-        var HB = JSON.stringify([2, id, "Heartbeat", {}]);
-        this.logMsg('Heartbeat');
-        this.wsSendData(HB);
+    connectorStatus(c) {
+        return this.connector(c).status();
     }
 
     //
-    // Send data to the server (will be also logged in console)
-    // @data the data to send 
+    // Update status of given connector, following the OCPP 1.6 status transitions
+    // (a StatusNotification is sent to the server whenever the status or the error changes)
+    // @param c connectorId
+    // @param newStatus new status for connector
+    // @param details optional error details: {errorCode, info, vendorErrorCode}
+    // @return true if the new status was applied, false if the transition is not allowed
     //
-    wsSendData(data) {
-        console.log("SEND: " + data);
-        if (this._websocket) {
-            this._websocket.send(data);
+    setConnectorStatus(c, newStatus, details = {}) {
+        var conn = this.connector(c);
+        if (!conn.canSetStatus(newStatus)) {
+            this.logMsg("Invalid status transition for connector " + c + ": " + conn.status() + " -> " + newStatus);
+            return false;
         }
-        else {
-            this.setStatus(ocpp.CP_ERROR, 'No connection to OCPP server')
+        var errorCode = details.errorCode || ocpp.NO_ERROR;
+        var info = details.info || "";
+        var vendorErrorCode = details.vendorErrorCode || "";
+        // the power delivered depends on the status (and the limits shared with the other connectors)
+        this.updateMeters();
+        var changed = conn.status() != newStatus || conn.errorCode() != errorCode ||
+            conn.info() != info || conn.vendorErrorCode() != vendorErrorCode;
+        if (this.isOcpp201()) {
+            // the OCPP 2.0.1 statuses are coarser, and carry no error
+            changed = ocpp201.connectorStatus(conn.status()) != ocpp201.connectorStatus(newStatus);
+        }
+        var previous = conn.status();
+        conn.setStatus(newStatus, errorCode, info, vendorErrorCode);
+        if (newStatus != ocpp.CONN_PREPARING) {
+            clearTimeout(this._connectionTimers[conn.id()]);
+            this._connectionTimers[conn.id()] = null;
+        }
+        else if (previous != ocpp.CONN_PREPARING) {
+            this.scheduleConnectionTimeout(conn.id());
+        }
+        if (this._connectorStatusChangeCb) {
+            this._connectorStatusChangeCb(Number(c), newStatus);
+        }
+        // when offline, the statuses are all sent after the next BootNotification
+        if (changed && this.isRegistered()) {
+            this.sendStatusNotification(c);
         }
+        // OCPP 2.0.1: the charging state of the transaction is reported by a TransactionEvent
+        var state = ocpp201.chargingState(newStatus);
+        if (this.isOcpp201() && conn.transactionId() !== null && state != this._chargingState[conn.id()]) {
+            this.sendTransactionEvent(conn.id(), ocpp.TX_UPDATED, ocpp.TRIGGER_CHARGING_STATE_CHANGED, {}, { "chargingState": state });
+        }
+        return true;
     }
 
     //
-    // @return the internal state of the CP
+    // Cancel the incipient transaction of a connector entering Preparing if, after ConnectionTimeOut,
+    // no cable is plugged in and no transaction started: the connector goes back to Available
+    // @param c connectorId
     //
-    status() {
-        return getSessionKey(ocpp.KEY_CP_STATUS);
+    scheduleConnectionTimeout(c) {
+        var timeout = this._configuration.getInt("ConnectionTimeOut");
+        clearTimeout(this._connectionTimers[c]);
+        this._connectionTimers[c] = null;
+        if (timeout <= 0) {
+            return;
+        }
+        this._connectionTimers[c] = setTimeout(() => {
+            this._connectionTimers[c] = null;
+            var conn = this.connector(c);
+            if (conn.status() == ocpp.CONN_PREPARING && !conn.isPlugged() && !conn.hasTransaction()) {
+                this.logMsg("No cable plugged in connector " + c + " within " + timeout + "s (ConnectionTimeOut)");
+                this.setConnectorStatus(c, ocpp.CONN_AVAILABLE);
+            }
+        }, timeout * 1000);
     }
 
     //
-    // Open the websocket and set internal state accordingly
-    // @param wsurl The URL of the OCPP server
-    // @param cpid  The charge point identifief (as defined in OCPP server)
+    // Send a StatusNotification to the server with the new status of the specified connector
+    // (OCPP 2.0.1: the connectorStatus of the EVSE c, nothing for connector 0)
+    // @param c The connector id (0 for CP, 1 for connector 1, etc...)
     //
-    wsConnect(wsurl, cpid) {
-        if (this._websocket) {
-            this.setStatus(ocpp.CP_ERROR, 'Socket already opened. Closing it. Retry later');
-            this._websocket.close(3001);
+    sendStatusNotification(c) {
+        var conn = this.connector(c);
+        var st = conn.status();
+        if (this.isOcpp201()) {
+            // connector 0 stands for the charging station, which has no status of its own
+            if (conn.id() == 0) {
+                return Promise.resolve(null);
+            }
+            this.logMsg("Sending StatusNotification for EVSE " + c + ": " + ocpp201.connectorStatus(st));
+            return this.call(ocpp.STATUS_NOTIFICATION, {
+                "timestamp": luxon.DateTime.utc().toISO(),
+                "connectorStatus": ocpp201.connectorStatus(st),
+                "evseId": conn.id(),
+                "connectorId": ocpp.EVSE_CONNECTOR_ID
+            });
         }
-        else {
+        this.logMsg("Sending StatusNotification for connector " + c + ": " + st + " (" + conn.errorCode() + ")");
+        return this.call(ocpp.STATUS_NOTIFICATION, {
+            "connectorId": Number(c),
+            "status": st,
+            "errorCode": conn.errorCode(),
+            "info": conn.info(),
+            "timestamp": luxon.DateTime.utc().toISO(),
+            "vendorId": "",
+            "vendorErrorCode": conn.vendorErrorCode()
+        });
+    }
 
-            this._websocket = new WebSocket(wsurl + "" + cpid, ["ocpp1.6", "ocpp1.5"]);
-            var self = this
+    //
+    // Scenario: an EV gets plugged in the connector
+    // @param c connectorId
+    //
+    plugIn(c) {
+        var conn = this.connector(c);
+        if (conn.isPlugged()) {
+            this.logMsg("An EV is already plugged in connector " + c);
+            return false;
+        }
+        conn.setPlugged(true);
+        this.logMsg("EV plugged in connector " + c);
+        // a reserved connector stays Reserved until the transaction starts
+        if (!conn.hasTransaction() && conn.status() != ocpp.CONN_RESERVED && conn.status() != ocpp.CONN_UNAVAILABLE) {
+            this.setConnectorStatus(c, ocpp.CONN_PREPARING);
+        }
+        return true;
+    }
 
-            //
-            // OnOpen Callback
-            //
-            this._websocket.onopen = function (evt) {
-                self.setStatus(ocpp.CP_CONNECTING);
-                self.sendBootNotification();
-            }
+    //
+    // Scenario: the user presents a tag to start charging on a connector where an EV is plugged
+    // (Authorize then StartTransaction if the tag is accepted)
+    // @param c connectorId
+    // @param tagId the id of the RFID tag
+    // @return a promise resolved with true if the transaction was started
+    //
+    async authorizeAndStart(c, tagId) {
+        var conf = await this.authorize(tagId);
+        if (conf.idTagInfo.status != ocpp.AUTH_ACCEPTED) {
+            this.logMsg("Tag " + tagId + " not accepted (" + conf.idTagInfo.status + "), connector " + c + " stays " + this.connectorStatus(c));
+            return false;
+        }
+        return this.startTransaction(tagId, c) !== null;
+    }
 
-            //
-            // OnError Callback
-            //                  
-            this._websocket.onerror = function (evt) {
-                switch (self._websocket.readyState) {
-                    case 1: // OPEN
-                        self.setStatus(ocpp.CP_ERROR, 'ws normal error: ' + evt.type)
-                        break;
-                    case 3: // CLOSED
-                        self.setStatus(ocpp.CP_ERROR, 'connection cannot be opened: ' + evt.type)
-                        break;
-                    default:
-                        self.setStatus(ocpp.CP_ERROR, 'websocket error: ' + evt.type)
-                        break;
-                }
+    //
+    // Scenario: charging gets suspended (by the EV or by the EVSE) or resumed
+    // @param c connectorId
+    // @param newStatus SuspendedEV, SuspendedEVSE or Charging
+    //
+    suspendCharging(c, newStatus = ocpp.CONN_SUSPENDED_EV) {
+        if (!this.connector(c).hasTransaction()) {
+            this.logMsg("No transaction running on connector " + c);
+            return false;
+        }
+        return this.setConnectorStatus(c, newStatus);
+    }
 
+    //
+    // Scenario: the EV gets unplugged from the connector
+    // (stopping the running transaction if any)
+    // @param c connectorId
+    //
+    unplug(c) {
+        var conn = this.connector(c);
+        if (!conn.isPlugged()) {
+            this.logMsg("No EV plugged in connector " + c);
+            return false;
+        }
+        conn.setPlugged(false);
+        this.logMsg("EV unplugged from connector " + c);
+        if (conn.transactionId() !== null) {
+            if (this._configuration.getBool("StopTransactionOnEVSideDisconnect")) {
+                this.stopTransactionWithId(conn.transactionId(), conn.transactionTag(), ocpp.REASON_EV_DISCONNECTED);
             }
-
-            //
-            // OnMessage Callback
-            // Decode the type of message and pass it to the appropriate handler
-            // 
-            this._websocket.onmessage = function (msg) {
-                console.log("RECEIVE: " + msg.data);
-                var ddata = JSON.parse(msg.data);
-
-                // Decrypt Message Type
-                var msgType = ddata[0];
-                switch (msgType) {
-                    case 2: // CALL 
-                        var id = ddata[1];
-                        var request = ddata[2];
-                        var payload = null;
-                        if (ddata.length > 3) {
-                            payload = ddata[3];
-                        }
-                        self.handleCallRequest(id, request, payload);
-                        break;
-                    case 3: // CALLRESULT 
-                        self.handleCallResult(ddata[2]);
-                        break;
-                    case 4: // CALLERROR
-                        self.handleCallError(ddata[2], ddata[3]);
-                        break;
-                }
+            else {
+                this.setConnectorStatus(c, ocpp.CONN_SUSPENDED_EV);
             }
+        }
+        else if (!conn.hasTransaction() && conn.status() != ocpp.CONN_RESERVED && conn.status() != ocpp.CONN_UNAVAILABLE) {
+            this.setConnectorStatus(c, ocpp.CONN_AVAILABLE);
+        }
+        return true;
+    }
 
-            //
-            // OnClose Callback
-            //   
-            this._websocket.onclose = function (evt) {
-                if (evt.code == 3001) {
-                    self.setStatus(ocpp.CP_DISCONNECTED);
-                    self.logMsg('Connection closed');
-                    self._websocket = null;
-                } else {
-                    self.setStatus(ocpp.CP_ERROR, 'Connection error: ' + evt.code);
-                    self.logMsg('Connection error: ' + evt.code);
-                    self._websocket = null;
-                }
-            }
+    //
+    // Report an error on given connector (Faulted status)
+    // @param c connectorId
+    // @param errorCode one of the OCPP error codes (see ocpp.ERROR_CODES)
+    // @param info optional free text information
+    // @param vendorErrorCode optional vendor specific error code
+    //
+    setConnectorFault(c, errorCode, info = "", vendorErrorCode = "") {
+        return this.setConnectorStatus(c, ocpp.CONN_FAULTED, {
+            "errorCode": errorCode,
+            "info": info,
+            "vendorErrorCode": vendorErrorCode
+        });
+    }
+
+    //
+    // Clear the error of given connector
+    // (back to Available, or Charging if a transaction is running)
+    // @param c connectorId
+    //
+    clearConnectorFault(c) {
+        var conn = this.connector(c);
+        var st = ocpp.CONN_AVAILABLE;
+        if (conn.hasTransaction()) {
+            st = ocpp.CONN_CHARGING;
+        }
+        else if (conn.reservation()) {
+            st = ocpp.CONN_RESERVED;
+        }
+        else if (conn.isPlugged()) {
+            st = ocpp.CONN_PREPARING;
         }
+        return this.setConnectorStatus(c, st);
     }
 
     //
-    // Close the websocket and set internal state accordingly
+    // Implement the ReserveNow request (OCPP 1.6 section 5.13)
+    // A reservation of connector 0 keeps one connector free for the idTag, the others set the connector Reserved
+    // A reservation with the id of an existing one replaces it
+    // @param c connectorId (0 for any connector, if ReserveConnectorZeroSupported)
+    // @param reservationId The id of the reservation
+    // @param idTag The idTag for which the connector is reserved
+    // @param expiryDate The end of the reservation (ISO 8601)
+    // @param parentIdTag Optional parent idTag: any idTag of the group may use the reservation
+    // @return the status of the reservation: Accepted, Faulted, Occupied, Rejected or Unavailable
     //
-    wsDisconnect() {
-        if (this._websocket) {
-            this._websocket.close(3001);
+    reserveNow(c, reservationId, idTag, expiryDate, parentIdTag = null) {
+        var conn = this.connector(c);
+        if (!conn || (conn.id() == 0 && !this._configuration.getBool("ReserveConnectorZeroSupported"))) {
+            return ocpp.RESERVATION_REJECTED;
         }
-        this.setStatus(ocpp.CP_DISCONNECTED);
+        var previous = this.connectorForReservation(reservationId);
+        if (conn.status() == ocpp.CONN_FAULTED) {
+            return ocpp.RESERVATION_FAULTED;
+        }
+        if (conn.status() == ocpp.CONN_UNAVAILABLE || conn.availability() == ocpp.AVAILABITY_INOPERATIVE) {
+            return ocpp.RESERVATION_UNAVAILABLE;
+        }
+        var own = conn.reservation();
+        if (conn.id() == 0) {
+            // at least one connector must be left for the reservation
+            var free = this.connectors().filter(other => this.isFree(other.id()) || (previous !== null && other.id() == previous.id()));
+            if ((own && own.reservationId != reservationId) || free.length == 0) {
+                return ocpp.RESERVATION_OCCUPIED;
+            }
+        }
+        else if (!(this.isFree(conn.id()) || (own && own.reservationId == reservationId))) {
+            return ocpp.RESERVATION_OCCUPIED;
+        }
+        if (previous !== null && previous.id() != conn.id()) {
+            this.clearReservation(previous.id());
+        }
+        var reservation = {
+            "reservationId": reservationId,
+            "idTag": idTag,
+            "parentIdTag": parentIdTag || null,
+            "expiryDate": expiryDate
+        };
+        conn.setReservation(reservation);
+        this.scheduleReservationExpiry(conn.id());
+        if (conn.id() > 0) {
+            this.setConnectorStatus(conn.id(), ocpp.CONN_RESERVED);
+        }
+        return ocpp.RESERVATION_ACCEPTED;
     }
 
     //
-    // Return the meter value
+    // Implement the CancelReservation request
+    // @param reservationId The id of the reservation
+    // @return Accepted if the reservation was cancelled, Rejected if it is unknown
     //
-    meterValue() {
-        return (parseInt(getSessionKey(ocpp.KEY_METER_VALUE, "0")));
+    cancelReservation(reservationId) {
+        var conn = this.connectorForReservation(reservationId);
+        if (!conn) {
+            return ocpp.RESERVATION_REJECTED;
+        }
+        this.clearReservation(conn.id());
+        return ocpp.RESERVATION_ACCEPTED;
     }
 
     //
-    // Set the meter value (and optionnally update the OCPP server with it)
-    // @param v the new meter value
-    // @param updateServer if set to true, update the server with the new meter value
+    // End the reservation of a connector (cancelled, expired or used)
+    // @param c connectorId
+    // @param release true to set a Reserved connector back to Available
     //
-    setMeterValue(v, updateServer = false) {
-        setSessionKey(ocpp.KEY_METER_VALUE, v);
-        if (updateServer) {
-            this.sendMeterValue();
+    clearReservation(c, release = true) {
+        var conn = this.connector(c);
+        clearTimeout(this._reservationTimers[conn.id()]);
+        this._reservationTimers[conn.id()] = null;
+        conn.clearReservation();
+        if (release && conn.status() == ocpp.CONN_RESERVED) {
+            this.setConnectorStatus(conn.id(), ocpp.CONN_AVAILABLE);
         }
     }
 
     //
-    // update the server with the internal meter value
+    // Start the timer which ends the reservation of a connector at its expiryDate
+    // @param c connectorId
     //
-    sendMeterValue(connectorId = 0) {
-        var mvreq = {};
-        this.setLastAction("MeterValues");
-        var meter = getSessionKey(ocpp.KEY_METER_VALUE);
-        var id = generateId();
-        var transactionId =  parseInt(getSessionKey('TransactionId'));
-        mvreq = JSON.stringify([
-            2,
-            id,
-            "MeterValues",
-            {
-                "connectorId": connectorId,
-                "transactionId": transactionId,
-                "meterValue": [{
-                    "sampledValue": [
-                        {
-                            "value": meter,
-                            "context": "Sample.Periodic",
-                            "format": "Raw",
-                            "measurand": "Current.Offered",
-                            "location": "Outlet",
-                            "unit": "A"
-                        }
-                    ],
-                    "timestamp": luxon.DateTime.utc().toISO(),
-                }]
-            }
-        ]);
-        this.logMsg("Send Meter Values: " + meter + " (connector " + connectorId + ")");
-        this.wsSendData(mvreq);
+    scheduleReservationExpiry(c) {
+        var conn = this.connector(c);
+        var reservation = conn.reservation();
+        clearTimeout(this._reservationTimers[conn.id()]);
+        // setTimeout does not support more than 2^31-1 ms (~24 days): wait again if needed
+        var delay = Math.max(0, new Date(reservation.expiryDate).getTime() - Date.now());
+        this._reservationTimers[conn.id()] = setTimeout(() => {
+            if (new Date(reservation.expiryDate).getTime() > Date.now()) {
+                this.scheduleReservationExpiry(conn.id());
+                return;
+            }
+            this.logMsg("Reservation " + reservation.reservationId + " expired (connector " + conn.id() + ")");
+            this.clearReservation(conn.id());
+        }, Math.min(delay, 0x7fffffff));
+    }
+
+    //
+    // @param reservationId The id of a reservation
+    // @return the connector holding the reservation (connector 0 included), null if none
+    //
+    connectorForReservation(reservationId) {
+        return this._connectors.find(conn => conn.reservation() && conn.reservation().reservationId == reservationId) || null;
     }
 
     //
-    // Get the status of given connector
     // @param c connectorId
-    // @return connector status as string
+    // @return true if the connector can be reserved or used by anyone (operative, idle and not reserved)
     //
-    connectorStatus(c) {
-        var key = ocpp.KEY_CONN_STATUS + c;
-        return getSessionKey(key);
+    isFree(c) {
+        var conn = this.connector(c);
+        return !conn.hasTransaction() && !conn.reservation() && conn.availability() == ocpp.AVAILABITY_OPERATIVE &&
+            conn.status() == ocpp.CONN_AVAILABLE;
+    }
+
+    //
+    // @param reservation A reservation
+    // @param tagId An idTag
+    // @return true if the idTag may use the reservation (same idTag, or same parentIdTag as the reservation)
+    //
+    reservationMatches(reservation, tagId) {
+        if (reservation.idTag == tagId) {
+            return true;
+        }
+        return !isEmpty(reservation.parentIdTag) && this._authorization.parentIdTag(tagId) == reservation.parentIdTag;
     }
 
     //
-    // Update status of given connector
     // @param c connectorId
-    // @param new status for connector
-    // @param updateServer if true, also send a StatusNotification to server
+    // @param tagId The idTag which wants to charge on the connector
+    // @return the connector whose reservation the idTag uses to charge on connector c
+    //         (c itself, or 0 for a reservation of the charge point), null if none
     //
-    setConnectorStatus(c, newStatus, updateServer = false) {
-        var key = ocpp.KEY_CONN_STATUS + c;
-        setSessionKey(key, newStatus);
-        if (updateServer) {
-            this.sendStatusNotification(c, newStatus);
+    reservedConnectorFor(c, tagId) {
+        var own = this.connector(c).reservation();
+        if (own) {
+            return this.reservationMatches(own, tagId) ? Number(c) : null;
         }
+        var any = this.connector(0).reservation();
+        return any && this.reservationMatches(any, tagId) ? 0 : null;
     }
 
     //
-    // Send a StatusNotification to the server with the new status of the specified connector
-    // @param c The connector id (0 for CP, 1 for connector 1, etc...)
+    // @param c connectorId
+    // @param tagId The idTag which wants to charge on the connector
+    // @return true if a reservation for another idTag forbids it: the connector is reserved,
+    //         or it is the last free connector while the charge point (connector 0) is reserved
     //
-    sendStatusNotification(c) {
-        var st = this.connectorStatus(c);
-        this.setLastAction("StatusNotification");
-        var id = generateId();
-        var sn_req = JSON.stringify([2, id, "StatusNotification", {
-            "connectorId": c,
-            "status": st,
-            "errorCode": "NoError",
-            "info": "",
-            "timestamp": luxon.DateTime.utc().toISO(),
-            "vendorId": "",
-            "vendorErrorCode": ""
-        }]);
-        this.logMsg("Sending StatusNotification for connector " + c + ": " + st);
-        this.wsSendData(sn_req);
+    isReservedForOther(c, tagId) {
+        var own = this.connector(c).reservation();
+        if (own) {
+            return !this.reservationMatches(own, tagId);
+        }
+        var any = this.connector(0).reservation();
+        if (!any || this.reservationMatches(any, tagId)) {
+            return false;
+        }
+        return this.connectors().filter(conn => conn.id() != c && this.isFree(conn.id())).length == 0;
     }
     //[2,"n6xoSNnVilR684LnBNYF4C5D5BgxYkYYknsU","StatusNotification",{"connectorId":0,"status":"Available","errorCode":"NoError","info":"","timestamp":"2023-10-17T08:45:43.774Z","vendorId":"","vendorErrorCode":""}]
     //[2,"B7iniEeNBpD7zW45us3Knxw5dDKxL5RsxTH7","StatusNotification",{"connectorId":0,"status":"Available","errorCode":"NoError","info":"","timestamp":"2023-10-17T08:48:02.075Z","vendorId":"","vendorErrorCode":""}]
@@ -689,8 +3179,58 @@ export default class ChargePoint {
     // @return connector availability
     //
     availability(c = 0) {
-        var key = ocpp.KEY_CONN_AVAILABILITY + c;
-        return getKey(key, ocpp.AVAILABITY_OPERATIVE);
+        return this.connector(c).availability();
+    }
+
+    //
+    // Apply a ChangeAvailability request: connector 0 changes the charge point and all its connectors,
+    // the change of a connector with a running transaction being scheduled after its StopTransaction
+    // @param c connectorId
+    // @param newAvailability Operative or Inoperative
+    // @return the status of the request: Accepted, Rejected or Scheduled
+    //
+    changeAvailability(c, newAvailability) {
+        var conn = this.connector(c);
+        if (!conn || ![ocpp.AVAILABITY_OPERATIVE, ocpp.AVAILABITY_INOPERATIVE].includes(newAvailability)) {
+            return ocpp.AVAILABILITY_REJECTED;
+        }
+        var status = ocpp.AVAILABILITY_ACCEPTED;
+        for (const target of conn.id() == 0 ? this._connectors : [conn]) {
+            if (this.isInUse(target.id()) && target.availability() != newAvailability) {
+                this.logMsg("Connector " + target.id() + " will be " + newAvailability + " after the transaction");
+                target.setScheduledAvailability(newAvailability);
+                status = ocpp.AVAILABILITY_SCHEDULED;
+            }
+            else {
+                target.setScheduledAvailability(null);
+                this.setConnectorAvailability(target.id(), newAvailability);
+            }
+        }
+        return status;
+    }
+
+    //
+    // @param c connectorId
+    // @return true if a transaction is running on the connector (on any connector for connector 0)
+    //
+    isInUse(c) {
+        if (c == 0) {
+            return this.connectors().some(conn => conn.hasTransaction());
+        }
+        return this.connector(c).hasTransaction();
+    }
+
+    //
+    // Apply the availability changes scheduled for the connectors whose transaction ended
+    //
+    applyScheduledAvailability() {
+        for (const conn of this._connectors) {
+            var scheduled = conn.scheduledAvailability();
+            if (scheduled !== null && !this.isInUse(conn.id())) {
+                conn.setScheduledAvailability(null);
+                this.setConnectorAvailability(conn.id(), scheduled);
+            }
+        }
     }
 
     //
@@ -700,20 +3240,24 @@ export default class ChargePoint {
     // @param new availability for connector
     //
     setConnectorAvailability(c, newAvailability) {
-        var key = ocpp.KEY_CONN_AVAILABILITY + c;
-        setKey(key, newAvailability);
+        var conn = this.connector(c);
+        conn.setAvailability(newAvailability);
         if (newAvailability == ocpp.AVAILABITY_INOPERATIVE) {
-            this.setConnectorStatus(c, ocpp.CONN_UNAVAILABLE, true);
+            this.setConnectorStatus(c, ocpp.CONN_UNAVAILABLE);
         }
-        else if (newAvailability == ocpp.AVAILABITY_INOPERATIVE) {
-            this.setConnectorStatus(c, ocpp.CONN_AVAILABLE, true);
+        else if (conn.status() == ocpp.CONN_UNAVAILABLE) {
+            // back to the status matching the state of the connector
+            var status = ocpp.CONN_AVAILABLE;
+            if (conn.id() > 0 && conn.reservation()) {
+                status = ocpp.CONN_RESERVED;
+            }
+            else if (conn.id() > 0 && conn.isPlugged()) {
+                status = ocpp.CONN_PREPARING;
+            }
+            this.setConnectorStatus(c, status);
         }
         if (this._availabilityChangeCb) {
             this._availabilityChangeCb(c, newAvailability);
         }
-        if (Number(c) == 0) {
-            this.setConnectorAvailability(1, newAvailability);
-            this.setConnectorAvailability(2, newAvailability);
-        }
     }
 }
@@ -0,0 +1,277 @@
+"use strict";
+import * as ocpp from './ocpp_constants.js'
+import Storage from './ocpp_storage.js'
+
+const MEASURANDS = [
+    ocpp.MEASURAND_ENERGY,
+    ocpp.MEASURAND_POWER,
+    ocpp.MEASURAND_CURRENT,
+    ocpp.MEASURAND_VOLTAGE,
+    ocpp.MEASURAND_SOC
+];
+
+//
+// Configuration keys of the Core profile (OCPP 1.6 section 9.1)
+// type: "boolean", "integer", "string" or "csl" (comma separated list, restricted to "values" if given)
+// readonly: the key cannot be changed by ChangeConfiguration
+// writeonly: the value is not reported by GetConfiguration (secrets)
+// reboot: a change is only applied after a reboot (RebootRequired)
+// min, max: range of an integer key, minLength, maxLength: length of a string key
+//
+export const CORE_CONFIGURATION = [
+    { "key": "AllowOfflineTxForUnknownId", "type": "boolean", "value": "false" },
+    { "key": "AuthorizationCacheEnabled", "type": "boolean", "value": "true" },
+    { "key": "AuthorizeRemoteTxRequests", "type": "boolean", "value": "false" },
+    { "key": "ClockAlignedDataInterval", "type": "integer", "value": "0" },
+    { "key": "ConnectionTimeOut", "type": "integer", "value": "60" },
+    { "key": "ConnectorPhaseRotation", "type": "csl", "value": "0.RST" },
+    { "key": "GetConfigurationMaxKeys", "type": "integer", "value": "50", "readonly": true },
+    { "key": "HeartbeatInterval", "type": "integer", "value": "900" },
+    { "key": "LocalAuthorizeOffline", "type": "boolean", "value": "true" },
+    { "key": "LocalPreAuthorize", "type": "boolean", "value": "false" },
+    { "key": "MeterValuesAlignedData", "type": "csl", "value": ocpp.MEASURAND_ENERGY, "values": MEASURANDS },
+    { "key": "MeterValuesAlignedDataMaxLength", "type": "integer", "value": String(MEASURANDS.length), "readonly": true },
+    { "key": "MeterValuesSampledData", "type": "csl", "value": MEASURANDS.join(","), "values": MEASURANDS },
+    { "key": "MeterValuesSampledDataMaxLength", "type": "integer", "value": String(MEASURANDS.length), "readonly": true },
+    { "key": "MeterValueSampleInterval", "type": "integer", "value": "60" },
+    { "key": "NumberOfConnectors", "type": "integer", "value": String(ocpp.DEFAULT_CONNECTOR_COUNT), "readonly": true },
+    // a reset of the simulator cannot fail: nothing to retry
+    { "key": "ResetRetries", "type": "integer", "value": "0", "readonly": true },
+    { "key": "StopTransactionOnEVSideDisconnect", "type": "boolean", "value": "true" },
+    { "key": "StopTransactionOnInvalidId", "type": "boolean", "value": "true" },
+    { "key": "StopTxnAlignedData", "type": "csl", "value": ocpp.MEASURAND_ENERGY, "values": MEASURANDS },
+    { "key": "StopTxnAlignedDataMaxLength", "type": "integer", "value": String(MEASURANDS.length), "readonly": true },
+    { "key": "StopTxnSampledData", "type": "csl", "value": ocpp.MEASURAND_ENERGY, "values": MEASURANDS },
+    { "key": "StopTxnSampledDataMaxLength", "type": "integer", "value": String(MEASURANDS.length), "readonly": true },
+    { "key": "SupportedFeatureProfiles", "type": "csl", "value": "Core,FirmwareManagement,LocalAuthListManagement,RemoteTrigger,Reservation,SmartCharging", "readonly": true },
+    { "key": "TransactionMessageAttempts", "type": "integer", "value": "3" },
+    { "key": "TransactionMessageRetryInterval", "type": "integer", "value": "30" },
+    { "key": "UnlockConnectorOnEVSideDisconnect", "type": "boolean", "value": "true" },
+    { "key": "WebSocketPingInterval", "type": "integer", "value": "0", "reboot": true }
+];
+
+//
+// Configuration keys of the Local Auth List Management profile (OCPP 1.6 section 9.2)
+//
+export const LOCAL_AUTH_LIST_CONFIGURATION = [
+    { "key": "LocalAuthListEnabled", "type": "boolean", "value": "true" },
+    { "key": "LocalAuthListMaxLength", "type": "integer", "value": "1000", "readonly": true },
+    { "key": "SendLocalListMaxLength", "type": "integer", "value": "100", "readonly": true }
+];
+
+//
+// Configuration keys of the Reservation profile (OCPP 1.6 section 9.4)
+//
+export const RESERVATION_CONFIGURATION = [
+    { "key": "ReserveConnectorZeroSupported", "type": "boolean", "value": "true" }
+];
+
+//
+// Configuration keys of the Smart Charging profile (OCPP 1.6 section 9.5)
+//
+export const SMART_CHARGING_CONFIGURATION = [
+    { "key": "ChargeProfileMaxStackLevel", "type": "integer", "value": "10", "readonly": true },
+    { "key": "ChargingScheduleAllowedChargingRateUnit", "type": "csl", "value": "Current,Power", "readonly": true },
+    { "key": "ChargingScheduleMaxPeriods", "type": "integer", "value": "24", "readonly": true },
+    { "key": "ConnectorSwitch3to1PhaseSupported", "type": "boolean", "value": "false", "readonly": true },
+    { "key": "MaxChargingProfilesInstalled", "type": "integer", "value": "20", "readonly": true }
+];
+
+//
+// Configuration keys of the security extension (OCPP 1.6 Security Whitepaper section 6)
+// SecurityProfile can only be increased, the AuthorizationKey is the password of the Basic Auth
+//
+export const SECURITY_CONFIGURATION = [
+    { "key": "AdditionalRootCertificateCheck", "type": "boolean", "value": "false", "readonly": true },
+    { "key": "AuthorizationKey", "type": "string", "value": "", "writeonly": true, "minLength": 16, "maxLength": 40 },
+    { "key": "CertificateSignedMaxChainSize", "type": "integer", "value": "10000", "readonly": true },
+    { "key": "CertificateStoreMaxLength", "type": "integer", "value": "20", "readonly": true },
+    { "key": "CpoName", "type": "string", "value": "" },
+    { "key": "SecurityProfile", "type": "integer", "value": "0", "min": 0, "max": 3 }
+];
+
+//
+// Check a value against the type of a configuration key
+// @param def The key definition
+// @param value The value (string)
+// @return true if the value is acceptable
+//
+function isValidValue(def, value) {
+    switch (def.type) {
+        case "boolean":
+            return value === "true" || value === "false";
+        case "integer":
+            return /^[0-9]+$/.test(value) &&
+                (def.min === undefined || Number(value) >= def.min) && (def.max === undefined || Number(value) <= def.max);
+        case "csl":
+            if (!def.values) {
+                return true;
+            }
+            return value === "" || value.split(",").every(v => def.values.includes(v.trim()));
+        case "string":
+            return (def.minLength === undefined || value.length >= def.minLength) &&
+                (def.maxLength === undefined || value.length <= def.maxLength);
+        default:
+            return true;
+    }
+}
+
+//
+//
+// Configuration class
+// Persistent store of the configuration keys reported by GetConfiguration
+// and changed by ChangeConfiguration
+//
+//
+export default class Configuration {
+
+    //
+    // Constructor
+    // @param definitions The list of supported keys (see CORE_CONFIGURATION)
+    // @param storage The storage of the key values
+    //
+    constructor(definitions = CORE_CONFIGURATION, storage = new Storage()) {
+        this._storage = storage;
+        this._definitions = new Map();
+        this._changeCb = null;
+        this.define(definitions);
+    }
+
+    //
+    // Add supported keys to the store
+    // @param definitions a list of key definitions (see CORE_CONFIGURATION)
+    //
+    define(definitions) {
+        for (const def of definitions) {
+            this._definitions.set(def.key, def);
+        }
+    }
+
+    //
+    // Set the change callback, triggered when the value of a key changes
+    // @param A callback function which takes two string arguments ("key","new value")
+    //
+    setChangeCallback(cb) {
+        this._changeCb = cb;
+    }
+
+    //
+    // @return the list of the supported key definitions
+    //
+    definitions() {
+        return Array.from(this._definitions.values());
+    }
+
+    //
+    // @param key The key name
+    // @return true if the key is supported
+    //
+    has(key) {
+        return this._definitions.has(key);
+    }
+
+    //
+    // @param key The key name
+    // @return the value of the key (string), undefined if the key is not supported
+    //
+    get(key) {
+        var def = this._definitions.get(key);
+        if (!def) {
+            return undefined;
+        }
+        // values are stored JSON encoded so that empty lists survive
+        var v = this._storage.getKey(ocpp.KEY_CONFIGURATION + key);
+        return v === "" ? def.value : JSON.parse(v);
+    }
+
+    //
+    // @param key The key name
+    // @return the value of an integer key
+    //
+    getInt(key) {
+        return parseInt(this.get(key));
+    }
+
+    //
+    // @param key The key name
+    // @return the value of a boolean key
+    //
+    getBool(key) {
+        return this.get(key) === "true";
+    }
+
+    //
+    // @param key The key name
+    // @return the value of a comma separated list key, as an array
+    //
+    getList(key) {
+        var v = this.get(key);
+        return v ? v.split(",").map(item => item.trim()).filter(item => item.length > 0) : [];
+    }
+
+    //
+    // Change the value of a key, as requested by ChangeConfiguration
+    // @param key The key name
+    // @param value The new value (string)
+    // @return the ChangeConfiguration status: Accepted, Rejected, RebootRequired or NotSupported
+    //
+    set(key, value) {
+        var def = this._definitions.get(key);
+        if (!def) {
+            return ocpp.CONFIG_NOT_SUPPORTED;
+        }
+        value = String(value);
+        if (def.readonly || !isValidValue(def, value)) {
+            return ocpp.CONFIG_REJECTED;
+        }
+        this.store(key, value);
+        return def.reboot ? ocpp.CONFIG_REBOOT_REQUIRED : ocpp.CONFIG_ACCEPTED;
+    }
+
+    //
+    // Store the value of a key without any check (readonly keys included),
+    // for values owned by the charge point itself
+    // @param key The key name
+    // @param value The new value
+    //
+    store(key, value) {
+        value = String(value);
+        if (this.get(key) === value) {
+            return;
+        }
+        this._storage.setKey(ocpp.KEY_CONFIGURATION + key, JSON.stringify(value));
+        if (this._changeCb) {
+            this._changeCb(key, value);
+        }
+    }
+
+    //
+    // Build the GetConfiguration response
+    // @param keys The requested keys (all keys if empty)
+    // @return the payload of the GetConfiguration.conf
+    //
+    getConfiguration(keys = []) {
+        var configurationKey = [];
+        var unknownKey = [];
+        if (!keys || keys.length == 0) {
+            keys = Array.from(this._definitions.keys());
+        }
+        for (const key of keys) {
+            var def = this._definitions.get(key);
+            if (!def) {
+                unknownKey.push(key);
+                continue;
+            }
+            var kv = { "key": key, "readonly": def.readonly === true };
+            if (!def.writeonly) {
+                kv["value"] = this.get(key);
+            }
+            configurationKey.push(kv);
+        }
+        var conf = { "configurationKey": configurationKey };
+        if (unknownKey.length > 0) {
+            conf["unknownKey"] = unknownKey;
+        }
+        return conf;
+    }
+}
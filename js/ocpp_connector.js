@@ -0,0 +1,247 @@
+"use strict";
+import * as ocpp from './ocpp_constants.js'
+import Storage from './ocpp_storage.js'
+
+//
+// Allowed status transitions (OCPP 1.6 section 4.9), indexed by current status
+//
+const TRANSITIONS = {
+    [ocpp.CONN_AVAILABLE]: [ocpp.CONN_PREPARING, ocpp.CONN_CHARGING, ocpp.CONN_SUSPENDED_EV, ocpp.CONN_SUSPENDED_EVSE,
+        ocpp.CONN_RESERVED, ocpp.CONN_UNAVAILABLE, ocpp.CONN_FAULTED],
+    [ocpp.CONN_PREPARING]: [ocpp.CONN_AVAILABLE, ocpp.CONN_CHARGING, ocpp.CONN_SUSPENDED_EV, ocpp.CONN_SUSPENDED_EVSE,
+        ocpp.CONN_FINISHING, ocpp.CONN_FAULTED],
+    [ocpp.CONN_CHARGING]: [ocpp.CONN_AVAILABLE, ocpp.CONN_SUSPENDED_EV, ocpp.CONN_SUSPENDED_EVSE, ocpp.CONN_FINISHING,
+        ocpp.CONN_UNAVAILABLE, ocpp.CONN_FAULTED],
+    [ocpp.CONN_SUSPENDED_EV]: [ocpp.CONN_AVAILABLE, ocpp.CONN_CHARGING, ocpp.CONN_SUSPENDED_EVSE, ocpp.CONN_FINISHING,
+        ocpp.CONN_UNAVAILABLE, ocpp.CONN_FAULTED],
+    [ocpp.CONN_SUSPENDED_EVSE]: [ocpp.CONN_AVAILABLE, ocpp.CONN_CHARGING, ocpp.CONN_SUSPENDED_EV, ocpp.CONN_FINISHING,
+        ocpp.CONN_UNAVAILABLE, ocpp.CONN_FAULTED],
+    [ocpp.CONN_FINISHING]: [ocpp.CONN_AVAILABLE, ocpp.CONN_PREPARING, ocpp.CONN_UNAVAILABLE, ocpp.CONN_FAULTED],
+    [ocpp.CONN_RESERVED]: [ocpp.CONN_AVAILABLE, ocpp.CONN_PREPARING, ocpp.CONN_UNAVAILABLE, ocpp.CONN_FAULTED],
+    [ocpp.CONN_UNAVAILABLE]: [ocpp.CONN_AVAILABLE, ocpp.CONN_PREPARING, ocpp.CONN_CHARGING, ocpp.CONN_SUSPENDED_EV,
+        ocpp.CONN_SUSPENDED_EVSE, ocpp.CONN_FAULTED],
+    [ocpp.CONN_FAULTED]: [ocpp.CONN_AVAILABLE, ocpp.CONN_PREPARING, ocpp.CONN_CHARGING, ocpp.CONN_SUSPENDED_EV,
+        ocpp.CONN_SUSPENDED_EVSE, ocpp.CONN_FINISHING, ocpp.CONN_RESERVED, ocpp.CONN_UNAVAILABLE]
+};
+
+// The charge point itself (connector 0) only reports these
+const CP_STATUSES = [ocpp.CONN_AVAILABLE, ocpp.CONN_UNAVAILABLE, ocpp.CONN_FAULTED];
+
+//
+//
+// Connector class
+// Holds the state of one connector of the charge point
+// (connector 0 stands for the charge point as a whole)
+//
+//
+export default class Connector {
+
+    //
+    // Constructor
+    // @param id The connector id
+    // @param storage The storage of the connector state
+    //
+    constructor(id, storage = new Storage()) {
+        this._id = id;
+        this._storage = storage;
+    }
+
+    //
+    // @return the connector id
+    //
+    id() {
+        return this._id;
+    }
+
+    //
+    // @return the status of the connector (Available, Charging...)
+    //
+    status() {
+        return this._storage.getSessionKey(ocpp.KEY_CONN_STATUS + this._id, ocpp.CONN_AVAILABLE);
+    }
+
+    //
+    // @param s The new status of the connector
+    // @param errorCode The error code reported with the status (NoError when not faulted)
+    // @param info Optional free text information about the error
+    // @param vendorErrorCode Optional vendor specific error code
+    //
+    setStatus(s, errorCode = ocpp.NO_ERROR, info = "", vendorErrorCode = "") {
+        this._storage.setSessionKey(ocpp.KEY_CONN_STATUS + this._id, s);
+        this._storage.setSessionKey(ocpp.KEY_CONN_ERROR_CODE + this._id, errorCode);
+        this._storage.setSessionKey(ocpp.KEY_CONN_INFO + this._id, info);
+        this._storage.setSessionKey(ocpp.KEY_CONN_VENDOR_ERROR + this._id, vendorErrorCode);
+    }
+
+    //
+    // @return the error code reported with the current status
+    //
+    errorCode() {
+        return this._storage.getSessionKey(ocpp.KEY_CONN_ERROR_CODE + this._id, ocpp.NO_ERROR);
+    }
+
+    //
+    // @return the information text reported with the current status
+    //
+    info() {
+        return this._storage.getSessionKey(ocpp.KEY_CONN_INFO + this._id);
+    }
+
+    //
+    // @return the vendor error code reported with the current status
+    //
+    vendorErrorCode() {
+        return this._storage.getSessionKey(ocpp.KEY_CONN_VENDOR_ERROR + this._id);
+    }
+
+    //
+    // Check a status change against the OCPP 1.6 transitions
+    // (keeping the current status is always allowed, e.g. to update the error code)
+    // @param s The requested status
+    // @return true if the connector may go from its current status to s
+    //
+    canSetStatus(s) {
+        if (this._id == 0) {
+            return CP_STATUSES.includes(s);
+        }
+        var current = this.status();
+        if (s == current) {
+            return true;
+        }
+        return (TRANSITIONS[current] || []).includes(s);
+    }
+
+    //
+    // @return true if an EV is plugged in the connector
+    //
+    isPlugged() {
+        return this._storage.getSessionKey(ocpp.KEY_CONN_PLUGGED + this._id) == "true";
+    }
+
+    //
+    // @param plugged true when an EV gets plugged, false when it is unplugged
+    //
+    setPlugged(plugged) {
+        this._storage.setSessionKey(ocpp.KEY_CONN_PLUGGED + this._id, plugged ? "true" : "false");
+    }
+
+    //
+    // Availability is persistent thus stored in local storage instead of session storage
+    // @return the availability of the connector (Operative or Inoperative)
+    //
+    availability() {
+        return this._storage.getKey(ocpp.KEY_CONN_AVAILABILITY + this._id, ocpp.AVAILABITY_OPERATIVE);
+    }
+
+    //
+    // @param a The new availability of the connector
+    //
+    setAvailability(a) {
+        this._storage.setKey(ocpp.KEY_CONN_AVAILABILITY + this._id, a);
+    }
+
+    //
+    // @return the reservation of the connector {reservationId, idTag, parentIdTag, expiryDate}, null if none
+    //
+    reservation() {
+        var r = this._storage.getSessionKey(ocpp.KEY_CONN_RESERVATION + this._id);
+        return r === "" ? null : JSON.parse(r);
+    }
+
+    //
+    // @param reservation The reservation made by a ReserveNow request
+    //
+    setReservation(reservation) {
+        this._storage.setSessionKey(ocpp.KEY_CONN_RESERVATION + this._id, JSON.stringify(reservation));
+    }
+
+    //
+    // Forget the reservation of the connector
+    //
+    clearReservation() {
+        this._storage.removeSessionKey(ocpp.KEY_CONN_RESERVATION + this._id);
+    }
+
+    //
+    // @return the availability to apply once the transaction of the connector ends, null if none
+    //
+    scheduledAvailability() {
+        var a = this._storage.getSessionKey(ocpp.KEY_CONN_SCHEDULED_AVAILABILITY + this._id);
+        return a === "" ? null : a;
+    }
+
+    //
+    // @param a The availability to apply once the transaction ends, null to cancel the scheduled change
+    //
+    setScheduledAvailability(a) {
+        if (a === null) {
+            this._storage.removeSessionKey(ocpp.KEY_CONN_SCHEDULED_AVAILABILITY + this._id);
+        }
+        else {
+            this._storage.setSessionKey(ocpp.KEY_CONN_SCHEDULED_AVAILABILITY + this._id, a);
+        }
+    }
+
+    //
+    // @return the meter value of the connector (Wh)
+    //
+    meterValue() {
+        return parseFloat(this._storage.getSessionKey(ocpp.KEY_METER_VALUE + this._id, "0"));
+    }
+
+    //
+    // @param v The new meter value of the connector (Wh)
+    //
+    setMeterValue(v) {
+        this._storage.setSessionKey(ocpp.KEY_METER_VALUE + this._id, v);
+    }
+
+    //
+    // @return true if a transaction is running (or being started) on the connector
+    //
+    hasTransaction() {
+        return this._storage.getSessionKey(ocpp.KEY_TRANSACTION_TAG + this._id) !== "";
+    }
+
+    //
+    // @return the id of the running transaction, null if none or not yet known
+    //         (an integer in OCPP 1.6, a string chosen by the charge point in OCPP 2.0.1)
+    //
+    transactionId() {
+        var id = this._storage.getSessionKey(ocpp.KEY_TRANSACTION_ID + this._id);
+        if (id === "") {
+            return null;
+        }
+        return /^-?[0-9]+$/.test(id) ? parseInt(id) : id;
+    }
+
+    //
+    // @return the idTag which started the running transaction
+    //
+    transactionTag() {
+        return this._storage.getSessionKey(ocpp.KEY_TRANSACTION_TAG + this._id);
+    }
+
+    //
+    // Record a transaction on the connector
+    // @param tagId The idTag which started the transaction
+    // @param transactionId The id given by the server (null while unknown)
+    //
+    setTransaction(tagId, transactionId = null) {
+        this._storage.setSessionKey(ocpp.KEY_TRANSACTION_TAG + this._id, tagId);
+        if (transactionId === null) {
+            this._storage.removeSessionKey(ocpp.KEY_TRANSACTION_ID + this._id);
+        }
+        else {
+            this._storage.setSessionKey(ocpp.KEY_TRANSACTION_ID + this._id, transactionId);
+        }
+    }
+
+    //
+    // Forget the transaction of the connector
+    //
+    clearTransaction() {
+        this._storage.removeSessionKey(ocpp.KEY_TRANSACTION_TAG + this._id);
+        this._storage.removeSessionKey(ocpp.KEY_TRANSACTION_ID + this._id);
+    }
+}
@@ -6,16 +6,43 @@
 
 // Keys (stored in local or session storage)
 export const KEY_CP_STATUS    = 'cp_status';
+// (the connector id is appended to the per connector keys)
 export const KEY_METER_VALUE  = 'meter_value';
 export const KEY_CONN_STATUS  = 'conn_status';
-export const KEY_CONN0_STATUS  = 'conn_status0';
-export const KEY_CONN1_STATUS  = 'conn_status1';
-export const KEY_CONN2_STATUS  = 'conn_status2';
+export const KEY_CONN_ERROR_CODE   = 'conn_error_code';
+export const KEY_CONN_INFO         = 'conn_info';
+export const KEY_CONN_VENDOR_ERROR = 'conn_vendor_error_code';
+export const KEY_CONN_PLUGGED      = 'conn_plugged';
+export const KEY_CONN_SOC          = 'conn_soc';
 export const KEY_CONN_AVAILABILITY   = 'conn_availability';
-export const KEY_CONN0_AVAILABILITY  = 'conn_availability0';
-export const KEY_CONN1_AVAILABILITY  = 'conn_availability1';
-export const KEY_CONN2_AVAILABILITY  = 'conn_availability2';
-    
+export const KEY_CONN_RESERVATION    = 'conn_reservation';
+export const KEY_CONN_SCHEDULED_AVAILABILITY = 'conn_scheduled_availability';
+export const KEY_TRANSACTION_ID  = 'transaction_id';
+export const KEY_TRANSACTION_TAG = 'transaction_tag';
+// transaction related messages waiting for the server, and last local transaction id
+export const KEY_TRANSACTION_QUEUE    = 'transaction_queue';
+export const KEY_LOCAL_TRANSACTION_ID = 'local_transaction_id';
+// local authorization list, its version, and authorization cache
+export const KEY_LOCAL_LIST         = 'local_list';
+export const KEY_LOCAL_LIST_VERSION = 'local_list_version';
+export const KEY_AUTH_CACHE         = 'auth_cache';
+// installed charging profiles
+export const KEY_CHARGING_PROFILES  = 'charging_profiles';
+// firmware version, changed by UpdateFirmware
+export const KEY_FIRMWARE_VERSION   = 'firmware_version';
+// faults injected in the messages
+export const KEY_FAULT_PROFILE      = 'fault_profile';
+export const KEY_MESSAGE_TRACE      = 'message_trace';
+// installed root certificates, certificate of the charge point, its private key,
+// and certificate signing request waiting for a CertificateSigned (with its private key)
+export const KEY_INSTALLED_CERTIFICATES = 'installed_certificates';
+export const KEY_CP_CERTIFICATE         = 'cp_certificate';
+export const KEY_CP_PRIVATE_KEY         = 'cp_private_key';
+export const KEY_PENDING_CSR            = 'pending_csr';
+
+// Number of connectors when not configured
+export const DEFAULT_CONNECTOR_COUNT = 2;
+
 // Charge Point Status
 export const CP_ERROR         = 'error';
 export const CP_DISCONNECTED  = 'disconnected';
@@ -25,17 +52,442 @@ export const CP_AUTHORIZED    = 'authorized';
 export const CP_INTRANSACTION = 'in_transaction';
 
 // Connector status
-export const CONN_AVAILABLE   = 'Available';
-export const CONN_CHARGING    = 'Charging';
-export const CONN_UNAVAILABLE = 'Unavailable';
-export const CONN_FINISHING = "Finishing";
+export const CONN_AVAILABLE      = 'Available';
+export const CONN_PREPARING      = 'Preparing';
+export const CONN_CHARGING       = 'Charging';
+export const CONN_SUSPENDED_EV   = 'SuspendedEV';
+export const CONN_SUSPENDED_EVSE = 'SuspendedEVSE';
+export const CONN_FINISHING      = 'Finishing';
+export const CONN_RESERVED       = 'Reserved';
+export const CONN_UNAVAILABLE    = 'Unavailable';
+export const CONN_FAULTED        = 'Faulted';
+
+// Connector error codes (StatusNotification errorCode)
+export const ERROR_CODES = [
+    'NoError',
+    'ConnectorLockFailure',
+    'EVCommunicationError',
+    'GroundFailure',
+    'HighTemperature',
+    'InternalError',
+    'LocalListConflict',
+    'OtherError',
+    'OverCurrentFailure',
+    'OverVoltage',
+    'PowerMeterFailure',
+    'PowerSwitchFailure',
+    'ReaderFailure',
+    'ResetFailure',
+    'UnderVoltage',
+    'WeakSignal'
+];
+export const NO_ERROR = 'NoError';
+
+// Reasons of a StopTransaction
+export const REASON_EV_DISCONNECTED = 'EVDisconnected';
+export const REASON_LOCAL = 'Local';
+export const REASON_REMOTE = 'Remote';
+export const REASON_SOFT_RESET = 'SoftReset';
+export const REASON_HARD_RESET = 'HardReset';
+export const REASON_UNLOCK_COMMAND = 'UnlockCommand';
+export const REASON_DEAUTHORIZED = 'DeAuthorized';
+export const REASON_OTHER = 'Other';
+// OCPP 2.0.1 stoppedReason of the transactions stopped by a Reset
+export const REASON_IMMEDIATE_RESET = 'ImmediateReset';
+
+// Types of a Reset request
+export const RESET_SOFT = 'Soft';
+export const RESET_HARD = 'Hard';
 
 // OCPP Operations
 export const START_TRANSACTION = "StartTransaction";
 export const STOP_TRANSACTION = "StopTransaction";
 export const AUTHORIZE = "Authorize";
 export const BOOT_NOTIFICATION = "BootNotification";
+export const HEARTBEAT = "Heartbeat";
+export const METER_VALUES = "MeterValues";
+export const STATUS_NOTIFICATION = "StatusNotification";
+export const FIRMWARE_STATUS_NOTIFICATION = "FirmwareStatusNotification";
+export const DIAGNOSTICS_STATUS_NOTIFICATION = "DiagnosticsStatusNotification";
+export const SECURITY_EVENT_NOTIFICATION = "SecurityEventNotification";
+export const SIGN_CERTIFICATE = "SignCertificate";
+export const SIGNED_FIRMWARE_STATUS_NOTIFICATION = "SignedFirmwareStatusNotification";
+
+// Outgoing CALLs
+export const CALL_TIMEOUT_SECONDS = 30;
+export const ERROR_TIMEOUT = "Timeout";
+export const ERROR_NOT_CONNECTED = "NotConnected";
+export const ERROR_NOT_REGISTERED = "NotRegistered";
+export const ERROR_DUPLICATE_ID = "DuplicateId";
+
+// BootNotification (registration status given by the server)
+export const REGISTRATION_ACCEPTED = "Accepted";
+export const REGISTRATION_PENDING  = "Pending";
+export const REGISTRATION_REJECTED = "Rejected";
+// delay before sending the BootNotification again when the server gives no interval (s)
+export const BOOT_RETRY_SECONDS = 30;
+
+// Fleet mode: delay between the connections of two charge points (ms),
+// period over which the message rates are computed (s) and number of latencies kept for the statistics
+export const FLEET_STAGGER_MS = 100;
+export const FLEET_RATE_WINDOW_SECONDS = 10;
+export const FLEET_LATENCY_SAMPLES = 1000;
+
+// Scenarios: default time given to each step (s)
+export const SCENARIO_STEP_TIMEOUT_SECONDS = 30;
+
+// Automatic reconnection when the connection is lost
+// delay = min(maxDelay, initialDelay * 2^attempt), reduced by up to jitter * delay at random (s)
+export const DEFAULT_RECONNECT_SETTINGS = {
+    "enabled": true,
+    "initialDelay": 1,
+    "maxDelay": 300,
+    "jitter": 0.5
+};
+
+// Firmware update and diagnostics upload
+export const DEFAULT_FIRMWARE_VERSION = "0.9.87";
+export const FIRMWARE_IDLE                = 'Idle';
+export const FIRMWARE_DOWNLOADING         = 'Downloading';
+export const FIRMWARE_DOWNLOADED          = 'Downloaded';
+export const FIRMWARE_DOWNLOAD_FAILED     = 'DownloadFailed';
+export const FIRMWARE_INSTALLING          = 'Installing';
+export const FIRMWARE_INSTALLED           = 'Installed';
+export const FIRMWARE_INSTALLATION_FAILED = 'InstallationFailed';
+// additional status of the signed firmware updates (SignedFirmwareStatusNotification)
+export const FIRMWARE_DOWNLOAD_SCHEDULED  = 'DownloadScheduled';
+export const FIRMWARE_SIGNATURE_VERIFIED  = 'SignatureVerified';
+export const FIRMWARE_INVALID_SIGNATURE   = 'InvalidSignature';
+export const FIRMWARE_INSTALL_SCHEDULED   = 'InstallScheduled';
+export const FIRMWARE_INSTALL_REBOOTING   = 'InstallRebooting';
+export const DIAGNOSTICS_IDLE          = 'Idle';
+export const DIAGNOSTICS_UPLOADING     = 'Uploading';
+export const DIAGNOSTICS_UPLOADED      = 'Uploaded';
+export const DIAGNOSTICS_UPLOAD_FAILED = 'UploadFailed';
+// simulated failures
+export const FAIL_NONE     = 'none';
+export const FAIL_DOWNLOAD = 'download';
+export const FAIL_INSTALL  = 'install';
+export const FAIL_UPLOAD   = 'upload';
+export const FAIL_SIGNATURE = 'signature';
+// durations of the simulated steps (s) and failure to simulate (FAIL_xxx)
+export const DEFAULT_MAINTENANCE_SETTINGS = {
+    "downloadSeconds": 5,
+    "installSeconds": 5,
+    "rebootSeconds": 5,
+    "failure": FAIL_NONE
+};
+// the firmware installation waits for the end of the transactions, checked every FIRMWARE_WAIT_SECONDS
+export const FIRMWARE_WAIT_SECONDS = 10;
+// number of log lines kept for the diagnostics file
+export const DIAGNOSTICS_LOG_LINES = 1000;
+
+// Authorization status (idTagInfo)
+export const AUTH_ACCEPTED       = 'Accepted';
+export const AUTH_BLOCKED        = 'Blocked';
+export const AUTH_EXPIRED        = 'Expired';
+export const AUTH_INVALID        = 'Invalid';
+export const AUTH_CONCURRENT_TX  = 'ConcurrentTx';
+
+// SendLocalList update types and status
+export const UPDATE_FULL             = 'Full';
+export const UPDATE_DIFFERENTIAL     = 'Differential';
+export const UPDATE_ACCEPTED         = 'Accepted';
+export const UPDATE_FAILED           = 'Failed';
+export const UPDATE_NOT_SUPPORTED    = 'NotSupported';
+export const UPDATE_VERSION_MISMATCH = 'VersionMismatch';
+
+// ReserveNow and CancelReservation status
+export const RESERVATION_ACCEPTED    = 'Accepted';
+export const RESERVATION_FAULTED     = 'Faulted';
+export const RESERVATION_OCCUPIED    = 'Occupied';
+export const RESERVATION_REJECTED    = 'Rejected';
+export const RESERVATION_UNAVAILABLE = 'Unavailable';
+
+// Charging profiles (Smart Charging)
+export const PURPOSE_CHARGE_POINT_MAX = 'ChargePointMaxProfile';
+export const PURPOSE_TX_DEFAULT       = 'TxDefaultProfile';
+export const PURPOSE_TX               = 'TxProfile';
+export const KIND_ABSOLUTE            = 'Absolute';
+export const KIND_RECURRING           = 'Recurring';
+export const KIND_RELATIVE            = 'Relative';
+export const RECURRENCY_DAILY         = 'Daily';
+export const RECURRENCY_WEEKLY        = 'Weekly';
+export const RATE_UNIT_POWER          = 'W';
+export const RATE_UNIT_CURRENT        = 'A';
+// SetChargingProfile, ClearChargingProfile and GetCompositeSchedule status
+export const PROFILE_ACCEPTED         = 'Accepted';
+export const PROFILE_REJECTED         = 'Rejected';
+export const PROFILE_UNKNOWN          = 'Unknown';
 
 // Availability status
 export const AVAILABITY_OPERATIVE   = 'Operative';
 export const AVAILABITY_INOPERATIVE = 'Inoperative';
+
+// ChangeAvailability response status
+export const AVAILABILITY_ACCEPTED  = 'Accepted';
+export const AVAILABILITY_REJECTED  = 'Rejected';
+export const AVAILABILITY_SCHEDULED = 'Scheduled';
+
+// Security extension (OCPP 1.6 Security Whitepaper)
+// security profiles: 0 unsecured, 1 Basic Auth, 2 TLS + Basic Auth, 3 TLS with client certificate
+export const SECURITY_PROFILE_NONE       = 0;
+export const SECURITY_PROFILE_BASIC_AUTH = 1;
+export const SECURITY_PROFILE_TLS_BASIC  = 2;
+export const SECURITY_PROFILE_TLS_CLIENT = 3;
+// certificate types of InstallCertificate and GetInstalledCertificateIds
+export const CERT_CENTRAL_SYSTEM_ROOT = 'CentralSystemRootCertificate';
+export const CERT_MANUFACTURER_ROOT   = 'ManufacturerRootCertificate';
+export const CERTIFICATE_TYPES = [CERT_CENTRAL_SYSTEM_ROOT, CERT_MANUFACTURER_ROOT];
+// delay before connecting again with new security parameters, once the previous connection is closed (s)
+export const SECURITY_RECONNECT_SECONDS = 1;
+// status of the certificate messages
+export const CERTIFICATE_ACCEPTED  = 'Accepted';
+export const CERTIFICATE_REJECTED  = 'Rejected';
+export const CERTIFICATE_FAILED    = 'Failed';
+export const CERTIFICATE_NOT_FOUND = 'NotFound';
+// SignedUpdateFirmware status
+export const SIGNED_UPDATE_ACCEPTED            = 'Accepted';
+export const SIGNED_UPDATE_INVALID_CERTIFICATE = 'InvalidCertificate';
+// ExtendedTriggerMessage messages which are not triggered by TriggerMessage
+export const TRIGGER_SIGN_CERTIFICATE = 'SignChargePointCertificate';
+export const TRIGGER_LOG_STATUS       = 'LogStatusNotification';
+// security events, only the critical ones being sent to the server when raised by the charge point
+export const SEC_FIRMWARE_UPDATED                  = 'FirmwareUpdated';
+export const SEC_RESET_OR_REBOOT                   = 'ResetOrReboot';
+export const SEC_RECONFIGURATION                   = 'ReconfigurationOfSecurityParameters';
+export const SEC_INVALID_FIRMWARE_SIGNATURE        = 'InvalidFirmwareSignature';
+export const SEC_INVALID_FIRMWARE_CERTIFICATE      = 'InvalidFirmwareSigningCertificate';
+export const SEC_INVALID_CHARGE_POINT_CERTIFICATE  = 'InvalidChargePointCertificate';
+export const SECURITY_EVENTS = [
+    'FirmwareUpdated', 'FailedToAuthenticateAtCentralSystem', 'CentralSystemFailedToAuthenticate',
+    'SettingSystemTime', 'StartupOfTheDevice', 'ResetOrReboot', 'SecurityLogWasCleared',
+    'ReconfigurationOfSecurityParameters', 'MemoryExhaustion', 'InvalidMessages', 'AttemptedReplayAttacks',
+    'TamperDetectionActivated', 'InvalidFirmwareSignature', 'InvalidFirmwareSigningCertificate',
+    'InvalidCentralSystemCertificate', 'InvalidChargePointCertificate', 'InvalidTLSVersion', 'InvalidTLSCipherSuite'
+];
+export const CRITICAL_SECURITY_EVENTS = [
+    'FirmwareUpdated', 'SettingSystemTime', 'StartupOfTheDevice', 'ResetOrReboot', 'SecurityLogWasCleared',
+    'MemoryExhaustion', 'TamperDetectionActivated'
+];
+
+// Measurands
+export const MEASURAND_ENERGY  = 'Energy.Active.Import.Register';
+export const MEASURAND_POWER   = 'Power.Active.Import';
+export const MEASURAND_CURRENT = 'Current.Import';
+export const MEASURAND_VOLTAGE = 'Voltage';
+export const MEASURAND_SOC     = 'SoC';
+
+// Reading contexts
+export const CONTEXT_PERIODIC          = 'Sample.Periodic';
+export const CONTEXT_CLOCK             = 'Sample.Clock';
+export const CONTEXT_TRANSACTION_BEGIN = 'Transaction.Begin';
+export const CONTEXT_TRANSACTION_END   = 'Transaction.End';
+export const CONTEXT_TRIGGER           = 'Trigger';
+
+// Simulated EV and charging station electrical characteristics
+// (powerCurve gives the fraction of maxPower the EV draws depending on its SoC, linearly interpolated)
+export const DEFAULT_METER_SETTINGS = {
+    "maxPower": 11000,
+    "phases": 3,
+    "voltage": 230,
+    "batteryCapacity": 60000,
+    "initialSoC": 20,
+    "powerCurve": [[0, 1.0], [80, 1.0], [100, 0.1]]
+};
+
+
+
+// Configuration
+export const KEY_CONFIGURATION = 'config_';
+export const CONFIG_ACCEPTED        = 'Accepted';
+export const CONFIG_REJECTED        = 'Rejected';
+export const CONFIG_REBOOT_REQUIRED = 'RebootRequired';
+export const CONFIG_NOT_SUPPORTED   = 'NotSupported';
+
+// All the OCPP 1.6 actions (both directions)
+export const OCPP16_ACTIONS = [
+    'Authorize', 'BootNotification', 'CancelReservation', 'CertificateSigned', 'ChangeAvailability',
+    'ChangeConfiguration', 'ClearCache', 'ClearChargingProfile', 'DataTransfer', 'DeleteCertificate',
+    'DiagnosticsStatusNotification', 'ExtendedTriggerMessage', 'FirmwareStatusNotification',
+    'GetCompositeSchedule', 'GetConfiguration', 'GetDiagnostics', 'GetInstalledCertificateIds',
+    'GetLocalListVersion', 'Heartbeat', 'InstallCertificate', 'MeterValues', 'RemoteStartTransaction',
+    'RemoteStopTransaction', 'ReserveNow', 'Reset', 'SecurityEventNotification', 'SendLocalList',
+    'SetChargingProfile', 'SignCertificate', 'SignedFirmwareStatusNotification', 'SignedUpdateFirmware',
+    'StartTransaction', 'StatusNotification', 'StopTransaction', 'TriggerMessage', 'UnlockConnector',
+    'UpdateFirmware'
+];
+
+// Protocol versions, named after their WebSocket subprotocol
+export const OCPP16  = 'ocpp1.6';
+export const OCPP201 = 'ocpp2.0.1';
+export const PROTOCOL_VERSIONS = [OCPP16, OCPP201];
+// subprotocols offered when opening the connection
+export const SUBPROTOCOLS = {
+    [OCPP16]: ['ocpp1.6', 'ocpp1.5'],
+    [OCPP201]: ['ocpp2.0.1']
+};
+
+// All the OCPP 2.0.1 actions (both directions)
+export const OCPP201_ACTIONS = [
+    'Authorize', 'BootNotification', 'CancelReservation', 'CertificateSigned', 'ChangeAvailability',
+    'ClearCache', 'ClearChargingProfile', 'ClearDisplayMessage', 'ClearedChargingLimit', 'ClearVariableMonitoring',
+    'CostUpdated', 'CustomerInformation', 'DataTransfer', 'DeleteCertificate', 'FirmwareStatusNotification',
+    'Get15118EVCertificate', 'GetBaseReport', 'GetCertificateStatus', 'GetChargingProfiles',
+    'GetCompositeSchedule', 'GetDisplayMessages', 'GetInstalledCertificateIds', 'GetLocalListVersion', 'GetLog',
+    'GetMonitoringReport', 'GetReport', 'GetTransactionStatus', 'GetVariables', 'Heartbeat',
+    'InstallCertificate', 'LogStatusNotification', 'MeterValues', 'NotifyChargingLimit',
+    'NotifyCustomerInformation', 'NotifyDisplayMessages', 'NotifyEVChargingNeeds', 'NotifyEVChargingSchedule',
+    'NotifyEvent', 'NotifyMonitoringReport', 'NotifyReport', 'PublishFirmware', 'PublishFirmwareStatusNotification',
+    'ReportChargingProfiles', 'RequestStartTransaction', 'RequestStopTransaction', 'ReservationStatusUpdate',
+    'ReserveNow', 'Reset', 'SecurityEventNotification', 'SendLocalList', 'SetChargingProfile',
+    'SetDisplayMessage', 'SetMonitoringBase', 'SetMonitoringLevel', 'SetNetworkProfile',
+    'SetVariableMonitoring', 'SetVariables', 'SignCertificate', 'StatusNotification', 'TransactionEvent',
+    'TriggerMessage', 'UnlockConnector', 'UnpublishFirmware', 'UpdateFirmware'
+];
+
+// OCPP 2.0.1 operations which replace or complete the 1.6 ones
+export const TRANSACTION_EVENT = "TransactionEvent";
+export const NOTIFY_REPORT = "NotifyReport";
+
+// OCPP 2.0.1 EVSE model: each connector of the simulator is an EVSE (evseId = connectorId)
+// holding a single connector
+export const EVSE_CONNECTOR_ID = 1;
+
+// OCPP 2.0.1 connector status (StatusNotification connectorStatus)
+export const CONNECTOR_AVAILABLE   = 'Available';
+export const CONNECTOR_OCCUPIED    = 'Occupied';
+export const CONNECTOR_RESERVED    = 'Reserved';
+export const CONNECTOR_UNAVAILABLE = 'Unavailable';
+export const CONNECTOR_FAULTED     = 'Faulted';
+
+// OCPP 2.0.1 reasons of a BootNotification
+export const BOOT_POWER_UP        = 'PowerUp';
+export const BOOT_REMOTE_RESET    = 'RemoteReset';
+export const BOOT_FIRMWARE_UPDATE = 'FirmwareUpdate';
+export const BOOT_TRIGGERED       = 'Triggered';
+
+// OCPP 2.0.1 TransactionEvent: event types, charging states and trigger reasons
+export const TX_STARTED = 'Started';
+export const TX_UPDATED = 'Updated';
+export const TX_ENDED   = 'Ended';
+export const CHARGING_STATE_CHARGING       = 'Charging';
+export const CHARGING_STATE_EV_CONNECTED   = 'EVConnected';
+export const CHARGING_STATE_SUSPENDED_EV   = 'SuspendedEV';
+export const CHARGING_STATE_SUSPENDED_EVSE = 'SuspendedEVSE';
+export const CHARGING_STATE_IDLE           = 'Idle';
+export const TRIGGER_AUTHORIZED              = 'Authorized';
+export const TRIGGER_REMOTE_START            = 'RemoteStart';
+export const TRIGGER_REMOTE_STOP             = 'RemoteStop';
+export const TRIGGER_STOP_AUTHORIZED         = 'StopAuthorized';
+export const TRIGGER_EV_COMMUNICATION_LOST   = 'EVCommunicationLost';
+export const TRIGGER_RESET_COMMAND           = 'ResetCommand';
+export const TRIGGER_CHARGING_STATE_CHANGED  = 'ChargingStateChanged';
+export const TRIGGER_METER_VALUE_PERIODIC    = 'MeterValuePeriodic';
+export const TRIGGER_METER_VALUE_CLOCK       = 'MeterValueClock';
+export const TRIGGER_TRIGGER                 = 'Trigger';
+export const TRIGGER_ABNORMAL_CONDITION      = 'AbnormalCondition';
+
+// OCPP 2.0.1 types of a Reset request, and status of a Reset delayed until the transactions end
+export const RESET_IMMEDIATE = 'Immediate';
+export const RESET_ON_IDLE   = 'OnIdle';
+export const RESET_SCHEDULED = 'Scheduled';
+
+// OCPP 2.0.1 type of the idTokens presented to the simulator (RFID tags)
+export const ID_TOKEN_ISO14443 = 'ISO14443';
+
+// OCPP 2.0.1 device model (see ocpp_device_model.js)
+export const ATTRIBUTE_ACTUAL            = 'Actual';
+export const ATTRIBUTE_ACCEPTED          = 'Accepted';
+export const ATTRIBUTE_REJECTED          = 'Rejected';
+export const ATTRIBUTE_REBOOT_REQUIRED   = 'RebootRequired';
+export const ATTRIBUTE_UNKNOWN_COMPONENT = 'UnknownComponent';
+export const ATTRIBUTE_UNKNOWN_VARIABLE  = 'UnknownVariable';
+export const ATTRIBUTE_NOT_SUPPORTED     = 'NotSupportedAttributeType';
+export const MUTABILITY_READ_ONLY  = 'ReadOnly';
+export const MUTABILITY_WRITE_ONLY = 'WriteOnly';
+export const MUTABILITY_READ_WRITE = 'ReadWrite';
+export const REPORT_CONFIGURATION_INVENTORY = 'ConfigurationInventory';
+export const REPORT_FULL_INVENTORY          = 'FullInventory';
+export const REPORT_SUMMARY_INVENTORY       = 'SummaryInventory';
+export const REPORT_ACCEPTED      = 'Accepted';
+export const REPORT_NOT_SUPPORTED = 'NotSupported';
+export const REPORT_EMPTY         = 'EmptyResultSet';
+// number of variables sent in each NotifyReport of a report
+export const NOTIFY_REPORT_ITEMS = 20;
+
+// Schema validation of the messages
+// off: no validation, warn: violations are logged, strict: invalid messages are not sent / rejected
+export const VALIDATION_OFF    = 'off';
+export const VALIDATION_WARN   = 'warn';
+export const VALIDATION_STRICT = 'strict';
+export const ERROR_SCHEMA_VIOLATION = 'SchemaViolation';
+
+// CALLERROR codes
+export const ERROR_NOT_IMPLEMENTED        = 'NotImplemented';
+export const ERROR_NOT_SUPPORTED          = 'NotSupported';
+export const ERROR_INTERNAL               = 'InternalError';
+export const ERROR_PROTOCOL               = 'ProtocolError';
+export const ERROR_SECURITY               = 'SecurityError';
+export const ERROR_FORMATION              = 'FormationViolation';
+export const ERROR_PROPERTY_CONSTRAINT    = 'PropertyConstraintViolation';
+export const ERROR_OCCURENCE_CONSTRAINT   = 'OccurenceConstraintViolation';
+export const ERROR_TYPE_CONSTRAINT        = 'TypeConstraintViolation';
+export const ERROR_GENERIC                = 'GenericError';
+
+// Fault injection (see ocpp_faults.js)
+export const FAULT_DROP         = 'drop';
+export const FAULT_DELAY        = 'delay';
+export const FAULT_DUPLICATE_ID = 'duplicateId';
+export const FAULT_MALFORMED    = 'malformed';
+export const FAULT_WRONG_TYPES  = 'wrongTypes';
+export const FAULT_CALL_ERROR   = 'callError';
+export const FAULT_CLOCK_SKEW   = 'clockSkew';
+export const FAULT_DISCONNECT   = 'disconnect';
+export const FAULT_TYPES = [
+    FAULT_DROP, FAULT_DELAY, FAULT_DUPLICATE_ID, FAULT_MALFORMED, FAULT_WRONG_TYPES,
+    FAULT_CALL_ERROR, FAULT_CLOCK_SKEW, FAULT_DISCONNECT
+];
+// parameter of each fault type, if any
+export const FAULT_PARAMETERS = {
+    [FAULT_DELAY]: 'seconds',
+    [FAULT_CALL_ERROR]: 'errorCode',
+    [FAULT_CLOCK_SKEW]: 'seconds',
+    [FAULT_DISCONNECT]: 'probability'
+};
+// action of the faults applying to every message
+export const FAULT_ALL_ACTIONS = '*';
+// close code of the socket closed by a disconnect fault (not 3001, thus reconnecting)
+export const FAULT_CLOSE_CODE = 3002;
+
+// OCPP 1.6 actions initiated by the charge point (direction of the CALLs of a raw frame log, see ocpp_replay.js)
+export const CP_INITIATED_ACTIONS = [
+    'Authorize', 'BootNotification', 'DataTransfer', 'DiagnosticsStatusNotification', 'FirmwareStatusNotification',
+    'Heartbeat', 'LogStatusNotification', 'MeterValues', 'SecurityEventNotification', 'SignCertificate',
+    'SignedFirmwareStatusNotification', 'StartTransaction', 'StatusNotification', 'StopTransaction'
+];
+
+// Mock Central System of server.js (see ocpp_central_system.js)
+// CALLs which can be sent to the connected charge points from the admin page / REST API
+export const CS_COMMANDS = [
+    'RemoteStartTransaction', 'RemoteStopTransaction', 'Reset', 'ChangeAvailability', 'TriggerMessage'
+];
+export const CS_HEARTBEAT_INTERVAL = 300;
+// MeterValues kept per charge point
+export const CS_METER_VALUES_KEPT = 100;
+
+// Message trace (see ocpp_trace.js)
+export const TRACE_SEND    = 'send';
+export const TRACE_RECEIVE = 'receive';
+export const MESSAGE_CALL        = 'CALL';
+export const MESSAGE_CALLRESULT  = 'CALLRESULT';
+export const MESSAGE_CALLERROR   = 'CALLERROR';
+export const MESSAGE_MALFORMED   = 'Malformed';
+// message type of each MessageTypeId
+export const MESSAGE_TYPES = { 2: MESSAGE_CALL, 3: MESSAGE_CALLRESULT, 4: MESSAGE_CALLERROR };
+// oldest records are dropped beyond this count (the trace is kept in the session storage)
+export const TRACE_MAX_RECORDS = 500;
+// the trace is written to the session storage at most once per period (ms)
+export const TRACE_SAVE_DELAY_MS = 1000;
+export const TRACE_FORMAT_JSONL = 'jsonl';
+export const TRACE_FORMAT_HAR   = 'har';
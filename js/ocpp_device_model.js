@@ -0,0 +1,256 @@
+"use strict";
+import * as ocpp from './ocpp_constants.js'
+
+//
+// Variables of the OCPP 2.0.1 device model, mapped to the configuration keys of OCPP 1.6:
+// GetVariables / SetVariables read and change the same store as GetConfiguration / ChangeConfiguration
+// instance: the instance of the variable, if any
+// readonly: the variable cannot be set even if the key can be changed
+// (the SecurityProfile is changed by a SetNetworkProfile in OCPP 2.0.1)
+//
+export const DEVICE_MODEL = [
+    { "component": "AlignedDataCtrlr", "variable": "Interval", "key": "ClockAlignedDataInterval" },
+    { "component": "AlignedDataCtrlr", "variable": "Measurands", "key": "MeterValuesAlignedData" },
+    { "component": "AlignedDataCtrlr", "variable": "TxEndedMeasurands", "key": "StopTxnAlignedData" },
+    { "component": "AuthCacheCtrlr", "variable": "Enabled", "key": "AuthorizationCacheEnabled" },
+    { "component": "AuthCtrlr", "variable": "AuthorizeRemoteStart", "key": "AuthorizeRemoteTxRequests" },
+    { "component": "AuthCtrlr", "variable": "LocalAuthorizeOffline", "key": "LocalAuthorizeOffline" },
+    { "component": "AuthCtrlr", "variable": "LocalPreAuthorize", "key": "LocalPreAuthorize" },
+    { "component": "AuthCtrlr", "variable": "OfflineTxForUnknownIdEnabled", "key": "AllowOfflineTxForUnknownId" },
+    { "component": "LocalAuthListCtrlr", "variable": "Enabled", "key": "LocalAuthListEnabled" },
+    { "component": "OCPPCommCtrlr", "variable": "HeartbeatInterval", "key": "HeartbeatInterval" },
+    { "component": "OCPPCommCtrlr", "variable": "MessageAttemptInterval", "instance": "TransactionEvent", "key": "TransactionMessageRetryInterval" },
+    { "component": "OCPPCommCtrlr", "variable": "MessageAttempts", "instance": "TransactionEvent", "key": "TransactionMessageAttempts" },
+    { "component": "OCPPCommCtrlr", "variable": "ResetRetries", "key": "ResetRetries" },
+    { "component": "OCPPCommCtrlr", "variable": "WebSocketPingInterval", "key": "WebSocketPingInterval" },
+    { "component": "ReservationCtrlr", "variable": "NonEvseSpecific", "key": "ReserveConnectorZeroSupported" },
+    { "component": "SampledDataCtrlr", "variable": "TxEndedMeasurands", "key": "StopTxnSampledData" },
+    { "component": "SampledDataCtrlr", "variable": "TxUpdatedInterval", "key": "MeterValueSampleInterval" },
+    { "component": "SampledDataCtrlr", "variable": "TxUpdatedMeasurands", "key": "MeterValuesSampledData" },
+    { "component": "SecurityCtrlr", "variable": "BasicAuthPassword", "key": "AuthorizationKey" },
+    { "component": "SecurityCtrlr", "variable": "OrganizationName", "key": "CpoName" },
+    { "component": "SecurityCtrlr", "variable": "SecurityProfile", "key": "SecurityProfile", "readonly": true },
+    { "component": "TxCtrlr", "variable": "EVConnectionTimeOut", "key": "ConnectionTimeOut" },
+    { "component": "TxCtrlr", "variable": "StopTxOnEVSideDisconnect", "key": "StopTransactionOnEVSideDisconnect" },
+    { "component": "TxCtrlr", "variable": "StopTxOnInvalidId", "key": "StopTransactionOnInvalidId" }
+];
+
+// variable reporting the state of the EVSE and Connector components
+const AVAILABILITY_STATE = "AvailabilityState";
+
+//
+// @param ref A ComponentType or VariableType
+// @return the reference to send back in a response (name, and instance / evse when given)
+//
+function reference(ref) {
+    return JSON.parse(JSON.stringify(ref || {}));
+}
+
+//
+// @param type The type of a configuration key
+// @return the dataType of the variable (VariableCharacteristicsType)
+//
+function dataType(type) {
+    switch (type) {
+        case "boolean":
+            return "boolean";
+        case "integer":
+            return "integer";
+        case "csl":
+            return "MemberList";
+        default:
+            return "string";
+    }
+}
+
+//
+//
+// DeviceModel class
+// The OCPP 2.0.1 device model of the charge point: the controller components, backed by the configuration,
+// and the EVSE / Connector components reporting their AvailabilityState
+//
+//
+export default class DeviceModel {
+
+    //
+    // Constructor
+    // @param configuration The Configuration of the charge point
+    // @param evses A function returning the state of the EVSEs: list of {id, connectorStatus}
+    //
+    constructor(configuration, evses = () => []) {
+        this._configuration = configuration;
+        this._evses = evses;
+    }
+
+    //
+    // Find a controller variable
+    // @param component The ComponentType ({name, instance, evse})
+    // @param variable The VariableType ({name, instance})
+    // @return {entry, status}: the DEVICE_MODEL entry, or null with UnknownComponent / UnknownVariable
+    //
+    find(component, variable) {
+        var entries = DEVICE_MODEL.filter(e => e.component == component.name && !component.evse &&
+            this._configuration.has(e.key));
+        if (entries.length == 0) {
+            return { "entry": null, "status": ocpp.ATTRIBUTE_UNKNOWN_COMPONENT };
+        }
+        var entry = entries.find(e => e.variable == variable.name && (e.instance || null) == (variable.instance || null));
+        return { "entry": entry || null, "status": entry ? ocpp.ATTRIBUTE_ACCEPTED : ocpp.ATTRIBUTE_UNKNOWN_VARIABLE };
+    }
+
+    //
+    // @param component The ComponentType of an EVSE or Connector component
+    // @return the EVSE of the component ({id, connectorStatus}), null if unknown
+    //
+    findEvse(component) {
+        var evse = component.evse;
+        if (!evse || (component.name != "EVSE" && component.name != "Connector")) {
+            return null;
+        }
+        if (component.name == "Connector" && evse.connectorId != ocpp.EVSE_CONNECTOR_ID) {
+            return null;
+        }
+        return this._evses().find(e => e.id == evse.id) || null;
+    }
+
+    //
+    // Implement a GetVariableDataType of a GetVariables request
+    // @param data {component, variable, attributeType}
+    // @return the GetVariableResultType
+    //
+    getVariable(data) {
+        var result = {
+            "attributeStatus": ocpp.ATTRIBUTE_ACCEPTED,
+            "attributeType": data.attributeType || ocpp.ATTRIBUTE_ACTUAL,
+            "component": reference(data.component),
+            "variable": reference(data.variable)
+        };
+        if (result.attributeType != ocpp.ATTRIBUTE_ACTUAL) {
+            result.attributeStatus = ocpp.ATTRIBUTE_NOT_SUPPORTED;
+            return result;
+        }
+        var evse = this.findEvse(data.component);
+        if (evse) {
+            if (data.variable.name != AVAILABILITY_STATE) {
+                result.attributeStatus = ocpp.ATTRIBUTE_UNKNOWN_VARIABLE;
+                return result;
+            }
+            result["attributeValue"] = evse.connectorStatus;
+            return result;
+        }
+        var found = this.find(data.component, data.variable);
+        if (!found.entry) {
+            result.attributeStatus = found.status;
+            return result;
+        }
+        var def = this._configuration.definitions().find(d => d.key == found.entry.key);
+        if (def.writeonly) {
+            result.attributeStatus = ocpp.ATTRIBUTE_REJECTED;
+            return result;
+        }
+        result["attributeValue"] = this._configuration.get(found.entry.key);
+        return result;
+    }
+
+    //
+    // Implement a SetVariableDataType of a SetVariables request
+    // @param data {attributeValue, component, variable, attributeType}
+    // @return the SetVariableResultType
+    //
+    setVariable(data) {
+        var result = {
+            "attributeStatus": ocpp.ATTRIBUTE_ACCEPTED,
+            "attributeType": data.attributeType || ocpp.ATTRIBUTE_ACTUAL,
+            "component": reference(data.component),
+            "variable": reference(data.variable)
+        };
+        if (result.attributeType != ocpp.ATTRIBUTE_ACTUAL) {
+            result.attributeStatus = ocpp.ATTRIBUTE_NOT_SUPPORTED;
+            return result;
+        }
+        if (this.findEvse(data.component)) {
+            result.attributeStatus = data.variable.name == AVAILABILITY_STATE ? ocpp.ATTRIBUTE_REJECTED : ocpp.ATTRIBUTE_UNKNOWN_VARIABLE;
+            return result;
+        }
+        var found = this.find(data.component, data.variable);
+        if (!found.entry) {
+            result.attributeStatus = found.status;
+            return result;
+        }
+        if (found.entry.readonly) {
+            result.attributeStatus = ocpp.ATTRIBUTE_REJECTED;
+            return result;
+        }
+        switch (this._configuration.set(found.entry.key, data.attributeValue)) {
+            case ocpp.CONFIG_ACCEPTED:
+                break;
+            case ocpp.CONFIG_REBOOT_REQUIRED:
+                result.attributeStatus = ocpp.ATTRIBUTE_REBOOT_REQUIRED;
+                break;
+            default:
+                result.attributeStatus = ocpp.ATTRIBUTE_REJECTED;
+                break;
+        }
+        return result;
+    }
+
+    //
+    // Build the report of a GetBaseReport request
+    // @param reportBase ConfigurationInventory (the variables which can be set) or FullInventory
+    // @return the list of ReportDataType, null if the report is not supported
+    //
+    report(reportBase) {
+        if (reportBase != ocpp.REPORT_CONFIGURATION_INVENTORY && reportBase != ocpp.REPORT_FULL_INVENTORY) {
+            return null;
+        }
+        var reportData = [];
+        for (const entry of DEVICE_MODEL) {
+            var def = this._configuration.definitions().find(d => d.key == entry.key);
+            if (!def) {
+                continue;
+            }
+            var mutability = def.readonly || entry.readonly ? ocpp.MUTABILITY_READ_ONLY :
+                (def.writeonly ? ocpp.MUTABILITY_WRITE_ONLY : ocpp.MUTABILITY_READ_WRITE);
+            if (reportBase == ocpp.REPORT_CONFIGURATION_INVENTORY && mutability == ocpp.MUTABILITY_READ_ONLY) {
+                continue;
+            }
+            var attribute = { "type": ocpp.ATTRIBUTE_ACTUAL, "mutability": mutability };
+            if (!def.writeonly) {
+                attribute["value"] = this._configuration.get(entry.key);
+            }
+            var characteristics = { "dataType": dataType(def.type), "supportsMonitoring": false };
+            if (def.values) {
+                characteristics["valuesList"] = def.values.join(",");
+            }
+            var variable = { "name": entry.variable };
+            if (entry.instance) {
+                variable["instance"] = entry.instance;
+            }
+            reportData.push({
+                "component": { "name": entry.component },
+                "variable": variable,
+                "variableAttribute": [attribute],
+                "variableCharacteristics": characteristics
+            });
+        }
+        if (reportBase == ocpp.REPORT_FULL_INVENTORY) {
+            for (const evse of this._evses()) {
+                for (const component of [{ "name": "EVSE", "evse": { "id": evse.id } },
+                    { "name": "Connector", "evse": { "id": evse.id, "connectorId": ocpp.EVSE_CONNECTOR_ID } }]) {
+                    reportData.push({
+                        "component": component,
+                        "variable": { "name": AVAILABILITY_STATE },
+                        "variableAttribute": [{ "type": ocpp.ATTRIBUTE_ACTUAL, "value": evse.connectorStatus, "mutability": ocpp.MUTABILITY_READ_ONLY }],
+                        "variableCharacteristics": {
+                            "dataType": "OptionList",
+                            "valuesList": [ocpp.CONNECTOR_AVAILABLE, ocpp.CONNECTOR_OCCUPIED, ocpp.CONNECTOR_RESERVED,
+                                ocpp.CONNECTOR_UNAVAILABLE, ocpp.CONNECTOR_FAULTED].join(","),
+                            "supportsMonitoring": false
+                        }
+                    });
+                }
+            }
+        }
+        return reportData;
+    }
+}
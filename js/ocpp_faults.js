@@ -0,0 +1,216 @@
+"use strict";
+import * as ocpp from './ocpp_constants.js'
+import Storage from './ocpp_storage.js'
+
+//
+// Shift the timestamps of a payload
+// @param value A payload, or a part of it
+// @param seconds The shift (s)
+// @return a copy of the value, its "timestamp" properties being shifted
+//
+export function skewTimestamps(value, seconds) {
+    if (Array.isArray(value)) {
+        return value.map(v => skewTimestamps(v, seconds));
+    }
+    if (value === null || typeof value != "object") {
+        return value;
+    }
+    var copy = {};
+    for (const key of Object.keys(value)) {
+        var time = key == "timestamp" ? new Date(value[key]).getTime() : NaN;
+        copy[key] = isNaN(time) ? skewTimestamps(value[key], seconds) : new Date(time + seconds * 1000).toISOString();
+    }
+    return copy;
+}
+
+//
+// Change the types of the values of a payload: the numbers and booleans become strings,
+// the strings become numbers (0 when not numeric)
+// @param value A payload, or a part of it
+// @return a copy of the value with the wrong types
+//
+function wrongTypes(value) {
+    if (Array.isArray(value)) {
+        return value.map(wrongTypes);
+    }
+    switch (typeof value) {
+        case "number":
+        case "boolean":
+            return String(value);
+        case "string":
+            return isNaN(Number(value)) ? 0 : Number(value);
+        case "object":
+            if (value === null) {
+                return value;
+            }
+            var copy = {};
+            for (const key of Object.keys(value)) {
+                copy[key] = wrongTypes(value[key]);
+            }
+            return copy;
+        default:
+            return value;
+    }
+}
+
+//
+// Fault injection: makes the charge point misbehave to test how the OCPP server copes with it
+// A profile is a list of faults {action, type, enabled, ...parameters}, each one applying to the
+// messages of an action ("*" for all of them) sent by the charge point:
+//   drop: the CALLs are not sent, the requests of the server are not answered
+//   delay: the responses are sent after the given seconds
+//   duplicateId: the CALLs reuse the message id of the previous CALL
+//   malformed: the messages are not valid JSON
+//   wrongTypes: the values of the payloads have the wrong type
+//   callError: the requests of the server are answered with a CALLERROR (errorCode)
+//   clockSkew: the timestamps are shifted by the given seconds
+//   disconnect: the socket is closed after a message sent during a transaction (probability)
+// The profile is persistent (local storage)
+//
+export default class FaultInjector {
+
+    //
+    // Constructor
+    // @param storage The storage of the profile
+    //
+    constructor(storage = new Storage()) {
+        this._storage = storage;
+        this._changeCb = null;
+    }
+
+    //
+    // Set the change callback, triggered when the faults change
+    // @param A callback function without argument
+    //
+    setChangeCallback(cb) {
+        this._changeCb = cb;
+    }
+
+    //
+    // @return the faults of the profile [{action, type, enabled, ...parameters}]
+    //
+    faults() {
+        return JSON.parse(this._storage.getKey(ocpp.KEY_FAULT_PROFILE, "[]"));
+    }
+
+    //
+    // Replace the faults of the profile
+    // @param faults The list of faults
+    //
+    setFaults(faults) {
+        for (const fault of faults) {
+            if (!ocpp.FAULT_TYPES.includes(fault.type)) {
+                throw new Error("Unknown fault type: " + fault.type);
+            }
+            if (fault.action != ocpp.FAULT_ALL_ACTIONS && !ocpp.OCPP16_ACTIONS.includes(fault.action)) {
+                throw new Error("Unknown action: " + fault.action);
+            }
+        }
+        this._storage.setKey(ocpp.KEY_FAULT_PROFILE, JSON.stringify(faults));
+        if (this._changeCb) {
+            this._changeCb();
+        }
+    }
+
+    //
+    // Add a fault to the profile (enabled unless told otherwise)
+    // @param fault {action, type, ...parameters}
+    //
+    addFault(fault) {
+        this.setFaults(this.faults().concat([Object.assign({ "enabled": true }, fault)]));
+    }
+
+    //
+    // Remove a fault from the profile
+    // @param index The index of the fault in the list
+    //
+    removeFault(index) {
+        this.setFaults(this.faults().filter((f, i) => i != index));
+    }
+
+    //
+    // Enable or disable a fault of the profile
+    // @param index The index of the fault in the list
+    // @param enabled true to inject the fault
+    //
+    enableFault(index, enabled) {
+        this.setFaults(this.faults().map((f, i) => i == index ? Object.assign({}, f, { "enabled": enabled }) : f));
+    }
+
+    //
+    // @return the profile as a JSON text
+    //
+    exportProfile() {
+        return JSON.stringify({ "faults": this.faults() }, null, 2);
+    }
+
+    //
+    // Load a profile exported by exportProfile
+    // @param text The JSON text of the profile
+    //
+    importProfile(text) {
+        var profile = JSON.parse(text);
+        this.setFaults((profile.faults || []).map(f => Object.assign({ "enabled": true }, f)));
+    }
+
+    //
+    // @param action An OCPP action
+    // @param type A fault type
+    // @return the enabled fault of that type applying to the action, null if none
+    //
+    find(action, type) {
+        return this.faults().find(f => f.enabled !== false && f.type == type &&
+            (f.action == action || f.action == ocpp.FAULT_ALL_ACTIONS)) || null;
+    }
+
+    //
+    // Alter a message sent by the charge point with the faults of its action
+    // @param frame The message: [2, id, action, payload] or [3, id, payload]
+    // @param action The action of the message
+    // @param inTransaction true if a transaction is running
+    // @return {data, delay, close, faults}: the text to send (null if dropped), the delay before
+    //         sending it (s), true to close the socket after it, and the names of the injected faults
+    //
+    alter(frame, action, inTransaction) {
+        var result = { "data": null, "delay": 0, "close": false, "faults": [] };
+        if (this.find(action, ocpp.FAULT_DROP)) {
+            result.faults.push(ocpp.FAULT_DROP);
+            return result;
+        }
+        frame = frame.slice();
+        var callError = frame[0] == 3 ? this.find(action, ocpp.FAULT_CALL_ERROR) : null;
+        if (callError) {
+            frame = [4, frame[1], callError.errorCode || ocpp.ERROR_INTERNAL, "Injected fault", {}];
+            result.faults.push(ocpp.FAULT_CALL_ERROR);
+        }
+        else {
+            var last = frame.length - 1;
+            var skew = this.find(action, ocpp.FAULT_CLOCK_SKEW);
+            if (skew) {
+                frame[last] = skewTimestamps(frame[last], Number(skew.seconds) || 0);
+                result.faults.push(ocpp.FAULT_CLOCK_SKEW);
+            }
+            if (this.find(action, ocpp.FAULT_WRONG_TYPES)) {
+                frame[last] = wrongTypes(frame[last]);
+                result.faults.push(ocpp.FAULT_WRONG_TYPES);
+            }
+        }
+        result.data = JSON.stringify(frame);
+        if (this.find(action, ocpp.FAULT_MALFORMED)) {
+            // the closing bracket is missing
+            result.data = result.data.slice(0, -1);
+            result.faults.push(ocpp.FAULT_MALFORMED);
+        }
+        var delay = frame[0] != 2 ? this.find(action, ocpp.FAULT_DELAY) : null;
+        if (delay) {
+            result.delay = Number(delay.seconds) || 0;
+            result.faults.push(ocpp.FAULT_DELAY);
+        }
+        var disconnect = this.find(action, ocpp.FAULT_DISCONNECT);
+        if (disconnect && inTransaction && Math.random() < (disconnect.probability === undefined ? 1 : Number(disconnect.probability))) {
+            result.close = true;
+            result.faults.push(ocpp.FAULT_DISCONNECT);
+        }
+        return result;
+    }
+}
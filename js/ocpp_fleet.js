@@ -0,0 +1,285 @@
+"use strict";
+import * as ocpp from './ocpp_constants.js'
+
+//
+// Expand a charge point id pattern into the list of ids
+// e.g. "CP{001..003}" gives CP001, CP002, CP003 (zero padded as the first bound)
+// several ranges can be combined ("SITE{1..2}-CP{1..4}"), a pattern without range gives one id
+// @param pattern The id pattern
+// @return the list of ids
+//
+export function expandIdPattern(pattern) {
+    var m = /\{(\d+)\.\.(\d+)\}/.exec(pattern);
+    if (!m) {
+        return [pattern];
+    }
+    var first = parseInt(m[1], 10), last = parseInt(m[2], 10);
+    var width = m[1].length;
+    var ids = [];
+    for (var i = first; i <= last; i++) {
+        var n = String(i).padStart(width, "0");
+        var head = pattern.slice(0, m.index) + n;
+        for (const tail of expandIdPattern(pattern.slice(m.index + m[0].length))) {
+            ids.push(head + tail);
+        }
+    }
+    return ids;
+}
+
+//
+// Fleet of charge points connected to the same OCPP server, for load tests
+// The charge points are created by a factory so that each one gets its own (isolated) storage
+// The fleet keeps statistics of all the OCPP messages: rates and response times of the CALLs
+//
+export default class Fleet {
+
+    //
+    // Constructor
+    // @param createChargePoint function (id) returning a new ChargePoint with its own storage
+    //
+    constructor(createChargePoint) {
+        this._createChargePoint = createChargePoint;
+        this._chargePoints = new Map();
+        this._connectTimers = [];
+        this._loggingCb = null;
+        this._changeCb = null;
+        this.resetStats();
+    }
+
+    //
+    // Set the logging callback
+    // @param A callback function which takes a string argument ("message to log")
+    //
+    setLoggingCallback(cb) {
+        this._loggingCb = cb;
+    }
+
+    //
+    // Set the change callback, triggered when the status of a charge point or of one of its connectors changes
+    // @param A callback function which takes a string argument (charge point id)
+    //
+    setChangeCallback(cb) {
+        this._changeCb = cb;
+    }
+
+    //
+    // output a log to the logging callback if any
+    //
+    logMsg(msg) {
+        if (this._loggingCb) {
+            this._loggingCb('[FLEET] ' + msg);
+        }
+    }
+
+    //
+    // @return the charge points of the fleet (Map id => ChargePoint)
+    //
+    chargePoints() {
+        return this._chargePoints;
+    }
+
+    //
+    // Create the charge points and connect them one after the other
+    // @param url The URL of the OCPP server (the charge point id is appended)
+    // @param pattern The charge point id pattern (see expandIdPattern)
+    // @param staggerMs The delay between two connections (ms)
+    // @return the list of the charge point ids
+    //
+    start(url, pattern, staggerMs = ocpp.FLEET_STAGGER_MS) {
+        this.stop();
+        this._chargePoints.clear();
+        this.resetStats();
+        var ids = expandIdPattern(pattern);
+        this.logMsg("Starting " + ids.length + " charge points, one every " + staggerMs + "ms");
+        ids.forEach((id, i) => {
+            var cp = this._createChargePoint(id);
+            // no message trace for the stations of a load test
+            cp.trace().setEnabled(false);
+            this.watch(id, cp);
+            this._chargePoints.set(id, cp);
+            this._connectTimers.push(setTimeout(() => cp.wsConnect(url, id), i * staggerMs));
+        });
+        return ids;
+    }
+
+    //
+    // Disconnect all the charge points
+    //
+    stop() {
+        this._connectTimers.forEach(t => clearTimeout(t));
+        this._connectTimers = [];
+        for (const cp of this._chargePoints.values()) {
+            for (const conn of cp.connectors()) {
+                cp.stopMeterValues(conn.id());
+            }
+            cp.wsDisconnect();
+        }
+        if (this._chargePoints.size > 0) {
+            this.logMsg("Stopped " + this._chargePoints.size + " charge points");
+        }
+    }
+
+    //
+    // Plug an EV and start a transaction on every free connector
+    // @param tagId The idTag of the transactions
+    //
+    startCharging(tagId) {
+        for (const cp of this._chargePoints.values()) {
+            for (const conn of cp.connectors()) {
+                if (!conn.hasTransaction() && cp.isRegistered()) {
+                    cp.plugIn(conn.id());
+                    cp.startTransaction(tagId, conn.id());
+                }
+            }
+        }
+    }
+
+    //
+    // Stop the running transactions and unplug the EVs
+    //
+    stopCharging() {
+        for (const cp of this._chargePoints.values()) {
+            for (const conn of cp.connectors()) {
+                if (conn.transactionId() !== null) {
+                    cp.stopTransaction(conn.transactionTag(), conn.id());
+                }
+                if (conn.isPlugged()) {
+                    cp.unplug(conn.id());
+                }
+            }
+        }
+    }
+
+    //
+    // Attach the fleet callbacks to a charge point
+    // @param id The charge point id
+    // @param cp The ChargePoint
+    //
+    watch(id, cp) {
+        var changed = () => {
+            if (this._changeCb) {
+                this._changeCb(id);
+            }
+        };
+        // CALLs sent by this CP, waiting for the response: message id => time sent
+        // (forgotten when the connection is lost, or once timed out)
+        var sentAt = new Map();
+        cp.setStatusChangeCallback(status => {
+            if (status == ocpp.CP_DISCONNECTED || status == ocpp.CP_ERROR) {
+                sentAt.clear();
+            }
+            changed();
+        });
+        cp.setConnectorStatusChangeCallback(changed);
+        cp.setTransactionChangeCallback(changed);
+        cp.setMessageCallback((direction, data) => {
+            var now = Date.now();
+            this.count(direction, now);
+            var msg;
+            try {
+                msg = JSON.parse(data);
+            }
+            catch (err) {
+                // counted, but no response time for an invalid message
+                return;
+            }
+            if (!Array.isArray(msg)) {
+                return;
+            }
+            if (direction == "send" && msg[0] == 2) {
+                for (const [messageId, time] of sentAt) {
+                    if (now - time <= ocpp.CALL_TIMEOUT_SECONDS * 1000) {
+                        break;
+                    }
+                    sentAt.delete(messageId);
+                }
+                sentAt.set(msg[1], now);
+            }
+            else if (direction == "receive" && (msg[0] == 3 || msg[0] == 4) && sentAt.has(msg[1])) {
+                this.addLatency(now - sentAt.get(msg[1]));
+                sentAt.delete(msg[1]);
+                if (msg[0] == 4) {
+                    this._stats.errors++;
+                }
+            }
+        });
+    }
+
+    //
+    // Clear the message statistics
+    //
+    resetStats() {
+        this._stats = {
+            "sent": 0,
+            "received": 0,
+            "errors": 0,
+            // one {second, sent, received} bucket per second of the rate window
+            "buckets": [],
+            // last response times (ms), and the worst one since the start
+            "latencies": [],
+            "maxLatency": 0
+        };
+    }
+
+    //
+    // Count a message
+    // @param direction "send" or "receive"
+    // @param now The current time (ms)
+    //
+    count(direction, now) {
+        var second = Math.floor(now / 1000);
+        var buckets = this._stats.buckets;
+        if (buckets.length == 0 || buckets[buckets.length - 1].second != second) {
+            buckets.push({ "second": second, "sent": 0, "received": 0 });
+            while (buckets[0].second <= second - ocpp.FLEET_RATE_WINDOW_SECONDS) {
+                buckets.shift();
+            }
+        }
+        var key = direction == "send" ? "sent" : "received";
+        buckets[buckets.length - 1][key]++;
+        this._stats[key]++;
+    }
+
+    //
+    // Record the response time of a CALL
+    // @param ms The time between the CALL and its response
+    //
+    addLatency(ms) {
+        var latencies = this._stats.latencies;
+        latencies.push(ms);
+        if (latencies.length > ocpp.FLEET_LATENCY_SAMPLES) {
+            latencies.shift();
+        }
+        this._stats.maxLatency = Math.max(this._stats.maxLatency, ms);
+    }
+
+    //
+    // @return the aggregated state of the fleet:
+    //         stations, registered, inTransaction (number of charge points)
+    //         sent, received, errors (number of messages, errors being the CALLERRORs received)
+    //         sendRate, receiveRate (messages per second over the last FLEET_RATE_WINDOW_SECONDS)
+    //         latency: avg, p95 (over the last FLEET_LATENCY_SAMPLES responses) and max (ms)
+    //
+    stats() {
+        var s = this._stats;
+        var now = Math.floor(Date.now() / 1000);
+        var recent = s.buckets.filter(b => b.second > now - ocpp.FLEET_RATE_WINDOW_SECONDS);
+        var sorted = s.latencies.slice().sort((a, b) => a - b);
+        var cps = Array.from(this._chargePoints.values());
+        return {
+            "stations": cps.length,
+            "registered": cps.filter(cp => cp.isRegistered()).length,
+            "inTransaction": cps.filter(cp => cp.connectors().some(conn => conn.hasTransaction())).length,
+            "sent": s.sent,
+            "received": s.received,
+            "errors": s.errors,
+            "sendRate": recent.reduce((n, b) => n + b.sent, 0) / ocpp.FLEET_RATE_WINDOW_SECONDS,
+            "receiveRate": recent.reduce((n, b) => n + b.received, 0) / ocpp.FLEET_RATE_WINDOW_SECONDS,
+            "latency": {
+                "avg": sorted.length ? sorted.reduce((n, l) => n + l, 0) / sorted.length : 0,
+                "p95": sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))] : 0,
+                "max": s.maxLatency
+            }
+        };
+    }
+}
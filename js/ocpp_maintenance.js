@@ -0,0 +1,111 @@
+"use strict";
+import * as ocpp from './ocpp_constants.js'
+
+//
+// Helpers of the simulated firmware update and diagnostics upload
+// (UpdateFirmware and GetDiagnostics, OCPP 1.6 sections 5.9 and 5.19)
+//
+
+//
+// @param seconds The duration to wait
+// @return a promise resolved after the given duration
+//
+export function delay(seconds) {
+    return new Promise(resolve => setTimeout(resolve, Math.max(0, seconds) * 1000));
+}
+
+//
+// Version of the firmware given by an UpdateFirmware request: taken from the file name of the
+// location (e.g. ".../fw-1.2.3.bin" gives 1.2.3), otherwise the current version with its last number incremented
+// @param location The URI of the firmware
+// @param current The current firmware version
+// @return the new firmware version
+//
+export function firmwareVersionFromLocation(location, current) {
+    var fileName = String(location).split(/[/?#]/).filter(s => s.length > 0).pop() || "";
+    var m = /(\d+(?:\.\d+)+)/.exec(fileName);
+    if (m) {
+        return m[1];
+    }
+    m = /^(.*?)(\d+)(\D*)$/.exec(current);
+    return m ? m[1] + (Number(m[2]) + 1) + m[3] : current + ".1";
+}
+
+//
+// Build the diagnostics file of a GetDiagnostics request
+// @param cpId The charge point id
+// @param firmwareVersion The firmware version
+// @param configuration The configuration keys ([{key, value}])
+// @param logLines The log of the charge point ([{time, msg}], time in ms)
+// @param startTime Optional: oldest log line to include (ISO 8601)
+// @param stopTime Optional: newest log line to include (ISO 8601)
+// @return {fileName, content}
+//
+export function buildDiagnostics(cpId, firmwareVersion, configuration, logLines, startTime = null, stopTime = null) {
+    var from = startTime ? new Date(startTime).getTime() : -Infinity;
+    var to = stopTime ? new Date(stopTime).getTime() : Infinity;
+    var now = new Date();
+    var lines = [
+        "Charge point: " + cpId,
+        "Firmware version: " + firmwareVersion,
+        "Generated: " + now.toISOString(),
+        "",
+        "[Configuration]"
+    ];
+    for (const kv of configuration) {
+        lines.push(kv.key + "=" + (kv.value === undefined ? "" : kv.value));
+    }
+    lines.push("", "[Log]");
+    for (const line of logLines) {
+        if (line.time >= from && line.time <= to) {
+            lines.push(new Date(line.time).toISOString() + " " + line.msg);
+        }
+    }
+    var stamp = now.toISOString().replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z");
+    return {
+        "fileName": "diagnostics_" + cpId + "_" + stamp + ".log",
+        "content": lines.join("\n") + "\n"
+    };
+}
+
+//
+// Upload a file with an HTTP(S) POST (multipart/form-data, field "file")
+// @param location The URL to post the file to
+// @param fileName The name of the file
+// @param content The content of the file
+// @return a promise resolved once the file is uploaded
+//
+export function httpUpload(location, fileName, content) {
+    var form = new FormData();
+    form.append("file", new Blob([content], { "type": "text/plain" }), fileName);
+    return fetch(location, { "method": "POST", "body": form }).then(res => {
+        if (!res.ok) {
+            throw new Error("HTTP " + res.status + " " + res.statusText);
+        }
+    });
+}
+
+//
+// Default uploader of the diagnostics files: HTTP(S) only, as a browser cannot use FTP
+// (see ocpp_node.js for the headless uploader supporting FTP)
+// @param location The URI given in the GetDiagnostics request
+// @param fileName The name of the file
+// @param content The content of the file
+// @return a promise resolved once the file is uploaded
+//
+export function uploadFile(location, fileName, content) {
+    var protocol = new URL(location).protocol;
+    if (protocol == "http:" || protocol == "https:") {
+        return httpUpload(location, fileName, content);
+    }
+    return Promise.reject(new Error("Upload protocol " + protocol + " not supported"));
+}
+
+//
+// @param settings The maintenance settings (see ocpp.DEFAULT_MAINTENANCE_SETTINGS)
+// @param step FAIL_DOWNLOAD, FAIL_INSTALL or FAIL_UPLOAD
+// @return true if the step must fail
+//
+export function shouldFail(settings, step) {
+    return settings.failure == step && step != ocpp.FAIL_NONE;
+}
@@ -0,0 +1,225 @@
+"use strict";
+import * as ocpp from './ocpp_constants.js'
+import Storage from './ocpp_storage.js'
+
+//
+// Linear interpolation of the power curve
+// @param curve list of [SoC %, fraction of max power] sorted by SoC
+// @param soc the current state of charge (%)
+// @return the fraction of the max power drawn at this SoC
+//
+function curveFactor(curve, soc) {
+    if (soc <= curve[0][0]) {
+        return curve[0][1];
+    }
+    for (var i = 1; i < curve.length; i++) {
+        var [s0, f0] = curve[i - 1];
+        var [s1, f1] = curve[i];
+        if (soc <= s1) {
+            return f0 + (f1 - f0) * (soc - s0) / (s1 - s0);
+        }
+    }
+    return curve[curve.length - 1][1];
+}
+
+//
+// Build a sampledValue object (as defined in the MeterValues message)
+//
+function sampledValue(value, context, measurand, location, unit, phase = null) {
+    var sv = {
+        "value": value,
+        "context": context,
+        "format": "Raw",
+        "measurand": measurand,
+        "location": location,
+        "unit": unit
+    };
+    if (phase) {
+        sv["phase"] = phase;
+    }
+    return sv;
+}
+
+//
+//
+// EnergyMeter class
+// Simulates the meter of a connector: the power drawn by the EV follows the
+// configured power curve and is integrated over time into the energy register
+//
+//
+export default class EnergyMeter {
+
+    //
+    // Constructor
+    // @param connector The Connector being metered
+    // @param settings The electrical settings (see ocpp.DEFAULT_METER_SETTINGS), shared with the charge point
+    // @param storage The storage of the meter state (state of charge)
+    //
+    constructor(connector, settings, storage = new Storage()) {
+        this._connector = connector;
+        this._settings = settings;
+        this._storage = storage;
+        this._lastUpdate = Date.now();
+        this._powerLimitCb = null;
+    }
+
+    //
+    // Set the power limit callback, giving the limit set by the charging profiles
+    // @param A callback function which takes the time (ms) and returns the limit (W), null if none
+    //
+    setPowerLimitCallback(cb) {
+        this._powerLimitCb = cb;
+    }
+
+    //
+    // @param now The time (ms)
+    // @return the power limit at the given time (W), null if none
+    //
+    powerLimit(now = Date.now()) {
+        return this._powerLimitCb ? this._powerLimitCb(now) : null;
+    }
+
+    //
+    // Power drawn by the EV: the power curve capped by the charging profiles
+    // @param soc The state of charge (%)
+    // @param now The time (ms)
+    // @return the power (W)
+    //
+    powerAt(soc, now) {
+        var p = this._settings.maxPower * curveFactor(this._settings.powerCurve, soc);
+        var limit = this.powerLimit(now);
+        return limit === null ? p : Math.max(0, Math.min(p, limit));
+    }
+
+    //
+    // @return true if energy is currently delivered on the connector
+    //
+    isCharging() {
+        return this._connector.status() == ocpp.CONN_CHARGING;
+    }
+
+    //
+    // @return the state of charge of the EV (%)
+    //
+    soc() {
+        return parseFloat(this._storage.getSessionKey(ocpp.KEY_CONN_SOC + this._connector.id(), String(this._settings.initialSoC)));
+    }
+
+    //
+    // @return the active power currently delivered (W)
+    //
+    power() {
+        if (!this.isCharging()) {
+            return 0;
+        }
+        return this.powerAt(this.soc(), Date.now());
+    }
+
+    //
+    // @return the current per phase (A)
+    //
+    current() {
+        return this.power() / (this._settings.phases * this._settings.voltage);
+    }
+
+    //
+    // Integrate the delivered energy since the last update
+    // (to be called before any reading and before any change of the charging conditions)
+    // @param now current time in ms
+    //
+    update(now = Date.now()) {
+        var from = this._lastUpdate;
+        this._lastUpdate = now;
+        this.integrate(from, now);
+    }
+
+    //
+    // Add the energy delivered during a period to the register
+    // @param from start of the period (ms)
+    // @param to end of the period (ms)
+    //
+    integrate(from, to) {
+        var elapsed = Math.max(0, to - from);
+        var t = from;
+        if (!this.isCharging()) {
+            return;
+        }
+        var soc = this.soc();
+        var energy = 0;
+        // integrate by steps of one minute at most, so that the power follows the curve and the limits
+        while (elapsed > 0) {
+            var step = Math.min(elapsed, 60000);
+            var e = this.powerAt(soc, t) * step / 3600000;
+            t += step;
+            soc = Math.min(100, soc + 100 * e / this._settings.batteryCapacity);
+            energy += e;
+            elapsed -= step;
+        }
+        this._storage.setSessionKey(ocpp.KEY_CONN_SOC + this._connector.id(), soc);
+        this._connector.setMeterValue(this._connector.meterValue() + energy);
+    }
+
+    //
+    // Simulate the charging for a period without waiting for it
+    // (the limits applied being the ones of the coming period)
+    // @param seconds The simulated duration
+    //
+    advance(seconds) {
+        this.update();
+        this.integrate(this._lastUpdate, this._lastUpdate + seconds * 1000);
+    }
+
+    //
+    // A new EV starts a session: its SoC is reset to the configured initial value
+    //
+    startSession() {
+        this.update();
+        this._storage.setSessionKey(ocpp.KEY_CONN_SOC + this._connector.id(), this._settings.initialSoC);
+    }
+
+    //
+    // @return the energy register (Wh), as an integer
+    //
+    register() {
+        this.update();
+        return Math.round(this._connector.meterValue());
+    }
+
+    //
+    // Take a reading of the meter
+    // @param context The reading context (Sample.Periodic, Transaction.Begin...)
+    // @param measurands The list of measurands to read
+    // @return the list of sampledValue objects (as defined in the MeterValues message)
+    //
+    sample(context, measurands) {
+        this.update();
+        var values = [];
+        var phases = ["L1", "L2", "L3"].slice(0, this._settings.phases);
+        for (const m of measurands) {
+            switch (m) {
+                case ocpp.MEASURAND_ENERGY:
+                    values.push(sampledValue(this._connector.meterValue().toFixed(0), context, m, "Outlet", "Wh"));
+                    break;
+                case ocpp.MEASURAND_POWER:
+                    values.push(sampledValue(this.power().toFixed(0), context, m, "Outlet", "W"));
+                    break;
+                case ocpp.MEASURAND_CURRENT:
+                    for (const phase of phases) {
+                        values.push(sampledValue(this.current().toFixed(1), context, m, "Outlet", "A", phase));
+                    }
+                    break;
+                case ocpp.MEASURAND_VOLTAGE:
+                    for (const phase of phases) {
+                        values.push(sampledValue(this._settings.voltage.toFixed(1), context, m, "Outlet", "V", phase + "-N"));
+                    }
+                    break;
+                case ocpp.MEASURAND_SOC:
+                    values.push(sampledValue(this.soc().toFixed(0), context, m, "EV", "Percent"));
+                    break;
+                default:
+                    break;
+            }
+        }
+        return values;
+    }
+}
@@ -0,0 +1,242 @@
+"use strict";
+//
+// Adapters to run the ChargePoint headless in Node.js
+// (not loaded by the browser simulator)
+//
+import fs from 'fs'
+import net from 'net'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import WebSocket from 'ws'
+import * as luxon from 'luxon'
+import ChargePoint from './ocpp_chargepoint.js'
+import Storage, { MemoryStorage } from './ocpp_storage.js'
+import { httpUpload } from './ocpp_maintenance.js'
+
+// the browser gets luxon from a script tag
+if (!globalThis.luxon) {
+    globalThis.luxon = luxon;
+}
+
+// folder of the OCPP JSON schemas
+export const SCHEMA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'json');
+
+// the changes of a FileStorage are written at most once per period (ms)
+const FILE_STORAGE_SAVE_DELAY_MS = 500;
+
+//
+// Storage backend (Web Storage API subset) kept in a JSON file,
+// used as the local storage so that the persistent state survives a restart
+// (only the local storage: the session keys, such as the message trace, stay in memory)
+// The changes are written together after FILE_STORAGE_SAVE_DELAY_MS, and when the process exits
+//
+export class FileStorage {
+
+    //
+    // Constructor
+    // @param file The path of the JSON file (created when the first key is stored)
+    //
+    constructor(file) {
+        this._file = file;
+        this._items = {};
+        this._saveTimer = null;
+        if (fs.existsSync(file)) {
+            this._items = JSON.parse(fs.readFileSync(file, 'utf8'));
+        }
+        process.on('exit', () => this.flush());
+    }
+
+    getItem(key) {
+        return key in this._items ? this._items[key] : null;
+    }
+
+    setItem(key, value) {
+        this._items[key] = String(value);
+        this.save();
+    }
+
+    removeItem(key) {
+        delete this._items[key];
+        this.save();
+    }
+
+    //
+    // Schedule the write of the file
+    //
+    save() {
+        if (this._saveTimer === null) {
+            this._saveTimer = setTimeout(() => this.flush(), FILE_STORAGE_SAVE_DELAY_MS);
+            // pending writes do not keep the process alive, they are done on exit
+            this._saveTimer.unref();
+        }
+    }
+
+    //
+    // Write the file now if changes are pending
+    //
+    flush() {
+        if (this._saveTimer === null) {
+            return;
+        }
+        clearTimeout(this._saveTimer);
+        this._saveTimer = null;
+        fs.writeFileSync(this._file, JSON.stringify(this._items, null, 2));
+    }
+}
+
+//
+// @param options Options of the ws WebSocket (TLS certificates, headers...)
+// @return a function creating the WebSockets of a ChargePoint with the ws package, applying the
+//         options of its security profile: Basic Auth header, client certificate signed by the server
+//         (replacing the one of the options) and root certificates installed by the server (added to the CAs)
+//
+export function webSocketFactory(options = {}) {
+    return (url, protocols, connection = {}) => {
+        var wsOptions = Object.assign({}, options);
+        if (connection.auth) {
+            var credentials = Buffer.from(connection.auth.username + ":" + connection.auth.password).toString('base64');
+            wsOptions.headers = Object.assign({}, options.headers, { "Authorization": "Basic " + credentials });
+        }
+        if (connection.certificate && connection.privateKey) {
+            wsOptions.cert = connection.certificate;
+            wsOptions.key = connection.privateKey;
+        }
+        if (connection.ca && connection.ca.length > 0) {
+            wsOptions.ca = [].concat(options.ca || [], connection.ca);
+        }
+        return new WebSocket(url, protocols, wsOptions);
+    };
+}
+
+//
+// Upload a file to an FTP server (passive mode, binary)
+// @param location The ftp:// URL of the folder (user and password taken from the URL, anonymous otherwise)
+// @param fileName The name of the file
+// @param content The content of the file
+// @return a promise resolved once the server confirmed the transfer
+//
+export function ftpUpload(location, fileName, content) {
+    var url = new URL(location);
+    var target = path.posix.join(decodeURIComponent(url.pathname) || "/", fileName);
+    return new Promise((resolve, reject) => {
+        var control = net.connect(Number(url.port) || 21, url.hostname);
+        var data = null;
+        var received = "";
+        var fail = function (err) {
+            control.destroy();
+            if (data) {
+                data.destroy();
+            }
+            reject(err);
+        };
+        var send = cmd => control.write(cmd + "\r\n");
+        var reply = function (code, line) {
+            if (code >= 400) {
+                fail(new Error("FTP " + line));
+                return;
+            }
+            switch (code) {
+                case 220:
+                    send("USER " + (decodeURIComponent(url.username) || "anonymous"));
+                    break;
+                case 331:
+                    send("PASS " + (decodeURIComponent(url.password) || "anonymous@"));
+                    break;
+                case 230:
+                    send("TYPE I");
+                    break;
+                case 200:
+                    send("PASV");
+                    break;
+                case 227:
+                    // 227 Entering Passive Mode (h1,h2,h3,h4,p1,p2)
+                    var pasv = /(\d+),(\d+),(\d+),(\d+),(\d+),(\d+)/.exec(line);
+                    if (!pasv) {
+                        fail(new Error("FTP invalid passive mode reply: " + line));
+                        return;
+                    }
+                    var n = pasv.slice(1).map(Number);
+                    data = net.connect(n[4] * 256 + n[5], n.slice(0, 4).join("."));
+                    data.on('error', fail);
+                    data.on('connect', () => send("STOR " + target));
+                    break;
+                case 125:
+                case 150:
+                    data.end(content);
+                    break;
+                case 226:
+                    send("QUIT");
+                    break;
+                case 221:
+                    control.end();
+                    resolve();
+                    break;
+                default:
+                    break;
+            }
+        };
+        control.setEncoding('utf8');
+        control.on('error', fail);
+        control.on('data', chunk => {
+            received += chunk;
+            var lines = received.split("\r\n");
+            received = lines.pop();
+            for (const line of lines) {
+                // the last line of a (multi-line) reply starts with the code followed by a space
+                var m = /^(\d{3}) /.exec(line);
+                if (m) {
+                    reply(Number(m[1]), line);
+                }
+            }
+        });
+    });
+}
+
+//
+// Uploader of the diagnostics files in Node.js: FTP or HTTP(S)
+// @param location The URI given in the GetDiagnostics request
+// @param fileName The name of the file
+// @param content The content of the file
+// @return a promise resolved once the file is uploaded
+//
+export function uploadFile(location, fileName, content) {
+    var protocol = new URL(location).protocol;
+    if (protocol == "ftp:") {
+        return ftpUpload(location, fileName, content);
+    }
+    if (protocol == "http:" || protocol == "https:") {
+        return httpUpload(location, fileName, content);
+    }
+    return Promise.reject(new Error("Upload protocol " + protocol + " not supported"));
+}
+
+//
+// Load the OCPP schemas from the json folder into the validator of a ChargePoint
+// @param cp The ChargePoint
+// @param dir The folder of the schemas
+// @return a promise resolved once the schemas are loaded
+//
+export function loadSchemas(cp, dir = SCHEMA_DIR) {
+    return cp.validator().loadSchemas(function (name) {
+        return fs.promises.readFile(path.join(dir, name + '.txt'), 'utf8').then(JSON.parse);
+    });
+}
+
+//
+// Create a ChargePoint running in Node.js
+// @param connectorCount The number of connectors
+// @param options storageFile: JSON file of the persistent state (kept in memory if not given)
+//                prefix: prefix of the storage keys (when several CPs share the storage)
+//                session, local: storage backends (override storageFile)
+//                wsOptions: options of the ws WebSocket
+// @return the ChargePoint
+//
+export function createChargePoint(connectorCount, options = {}) {
+    var local = options.local || (options.storageFile ? new FileStorage(options.storageFile) : new MemoryStorage());
+    var session = options.session || new MemoryStorage();
+    return new ChargePoint(connectorCount, {
+        "storage": new Storage(session, local, options.prefix || ""),
+        "createWebSocket": webSocketFactory(options.wsOptions),
+        "uploadFile": uploadFile
+    });
+}
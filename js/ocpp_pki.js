@@ -0,0 +1,560 @@
+"use strict";
+
+//
+// Minimal X.509 toolbox of the security extension (OCPP 1.6 Security Whitepaper):
+// DER encoding and decoding, PEM, certificate signing requests and a local CA for the tests
+// The keys are ECDSA P-256 keys of the Web Crypto API (crypto.subtle, in the browser and in Node.js),
+// the certificates of the server being checked may also use P-384 or RSA keys
+//
+
+const OID_ECDSA_SHA256 = "1.2.840.10045.4.3.2";
+const OID_ECDSA_SHA384 = "1.2.840.10045.4.3.3";
+const OID_RSA_SHA256 = "1.2.840.113549.1.1.11";
+const OID_P384 = "1.3.132.0.34";
+const OID_COMMON_NAME = "2.5.4.3";
+const OID_ORGANIZATION = "2.5.4.10";
+const OID_BASIC_CONSTRAINTS = "2.5.29.19";
+const OID_SUBJECT_ALT_NAME = "2.5.29.17";
+
+const ECDSA = { "name": "ECDSA", "namedCurve": "P-256" };
+const ECDSA_SHA256 = { "name": "ECDSA", "hash": "SHA-256" };
+
+// Web Crypto names of the hash algorithms of CertificateHashDataType
+const HASH_ALGORITHMS = { "SHA256": "SHA-256", "SHA384": "SHA-384", "SHA512": "SHA-512" };
+
+//
+// DER encoding
+//
+
+function concat(parts) {
+    var length = parts.reduce((n, p) => n + p.length, 0);
+    var bytes = new Uint8Array(length);
+    var offset = 0;
+    for (const p of parts) {
+        bytes.set(p, offset);
+        offset += p.length;
+    }
+    return bytes;
+}
+
+function encodeLength(n) {
+    if (n < 0x80) {
+        return [n];
+    }
+    var bytes = [];
+    for (; n > 0; n = Math.floor(n / 256)) {
+        bytes.unshift(n % 256);
+    }
+    return [0x80 | bytes.length].concat(bytes);
+}
+
+function der(tag, ...contents) {
+    var body = concat(contents);
+    return concat([Uint8Array.of(tag), Uint8Array.from(encodeLength(body.length)), body]);
+}
+
+const sequence = (...items) => der(0x30, ...items);
+const set = (...items) => der(0x31, ...items);
+const explicit = (n, ...items) => der(0xa0 + n, ...items);
+const octetString = bytes => der(0x04, bytes);
+const bitString = bytes => der(0x03, Uint8Array.of(0), bytes);
+const utf8String = s => der(0x0c, new TextEncoder().encode(s));
+
+// unsigned big-endian integer
+function integer(bytes) {
+    var start = 0;
+    while (start < bytes.length - 1 && bytes[start] == 0) {
+        start++;
+    }
+    bytes = bytes.subarray(start);
+    return der(0x02, bytes[0] & 0x80 ? concat([Uint8Array.of(0), bytes]) : bytes);
+}
+
+function oid(dotted) {
+    var parts = dotted.split(".").map(Number);
+    var bytes = [40 * parts[0] + parts[1]];
+    for (const part of parts.slice(2)) {
+        var b = [part & 0x7f];
+        for (var v = part >>> 7; v > 0; v >>>= 7) {
+            b.unshift(0x80 | (v & 0x7f));
+        }
+        bytes = bytes.concat(b);
+    }
+    return der(0x06, Uint8Array.from(bytes));
+}
+
+function time(date) {
+    var iso = date.toISOString().replace(/[-:T]/g, "").replace(/\.\d+Z$/, "Z");
+    // UTCTime until 2049, GeneralizedTime after
+    return date.getUTCFullYear() < 2050 ? der(0x17, new TextEncoder().encode(iso.slice(2))) : der(0x18, new TextEncoder().encode(iso));
+}
+
+//
+// @param subject {commonName, organization}
+// @return the DER of the X.501 Name
+//
+function name(subject) {
+    var rdns = [];
+    if (subject.organization) {
+        rdns.push(set(sequence(oid(OID_ORGANIZATION), utf8String(subject.organization))));
+    }
+    rdns.push(set(sequence(oid(OID_COMMON_NAME), utf8String(subject.commonName))));
+    return sequence(...rdns);
+}
+
+function extension(id, critical, value) {
+    return critical ? sequence(oid(id), der(0x01, Uint8Array.of(0xff)), octetString(value)) : sequence(oid(id), octetString(value));
+}
+
+//
+// DER decoding
+//
+
+//
+// Decode a DER element and its children
+// @param bytes The DER bytes
+// @param offset The offset of the element
+// @return {tag, bytes (whole element), content, end, children}
+//
+export function parseDer(bytes, offset = 0) {
+    var tag = bytes[offset];
+    var length = bytes[offset + 1];
+    var header = 2;
+    if (length & 0x80) {
+        var n = length & 0x7f;
+        length = 0;
+        for (var i = 0; i < n; i++) {
+            length = length * 256 + bytes[offset + 2 + i];
+        }
+        header += n;
+    }
+    var end = offset + header + length;
+    if (end > bytes.length) {
+        throw new Error("Truncated DER element");
+    }
+    var node = {
+        "tag": tag,
+        "bytes": bytes.subarray(offset, end),
+        "content": bytes.subarray(offset + header, end),
+        "end": end,
+        "children": []
+    };
+    if (tag & 0x20) {
+        for (var p = offset + header; p < end; p = node.children[node.children.length - 1].end) {
+            node.children.push(parseDer(bytes, p));
+        }
+    }
+    return node;
+}
+
+function decodeOid(bytes) {
+    var parts = [Math.floor(bytes[0] / 40), bytes[0] % 40];
+    var v = 0;
+    for (const b of bytes.subarray(1)) {
+        v = v * 128 + (b & 0x7f);
+        if (!(b & 0x80)) {
+            parts.push(v);
+            v = 0;
+        }
+    }
+    return parts.join(".");
+}
+
+function decodeTime(node) {
+    var s = new TextDecoder().decode(node.content);
+    if (node.tag == 0x17) {
+        s = (Number(s.slice(0, 2)) < 50 ? "20" : "19") + s;
+    }
+    return new Date(s.slice(0, 4) + "-" + s.slice(4, 6) + "-" + s.slice(6, 8) + "T" +
+        s.slice(8, 10) + ":" + s.slice(10, 12) + ":" + s.slice(12, 14) + "Z");
+}
+
+//
+// @param node The decoded Name
+// @return {commonName, organization}
+//
+function decodeName(node) {
+    var subject = {};
+    for (const rdn of node.children) {
+        for (const attribute of rdn.children) {
+            var type = decodeOid(attribute.children[0].content);
+            var value = new TextDecoder().decode(attribute.children[1].content);
+            if (type == OID_COMMON_NAME) {
+                subject.commonName = value;
+            }
+            else if (type == OID_ORGANIZATION) {
+                subject.organization = value;
+            }
+        }
+    }
+    return subject;
+}
+
+export function toHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function base64(bytes) {
+    var s = "";
+    for (const b of bytes) {
+        s += String.fromCharCode(b);
+    }
+    return btoa(s);
+}
+
+//
+// PEM
+//
+
+//
+// @param label The PEM label (CERTIFICATE, CERTIFICATE REQUEST, PRIVATE KEY)
+// @param bytes The DER bytes
+// @return the PEM text
+//
+export function toPem(label, bytes) {
+    var lines = base64(bytes).match(/.{1,64}/g);
+    return "-----BEGIN " + label + "-----\n" + lines.join("\n") + "\n-----END " + label + "-----\n";
+}
+
+//
+// @param pem A PEM text, possibly with several blocks (certificate chain)
+// @return the DER bytes of each block
+//
+export function pemBlocks(pem) {
+    var blocks = [];
+    var re = /-----BEGIN [A-Z ]+-----([^-]+)-----END [A-Z ]+-----/g;
+    for (var m; (m = re.exec(pem)) !== null;) {
+        var binary = atob(m[1].replace(/\s+/g, ""));
+        blocks.push(Uint8Array.from(binary, c => c.charCodeAt(0)));
+    }
+    return blocks;
+}
+
+//
+// Certificates
+//
+
+//
+// Decode a certificate
+// @param pem The PEM of the certificate (the first one of a chain)
+// @return {serialNumber (hex), issuer, subject, notBefore, notAfter, issuerName and subjectName (DER),
+//          publicKey (SubjectPublicKeyInfo DER), publicKeyBits (key bytes), keyParameter (curve OID),
+//          isCA, tbs (signed DER), signatureAlgorithm (OID), signature (DER)}
+//
+export function parseCertificate(pem) {
+    var blocks = pemBlocks(pem);
+    if (blocks.length == 0) {
+        throw new Error("No PEM certificate");
+    }
+    var certificate = parseDer(blocks[0]);
+    var tbs = certificate.children[0];
+    var fields = tbs.children[0].tag == 0xa0 ? tbs.children.slice(1) : tbs.children;
+    var serial = fields[0].content;
+    while (serial.length > 1 && serial[0] == 0) {
+        serial = serial.subarray(1);
+    }
+    var isCA = false;
+    var extensions = tbs.children.find(c => c.tag == 0xa3);
+    if (extensions) {
+        for (const ext of extensions.children[0].children) {
+            if (decodeOid(ext.children[0].content) == OID_BASIC_CONSTRAINTS) {
+                var constraints = parseDer(ext.children[ext.children.length - 1].content);
+                isCA = constraints.children.length > 0 && constraints.children[0].tag == 0x01 && constraints.children[0].content[0] != 0;
+            }
+        }
+    }
+    var keyAlgorithm = fields[5].children[0].children;
+    return {
+        "serialNumber": toHex(serial),
+        "issuer": decodeName(fields[2]),
+        "notBefore": decodeTime(fields[3].children[0]),
+        "notAfter": decodeTime(fields[3].children[1]),
+        "subject": decodeName(fields[4]),
+        "issuerName": fields[2].bytes,
+        "subjectName": fields[4].bytes,
+        "publicKey": fields[5].bytes,
+        "publicKeyBits": fields[5].children[1].content.subarray(1),
+        "keyParameter": keyAlgorithm.length > 1 && keyAlgorithm[1].tag == 0x06 ? decodeOid(keyAlgorithm[1].content) : null,
+        "isCA": isCA,
+        "tbs": tbs.bytes,
+        "signatureAlgorithm": decodeOid(certificate.children[1].children[0].content),
+        "signature": certificate.children[2].content.subarray(1)
+    };
+}
+
+//
+// Split a certificate chain
+// @param chain The PEM of the certificates
+// @return the PEM of each certificate, in the order of the chain
+//
+export function splitChain(chain) {
+    return pemBlocks(chain).map(der => toPem("CERTIFICATE", der));
+}
+
+//
+// @param cert A certificate decoded by parseCertificate
+// @param time The time (ms)
+// @return true if the certificate is valid at the given time
+//
+export function isValidAt(cert, time = Date.now()) {
+    return cert.notBefore.getTime() <= time && time <= cert.notAfter.getTime();
+}
+
+//
+// Check the signature of a certificate with the key of its issuer
+// (ECDSA P-256 or P-384 with SHA-256 or SHA-384, RSA PKCS #1 v1.5 with SHA-256)
+// @param pem The PEM of the certificate
+// @param issuerPem The PEM of the issuer certificate
+// @return a promise resolved with true if the certificate was signed by the issuer
+//
+export async function verifyCertificate(pem, issuerPem) {
+    var cert = parseCertificate(pem);
+    var issuer = parseCertificate(issuerPem);
+    if (!sameBytes(cert.issuerName, issuer.subjectName)) {
+        return false;
+    }
+    var key, algorithm, signature = cert.signature;
+    try {
+        switch (cert.signatureAlgorithm) {
+            case OID_ECDSA_SHA256:
+            case OID_ECDSA_SHA384:
+                var curve = issuer.keyParameter == OID_P384 ? "P-384" : "P-256";
+                var size = curve == "P-384" ? 48 : 32;
+                key = await crypto.subtle.importKey("spki", issuer.publicKey, { "name": "ECDSA", "namedCurve": curve }, false, ["verify"]);
+                algorithm = { "name": "ECDSA", "hash": cert.signatureAlgorithm == OID_ECDSA_SHA384 ? "SHA-384" : "SHA-256" };
+                // the DER signature becomes the raw r|s of Web Crypto
+                var rs = parseDer(signature).children.map(n => n.content);
+                signature = concat(rs.map(v => concat([new Uint8Array(size), v]).subarray(-size)));
+                break;
+            case OID_RSA_SHA256:
+                algorithm = { "name": "RSASSA-PKCS1-v1_5", "hash": "SHA-256" };
+                key = await crypto.subtle.importKey("spki", issuer.publicKey, algorithm, false, ["verify"]);
+                break;
+            default:
+                return false;
+        }
+        return await crypto.subtle.verify(algorithm, key, signature, cert.tbs);
+    }
+    catch (err) {
+        return false;
+    }
+}
+
+async function digest(algorithm, bytes) {
+    return toHex(new Uint8Array(await crypto.subtle.digest(HASH_ALGORITHMS[algorithm], bytes)));
+}
+
+//
+// Compute the CertificateHashDataType of a certificate (GetInstalledCertificateIds, DeleteCertificate)
+// @param pem The PEM of the certificate
+// @param issuerPem The PEM of the issuer certificate (the certificate itself if not given, as for a root)
+// @param hashAlgorithm SHA256, SHA384 or SHA512
+// @return a promise resolved with {hashAlgorithm, issuerNameHash, issuerKeyHash, serialNumber}
+//
+export async function certificateHashData(pem, issuerPem = pem, hashAlgorithm = "SHA256") {
+    var cert = parseCertificate(pem);
+    var issuer = parseCertificate(issuerPem);
+    return {
+        "hashAlgorithm": hashAlgorithm,
+        "issuerNameHash": await digest(hashAlgorithm, cert.issuerName),
+        "issuerKeyHash": await digest(hashAlgorithm, issuer.publicKeyBits),
+        "serialNumber": cert.serialNumber
+    };
+}
+
+//
+// Keys and signatures
+//
+
+//
+// @return a promise resolved with a new ECDSA P-256 key pair (extractable)
+//
+export function generateKeyPair() {
+    return crypto.subtle.generateKey(ECDSA, true, ["sign", "verify"]);
+}
+
+//
+// @param privateKey A CryptoKey
+// @return a promise resolved with the PEM of the key (PKCS #8)
+//
+export async function exportPrivateKey(privateKey) {
+    return toPem("PRIVATE KEY", new Uint8Array(await crypto.subtle.exportKey("pkcs8", privateKey)));
+}
+
+//
+// @param pem The PEM of a PKCS #8 ECDSA P-256 key
+// @return a promise resolved with the CryptoKey
+//
+export function importPrivateKey(pem) {
+    return crypto.subtle.importKey("pkcs8", pemBlocks(pem)[0], ECDSA, true, ["sign"]);
+}
+
+//
+// @param publicKey A CryptoKey
+// @return a promise resolved with the SubjectPublicKeyInfo DER of the key
+//
+export async function exportPublicKey(publicKey) {
+    return new Uint8Array(await crypto.subtle.exportKey("spki", publicKey));
+}
+
+//
+// Sign data with ECDSA SHA-256
+// @param privateKey The CryptoKey
+// @param data The bytes to sign
+// @return a promise resolved with the DER signature (X.509 format, not the raw r|s of Web Crypto)
+//
+async function sign(privateKey, data) {
+    var raw = new Uint8Array(await crypto.subtle.sign(ECDSA_SHA256, privateKey, data));
+    return sequence(integer(raw.subarray(0, 32)), integer(raw.subarray(32)));
+}
+
+//
+// Build a certificate signing request (PKCS #10)
+// @param keyPair The key pair of the certificate
+// @param subject {commonName, organization}
+// @return a promise resolved with the PEM of the CSR
+//
+export async function createCsr(keyPair, subject) {
+    var info = sequence(integer(Uint8Array.of(0)), name(subject), await exportPublicKey(keyPair.publicKey), explicit(0));
+    var signature = await sign(keyPair.privateKey, info);
+    return toPem("CERTIFICATE REQUEST", sequence(info, sequence(oid(OID_ECDSA_SHA256)), bitString(signature)));
+}
+
+//
+// Decode a certificate signing request
+// @param pem The PEM of the CSR
+// @return {subject, subjectName (DER), publicKey (SubjectPublicKeyInfo DER)}
+//
+export function parseCsr(pem) {
+    var blocks = pemBlocks(pem);
+    if (blocks.length == 0) {
+        throw new Error("No PEM certificate request");
+    }
+    var info = parseDer(blocks[0]).children[0];
+    return {
+        "subject": decodeName(info.children[1]),
+        "subjectName": info.children[1].bytes,
+        "publicKey": info.children[2].bytes
+    };
+}
+
+//
+// @param a Bytes
+// @param b Bytes
+// @return true if both hold the same bytes
+//
+export function sameBytes(a, b) {
+    return a.length == b.length && a.every((v, i) => v == b[i]);
+}
+
+//
+//
+// LocalCA class
+// Certificate authority standing in for the one of the CSO in the tests: it signs the CSRs of
+// SignCertificate, and the certificates of the TLS server and clients
+// (the signature of the CSR is not checked)
+//
+//
+export class LocalCA {
+
+    //
+    // Constructor, see LocalCA.create and LocalCA.load
+    // @param keyPair The key pair of the CA
+    // @param certificate The PEM of the CA certificate
+    //
+    constructor(keyPair, certificate) {
+        this._keyPair = keyPair;
+        this._certificate = certificate;
+        this._name = parseCertificate(certificate).subject;
+    }
+
+    //
+    // Create a CA with a new self-signed root certificate
+    // @param commonName The name of the CA
+    // @param days The validity of the root certificate
+    // @return a promise resolved with the LocalCA
+    //
+    static async create(commonName = "Local CA", days = 3650) {
+        var keyPair = await generateKeyPair();
+        var subject = { "commonName": commonName };
+        var tbs = await LocalCA.tbsCertificate(subject, subject, await exportPublicKey(keyPair.publicKey), days, true, []);
+        return new LocalCA(keyPair, await LocalCA.signCertificate(keyPair.privateKey, tbs));
+    }
+
+    //
+    // Load a CA saved with privateKey() and certificate()
+    // @param privateKeyPem The PEM of the private key
+    // @param certificatePem The PEM of the root certificate
+    // @return a promise resolved with the LocalCA
+    //
+    static async load(privateKeyPem, certificatePem) {
+        return new LocalCA({ "privateKey": await importPrivateKey(privateKeyPem) }, certificatePem);
+    }
+
+    //
+    // @return the PEM of the root certificate
+    //
+    certificate() {
+        return this._certificate;
+    }
+
+    //
+    // @return a promise resolved with the PEM of the private key
+    //
+    privateKey() {
+        return exportPrivateKey(this._keyPair.privateKey);
+    }
+
+    //
+    // Sign a certificate signing request
+    // @param csr The PEM of the CSR
+    // @param options {days, dnsNames}: validity, and host names of a TLS server certificate
+    // @return a promise resolved with the certificate chain (the certificate followed by the root)
+    //
+    async sign(csr, options = {}) {
+        var request = parseCsr(csr);
+        var extensions = [];
+        if (options.dnsNames && options.dnsNames.length > 0) {
+            var names = options.dnsNames.map(n => der(0x82, new TextEncoder().encode(n)));
+            extensions.push(extension(OID_SUBJECT_ALT_NAME, false, sequence(...names)));
+        }
+        var tbs = await LocalCA.tbsCertificate(request.subject, this._name, request.publicKey, options.days || 365, false, extensions);
+        return (await LocalCA.signCertificate(this._keyPair.privateKey, tbs)) + this._certificate;
+    }
+
+    //
+    // Build the TBSCertificate of a certificate
+    // @param subject {commonName, organization}
+    // @param issuer {commonName, organization}
+    // @param publicKey The SubjectPublicKeyInfo DER
+    // @param days The validity
+    // @param isCA true for a CA certificate
+    // @param extensions The DER of the other extensions
+    // @return a promise resolved with the DER of the TBSCertificate
+    //
+    static async tbsCertificate(subject, issuer, publicKey, days, isCA, extensions) {
+        var serial = crypto.getRandomValues(new Uint8Array(16));
+        serial[0] &= 0x7f;
+        var now = Date.now();
+        var constraints = isCA ? sequence(der(0x01, Uint8Array.of(0xff))) : sequence();
+        return sequence(
+            explicit(0, integer(Uint8Array.of(2))),
+            integer(serial),
+            sequence(oid(OID_ECDSA_SHA256)),
+            name(issuer),
+            sequence(time(new Date(now - 60000)), time(new Date(now + days * 24 * 3600 * 1000))),
+            name(subject),
+            publicKey,
+            explicit(3, sequence(extension(OID_BASIC_CONSTRAINTS, true, constraints), ...extensions)));
+    }
+
+    //
+    // @param privateKey The CryptoKey of the issuer
+    // @param tbs The DER of the TBSCertificate
+    // @return a promise resolved with the PEM of the certificate
+    //
+    static async signCertificate(privateKey, tbs) {
+        var signature = await sign(privateKey, tbs);
+        return toPem("CERTIFICATE", sequence(tbs, sequence(oid(OID_ECDSA_SHA256)), bitString(signature)));
+    }
+}
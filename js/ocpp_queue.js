@@ -0,0 +1,133 @@
+"use strict";
+import * as ocpp from './ocpp_constants.js'
+import Storage from './ocpp_storage.js'
+
+//
+// Persistent queue of the transaction related messages (StartTransaction, MeterValues, StopTransaction)
+// The messages are kept in local storage until the server acknowledges them, so they
+// survive a connection loss as well as a reload of the page
+// An entry is {id, action, payload, transactionId, attempts}, transactionId being the local
+// (negative) id of the transaction while the server-assigned id is not known, and attempts
+// the number of failed attempts to deliver the message (TransactionMessageAttempts)
+//
+export default class MessageQueue {
+
+    //
+    // Constructor
+    // @param storage The storage holding the queue
+    // @param storageKey The local storage key holding the queue
+    //
+    constructor(storage = new Storage(), storageKey = ocpp.KEY_TRANSACTION_QUEUE) {
+        this._storage = storage;
+        this._storageKey = storageKey;
+        this._changeCb = null;
+    }
+
+    //
+    // Set the change callback, triggered when messages are added or removed
+    // @param A callback function which takes one int argument (number of queued messages)
+    //
+    setChangeCallback(cb) {
+        this._changeCb = cb;
+    }
+
+    //
+    // @return the list of the queued entries, oldest first
+    //
+    entries() {
+        return JSON.parse(this._storage.getKey(this._storageKey, "[]"));
+    }
+
+    //
+    // @return the number of queued messages
+    //
+    length() {
+        return this.entries().length;
+    }
+
+    //
+    // @return true if no message is waiting
+    //
+    isEmpty() {
+        return this.length() == 0;
+    }
+
+    //
+    // Add a message at the end of the queue
+    // @param entry The entry to add ({id, action, payload, transactionId})
+    //
+    push(entry) {
+        var entries = this.entries();
+        entries.push(entry);
+        this.save(entries);
+    }
+
+    //
+    // @return the oldest entry, null if the queue is empty
+    //
+    peek() {
+        var entries = this.entries();
+        return entries.length > 0 ? entries[0] : null;
+    }
+
+    //
+    // Remove an entry (once delivered or rejected by the server)
+    // @param id The id of the entry
+    //
+    remove(id) {
+        this.save(this.entries().filter(entry => entry.id != id));
+    }
+
+    //
+    // Count a failed attempt to deliver an entry
+    // @param id The id of the entry
+    // @return the number of failed attempts
+    //
+    failedAttempt(id) {
+        var entries = this.entries();
+        var entry = entries.find(entry => entry.id == id);
+        if (!entry) {
+            return 0;
+        }
+        entry.attempts = (entry.attempts || 0) + 1;
+        this.save(entries);
+        return entry.attempts;
+    }
+
+    //
+    // Replace the local id of a transaction by the id assigned by the server
+    // in all the queued messages of this transaction
+    // @param localId The local (negative) transaction id
+    // @param transactionId The transaction id assigned by the server
+    //
+    replaceTransactionId(localId, transactionId) {
+        var entries = this.entries();
+        for (const entry of entries) {
+            if (entry.transactionId === localId) {
+                entry.transactionId = transactionId;
+                if ("transactionId" in entry.payload) {
+                    entry.payload.transactionId = transactionId;
+                }
+            }
+        }
+        this.save(entries);
+    }
+
+    //
+    // Drop all the queued messages
+    //
+    clear() {
+        this.save([]);
+    }
+
+    //
+    // Write the queue to local storage
+    // @param entries The list of entries
+    //
+    save(entries) {
+        this._storage.setKey(this._storageKey, JSON.stringify(entries));
+        if (this._changeCb) {
+            this._changeCb(entries.length);
+        }
+    }
+}
@@ -0,0 +1,540 @@
+"use strict";
+import * as ocpp from './ocpp_constants.js'
+import MessageTrace, { parseFrame } from './ocpp_trace.js'
+import { skewTimestamps } from './ocpp_faults.js'
+import { generateId } from './ocpp_chargepoint.js'
+
+//
+// Trace replay: replays the charge point side of a recorded session against a live OCPP server
+//
+// The recorded messages sent by the charge point are sent again, with the original timing (scaled by
+// the speed), new message ids and the transactionIds given by the live server; their timestamps are moved
+// to the time of the replay. The messages received in the recording are expected from the live server:
+// the responses to the replayed CALLs, and the CALLs of the server (matched by action, in order), which
+// are answered with the recorded responses. Any difference with the recording is reported.
+//
+
+// keys of the payloads which are not compared (times, and values only known by the live server)
+const IGNORED_KEYS = ["currentTime", "timestamp", "expiryDate", "generatedAt", "validFrom", "validTo", "startSchedule"];
+
+// ISO timestamp and direction which may start the lines of a frame log
+const LOG_LINE = /^(\d{4}-\d{2}-\d{2}[T ][0-9:.]+(?:Z|[+-]\d{2}:?\d{2})?)?\s*(?:(SEND|RECEIVE|send|receive|>>|<<)\s*:?\s*)?(\[.*\])\s*$/;
+
+//
+// @param ms A duration in ms
+// @return a promise resolved after this duration
+//
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+//
+// Decode a raw frame log, one OCPP-J message per line, each line being optionally prefixed with an
+// ISO timestamp and a direction (SEND: / RECEIVE: as in the console of the simulator, >> / <<)
+// Without direction, the CALLs of the actions sent by a charge point are taken as sent, the other
+// ones as received, and the responses go the other way than their CALL
+// @param text The log
+// @return the records {timestamp, direction, messageType, messageId, action, payload...} (timestamp null if not logged)
+//
+export function parseFrameLog(text) {
+    var records = [];
+    for (const line of String(text).split("\n")) {
+        var match = LOG_LINE.exec(line.trim());
+        if (!match) {
+            continue;
+        }
+        var message = parseFrame(match[3]);
+        if (message.messageType == ocpp.MESSAGE_MALFORMED) {
+            continue;
+        }
+        var direction = null;
+        if (match[2]) {
+            direction = /^(SEND|send|>>)$/.test(match[2]) ? ocpp.TRACE_SEND : ocpp.TRACE_RECEIVE;
+        }
+        var timestamp = match[1] ? new Date(match[1].replace(" ", "T")) : null;
+        records.push(Object.assign({
+            "timestamp": timestamp && !isNaN(timestamp) ? timestamp.toISOString() : null,
+            "direction": direction
+        }, message));
+    }
+    for (const r of records) {
+        if (r.direction === null && r.messageType == ocpp.MESSAGE_CALL) {
+            r.direction = ocpp.CP_INITIATED_ACTIONS.includes(r.action) ? ocpp.TRACE_SEND : ocpp.TRACE_RECEIVE;
+        }
+    }
+    correlate(records);
+    return records.filter(r => r.direction !== null);
+}
+
+//
+// Give the responses the action of their CALL (and their direction, if unknown)
+// @param records The records of a trace, oldest first
+//
+function correlate(records) {
+    var calls = new Map();
+    for (const r of records) {
+        if (r.messageType == ocpp.MESSAGE_CALL) {
+            calls.set(r.direction + r.messageId, r);
+            continue;
+        }
+        if (r.messageType != ocpp.MESSAGE_CALLRESULT && r.messageType != ocpp.MESSAGE_CALLERROR) {
+            continue;
+        }
+        var call = null;
+        if (r.direction === null) {
+            call = calls.get(ocpp.TRACE_SEND + r.messageId) || calls.get(ocpp.TRACE_RECEIVE + r.messageId) || null;
+            if (call) {
+                r.direction = call.direction == ocpp.TRACE_SEND ? ocpp.TRACE_RECEIVE : ocpp.TRACE_SEND;
+            }
+        }
+        else {
+            call = calls.get((r.direction == ocpp.TRACE_SEND ? ocpp.TRACE_RECEIVE : ocpp.TRACE_SEND) + r.messageId) || null;
+        }
+        if (call) {
+            r.action = call.action;
+            calls.delete(call.direction + call.messageId);
+        }
+    }
+}
+
+//
+// Decode a recorded session: a trace exported by the simulator (JSON Lines or HAR-like) or a raw frame log
+// @param text The text of the file
+// @return the records of the session, oldest first
+// @throw an Error if no OCPP message is found
+//
+export function loadSession(text) {
+    var records;
+    try {
+        records = MessageTrace.parse(text);
+    }
+    catch (err) {
+        records = parseFrameLog(text);
+    }
+    if (records.length == 0) {
+        throw new Error("No OCPP message found");
+    }
+    correlate(records);
+    return records;
+}
+
+//
+// Format a replay report as text
+// @param report The report returned by TraceReplay.run()
+// @return the report as text, one line per difference
+//
+export function formatReport(report) {
+    var lines = ["Replay of " + report.messages + " messages: " + report.sent + " sent, " + report.received + " received"];
+    for (const d of report.differences) {
+        lines.push("  #" + d.index + " " + (d.action || "") + " " + (d.messageId || "") + ": " + d.message);
+    }
+    lines.push((report.passed ? "SAME AS RECORDED" : report.differences.length + " DIFFERENCE(S)") + " (" + report.duration + " ms)");
+    return lines.join("\n");
+}
+
+//
+// Replays recorded sessions with a ChargePoint
+// (the ChargePoint hands its connection over to the replay, see ChargePoint.setReplayCallback)
+//
+export default class TraceReplay {
+
+    //
+    // Constructor
+    // @param cp The ChargePoint
+    // @param url The URL of the OCPP server
+    // @param cpid The charge point identifier
+    //
+    constructor(cp, url, cpid) {
+        this._cp = cp;
+        this._url = url;
+        this._cpid = cpid;
+        this._loggingCb = null;
+        this._running = false;
+        this._reset([]);
+    }
+
+    //
+    // Reset the state of a replay
+    // @param records The records being replayed
+    //
+    _reset(records) {
+        this._records = records;
+        this._index = 0;
+        // recorded message id -> live message id, recorded transactionId -> live transactionId
+        this._ids = new Map();
+        this._transactions = new Map();
+        // CALLs received from the live server and not matched yet, responses to the replayed CALLs by live id
+        this._calls = [];
+        this._responses = new Map();
+        this._waiters = [];
+        this._opened = false;
+        this._closed = null;
+        this._differences = [];
+    }
+
+    //
+    // Set the logging callback
+    // @param A callback function which takes a string argument ("message to log")
+    //
+    setLoggingCallback(cb) {
+        this._loggingCb = cb;
+    }
+
+    //
+    // output a log to the logging callback if any
+    //
+    logMsg(msg) {
+        if (this._loggingCb) {
+            this._loggingCb('[REPLAY] ' + msg);
+        }
+    }
+
+    //
+    // @return true while a replay runs
+    //
+    running() {
+        return this._running;
+    }
+
+    //
+    // Report a difference with the recording
+    // @param record The recorded message
+    // @param message What differs
+    //
+    difference(record, message) {
+        var index = this._records.indexOf(record) + 1;
+        this._differences.push({ "index": index, "action": record.action, "messageId": record.messageId, "message": message });
+        this.logMsg("#" + index + " " + (record.action || "") + ": " + message);
+    }
+
+    //
+    // Handle the events of the connection given to the replay
+    // @param event open, receive or close
+    // @param data The received message, or the close code
+    //
+    onEvent(event, data) {
+        switch (event) {
+            case "open":
+                this._opened = true;
+                this.wake();
+                break;
+            case "close":
+                this._closed = "connection closed (" + data + ")";
+                this.wake();
+                break;
+            case "receive":
+                this.onMessage(data);
+                break;
+        }
+    }
+
+    //
+    // Keep a message of the live server
+    // @param data The received message
+    //
+    onMessage(data) {
+        var message = parseFrame(data);
+        switch (message.messageType) {
+            case ocpp.MESSAGE_CALL:
+                if (this.pendingCalls(message.action) <= this._calls.filter(c => c.action == message.action).length) {
+                    // not in the rest of the recording: reported and rejected, so that the server does not wait
+                    this._differences.push({ "index": this._index + 1, "action": message.action, "messageId": message.messageId,
+                        "message": "unexpected " + message.action + " received " + JSON.stringify(message.payload) });
+                    this.logMsg("Unexpected " + message.action + " received");
+                    this._cp.wsSendData(JSON.stringify([4, message.messageId, ocpp.ERROR_GENERIC, "Not in the replayed trace", {}]));
+                    break;
+                }
+                this._calls.push(message);
+                break;
+            case ocpp.MESSAGE_CALLRESULT:
+            case ocpp.MESSAGE_CALLERROR:
+                this._responses.set(message.messageId, message);
+                break;
+            default:
+                this._differences.push({ "index": this._index + 1, "action": null, "messageId": null,
+                    "message": "malformed message received: " + data });
+                break;
+        }
+        this.wake();
+    }
+
+    //
+    // @param action An OCPP action
+    // @return the number of CALLs of that action still expected from the server in the recording
+    //
+    pendingCalls(action) {
+        return this._records.slice(this._index).filter(r => r.direction == ocpp.TRACE_RECEIVE &&
+            r.messageType == ocpp.MESSAGE_CALL && r.action == action).length;
+    }
+
+    //
+    // Wake the replay up when something happens on the connection
+    //
+    wake() {
+        var waiters = this._waiters;
+        this._waiters = [];
+        waiters.forEach(w => w());
+    }
+
+    //
+    // Wait until a condition is met
+    // @param take A function returning the awaited value, undefined while not available
+    // @param seconds The time limit
+    // @return a promise resolved with the value, or undefined after the time limit
+    // @throw an Error if the connection is closed
+    //
+    async waitFor(take, seconds) {
+        var end = Date.now() + seconds * 1000;
+        for (;;) {
+            if (this._closed) {
+                throw new Error(this._closed);
+            }
+            var value = take();
+            if (value !== undefined) {
+                return value;
+            }
+            var left = end - Date.now();
+            if (left <= 0) {
+                return undefined;
+            }
+            var timer;
+            await new Promise(resolve => {
+                this._waiters.push(resolve);
+                timer = setTimeout(resolve, left);
+            });
+            clearTimeout(timer);
+        }
+    }
+
+    //
+    // Rewrite a recorded payload for the live session
+    // @param value A payload, or a part of it
+    // @return a copy of the value, the recorded transactionIds being replaced with the live ones
+    //
+    rewrite(value) {
+        if (Array.isArray(value)) {
+            return value.map(v => this.rewrite(v));
+        }
+        if (value === null || typeof value != "object") {
+            return value;
+        }
+        var copy = {};
+        for (const key of Object.keys(value)) {
+            copy[key] = key == "transactionId" && this._transactions.has(value[key]) ?
+                this._transactions.get(value[key]) : this.rewrite(value[key]);
+        }
+        return copy;
+    }
+
+    //
+    // Compare a recorded payload with the live one
+    // @param recorded The recorded value
+    // @param live The live value
+    // @param path The path of the values in the payload
+    // @return the list of differences ("path: recorded value / live value")
+    //
+    compare(recorded, live, path = "") {
+        if (recorded !== null && live !== null && typeof recorded == "object" && typeof live == "object" &&
+            Array.isArray(recorded) == Array.isArray(live)) {
+            var diffs = [];
+            var keys = new Set(Object.keys(recorded).concat(Object.keys(live)));
+            for (const key of keys) {
+                if (IGNORED_KEYS.includes(key)) {
+                    continue;
+                }
+                var sub = path ? path + "." + key : key;
+                if (key == "transactionId" && recorded[key] !== undefined && live[key] !== undefined) {
+                    var expected = this._transactions.has(recorded[key]) ? this._transactions.get(recorded[key]) : recorded[key];
+                    if (String(expected) != String(live[key])) {
+                        diffs.push(sub + ": recorded " + JSON.stringify(recorded[key]) + ", live " + JSON.stringify(live[key]));
+                    }
+                    continue;
+                }
+                diffs = diffs.concat(this.compare(recorded[key], live[key], sub));
+            }
+            return diffs;
+        }
+        if (JSON.stringify(recorded) !== JSON.stringify(live)) {
+            return [(path || "payload") + ": recorded " + JSON.stringify(recorded) + ", live " + JSON.stringify(live)];
+        }
+        return [];
+    }
+
+    //
+    // Compare a recorded message received from the server with the live one
+    // @param record The recorded message
+    // @param message The live message
+    //
+    check(record, message) {
+        if (record.messageType != message.messageType) {
+            this.difference(record, "recorded " + record.messageType + (record.errorCode ? " " + record.errorCode : "") +
+                ", live " + message.messageType + (message.errorCode ? " " + message.errorCode : ""));
+            return;
+        }
+        if (record.messageType == ocpp.MESSAGE_CALLERROR) {
+            if (record.errorCode != message.errorCode) {
+                this.difference(record, "errorCode: recorded " + record.errorCode + ", live " + message.errorCode);
+            }
+            return;
+        }
+        for (const diff of this.compare(record.payload, message.payload)) {
+            this.difference(record, diff);
+        }
+    }
+
+    //
+    // Send a message of the charge point
+    // @param frame The message
+    //
+    send(frame) {
+        if (!this._cp.wsSendData(typeof frame == "string" ? frame : JSON.stringify(frame))) {
+            throw new Error(this._closed || "not connected");
+        }
+    }
+
+    //
+    // Replay a recorded message
+    // @param record The recorded message
+    // @param seconds The time given to the live server to send a message
+    // @return true if the message was sent, or received from the live server
+    //
+    async replay(record, seconds) {
+        if (record.direction == ocpp.TRACE_SEND) {
+            var payload = this.rewrite(record.payload);
+            if (record.timestamp && payload !== undefined) {
+                payload = skewTimestamps(payload, (Date.now() - Date.parse(record.timestamp)) / 1000);
+            }
+            switch (record.messageType) {
+                case ocpp.MESSAGE_CALL:
+                    var id = generateId();
+                    this._ids.set(record.messageId, id);
+                    this.send([2, id, record.action, payload]);
+                    return true;
+                case ocpp.MESSAGE_CALLRESULT:
+                case ocpp.MESSAGE_CALLERROR:
+                    // the response to a CALL which was not received is not sent
+                    if (this._ids.has(record.messageId)) {
+                        var liveId = this._ids.get(record.messageId);
+                        this.send(record.messageType == ocpp.MESSAGE_CALLRESULT ? [3, liveId, payload] :
+                            [4, liveId, record.errorCode, record.errorDescription || "", payload || {}]);
+                        return true;
+                    }
+                    return false;
+                default:
+                    this.send(record.raw);
+                    return true;
+            }
+        }
+        switch (record.messageType) {
+            case ocpp.MESSAGE_CALL:
+                var call = await this.waitFor(() => {
+                    var i = this._calls.findIndex(c => c.action == record.action);
+                    return i < 0 ? undefined : this._calls.splice(i, 1)[0];
+                }, seconds);
+                if (!call) {
+                    this.difference(record, record.action + " not received within " + Math.round(seconds) + "s");
+                    return false;
+                }
+                this._ids.set(record.messageId, call.messageId);
+                this.check(record, call);
+                return true;
+            case ocpp.MESSAGE_CALLRESULT:
+            case ocpp.MESSAGE_CALLERROR:
+                var sentId = this._ids.get(record.messageId);
+                if (sentId === undefined) {
+                    // response to a CALL sent before the start of the recording
+                    return false;
+                }
+                var response = await this.waitFor(() => this._responses.get(sentId), seconds);
+                if (!response) {
+                    this.difference(record, "no response within " + Math.round(seconds) + "s");
+                    return false;
+                }
+                this._responses.delete(sentId);
+                var recordedId = record.payload ? record.payload.transactionId : undefined;
+                if (recordedId !== undefined && response.payload && response.payload.transactionId !== undefined &&
+                    !this._transactions.has(recordedId)) {
+                    this._transactions.set(recordedId, response.payload.transactionId);
+                    this.logMsg("Transaction " + recordedId + " replayed as " + response.payload.transactionId);
+                }
+                this.check(record, response);
+                return true;
+            default:
+                // a malformed message cannot be expected
+                return false;
+        }
+    }
+
+    //
+    // Replay a recorded session
+    // @param records The recorded messages (see loadSession)
+    // @param speed 1 to keep the original timing, 2 to go twice faster..., 0 not to wait between the messages
+    // @param timeout The time given to the server to send an expected message, on top of the recorded delay (s)
+    // @return a promise resolved with the report {passed, duration, messages, sent, received, differences: [{index, action, messageId, message}]}
+    //
+    async run(records, speed = 1, timeout = ocpp.CALL_TIMEOUT_SECONDS) {
+        if (this._running || this._cp.isConnected()) {
+            throw new Error("Disconnect the charge point before replaying a trace");
+        }
+        this._reset(records);
+        this._running = true;
+        var report = { "passed": true, "duration": 0, "messages": records.length, "sent": 0, "received": 0, "differences": [] };
+        var start = Date.now();
+        this._cp.setReplayCallback((event, data) => this.onEvent(event, data));
+        try {
+            this._cp.wsConnect(this._url, this._cpid);
+            var opened = await this.waitFor(() => this._opened || undefined, timeout);
+            if (!opened) {
+                throw new Error("connection not opened within " + timeout + "s");
+            }
+            this.logMsg("Replaying " + records.length + " messages (speed " + speed + ")");
+            var previous = null;
+            var previousTime = Date.now();
+            for (this._index = 0; this._index < records.length; this._index++) {
+                var record = records[this._index];
+                var gap = 0;
+                if (speed > 0 && previous && previous.timestamp && record.timestamp) {
+                    gap = Math.max(0, Date.parse(record.timestamp) - Date.parse(previous.timestamp)) / speed;
+                }
+                if (record.direction == ocpp.TRACE_SEND) {
+                    // woken up by the messages of the server, stopped if the connection is closed
+                    await this.waitFor(() => Date.now() >= previousTime + gap ? true : undefined, gap / 1000);
+                    if (await this.replay(record, 0)) {
+                        report.sent++;
+                    }
+                }
+                else if (await this.replay(record, gap / 1000 + timeout)) {
+                    report.received++;
+                }
+                previous = record;
+                previousTime = Date.now();
+            }
+            // last chance for the responses not recorded and the unexpected CALLs
+            await sleep(100);
+        }
+        catch (err) {
+            this._differences.push({ "index": this._index + 1, "action": null, "messageId": null, "message": "replay aborted: " + err.message });
+            this.logMsg("Replay aborted: " + err.message);
+        }
+        finally {
+            this._cp.wsDisconnect();
+            this._cp.setReplayCallback(null);
+            this._running = false;
+        }
+        report.differences = this._differences;
+        report.passed = this._differences.length == 0;
+        report.duration = Date.now() - start;
+        this.logMsg(report.passed ? "Same exchange as recorded" : report.differences.length + " difference(s) with the recording");
+        return report;
+    }
+
+    //
+    // Stop a running replay (reported as aborted)
+    //
+    stop() {
+        if (this._running) {
+            this._closed = "stopped";
+            this.wake();
+        }
+    }
+}
@@ -0,0 +1,396 @@
+"use strict";
+import * as ocpp from './ocpp_constants.js'
+
+//
+// Scenario engine: runs a list of steps against a ChargePoint and reports which ones passed
+//
+// A scenario is {name, timeout, steps}, each step being an object whose first known key is the step type:
+//   {"connect": true}                          open the connection, the result is the BootNotification.conf
+//   {"disconnect": true}
+//   {"call": "DataTransfer", "payload": {...}} send any CALL
+//   {"authorize": "TAG"}
+//   {"plug": 1} / {"unplug": 1}
+//   {"start": 1, "idTag": "TAG"}               the result is the StartTransaction.conf
+//   {"stop": 1}                                the result is the StopTransaction.conf
+//   {"ramp": 1, "duration": 600, "interval": 60}
+//                                              simulate charging without waiting, with a MeterValues per interval
+//   {"wait": 5}                                wait for given seconds
+//   {"expectCall": "RemoteStopTransaction"}    wait for a CALL from the server, the result is its payload
+//   {"expectResult": "StopTransaction"}        wait for the response to a CALL of the charge point
+//   {"expectStatus": 1, "status": "Finishing"} check the status of a connector
+// Common keys:
+//   "within": time given to the step (s), "timeout" of the scenario by default
+//   "expect": {"path.in.result": value} values expected in the result ("*" for any value)
+//   "save": {"name": "path.in.result"} keep values of the result, used as "$name" in the next steps
+//   "name": label of the step in the report
+//
+const STEP_TYPES = ["connect", "disconnect", "call", "authorize", "plug", "unplug", "start", "stop",
+    "ramp", "wait", "expectCall", "expectResult", "expectStatus"];
+
+// number of unmatched messages kept for the expectCall and expectResult steps
+const MAX_EVENTS = 1000;
+
+//
+// @param obj An object
+// @param path A dotted path ("idTagInfo.status")
+// @return the value at path, undefined if missing
+//
+function getPath(obj, path) {
+    return String(path).split('.').reduce((o, key) => (o === null || o === undefined) ? undefined : o[key], obj);
+}
+
+//
+// Replace the "$name" strings by the saved values
+// @param value Any JSON value
+// @param vars The saved values
+// @return the value with the variables substituted
+//
+function substitute(value, vars) {
+    if (typeof value == "string" && value.startsWith("$") && value.slice(1) in vars) {
+        return vars[value.slice(1)];
+    }
+    if (Array.isArray(value)) {
+        return value.map(v => substitute(v, vars));
+    }
+    if (value !== null && typeof value == "object") {
+        var result = {};
+        for (const key of Object.keys(value)) {
+            result[key] = substitute(value[key], vars);
+        }
+        return result;
+    }
+    return value;
+}
+
+//
+// @param step A scenario step
+// @return the type of the step, null if none
+//
+function stepType(step) {
+    return Object.keys(step).find(key => STEP_TYPES.includes(key)) || null;
+}
+
+//
+// @param ms A duration in ms
+// @return a promise resolved after this duration
+//
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+//
+// Format a report as text
+// @param report The report returned by ScenarioRunner.run()
+// @return the report as text, one line per step
+//
+export function formatReport(report) {
+    var lines = ["Scenario: " + report.name];
+    for (const step of report.steps) {
+        var line = "  " + step.result + " " + step.index + ". " + step.name;
+        if (step.result != "SKIP") {
+            line += " (" + step.duration + " ms)";
+        }
+        if (step.message) {
+            line += ": " + step.message;
+        }
+        lines.push(line);
+    }
+    var passed = report.steps.filter(s => s.result == "PASS").length;
+    lines.push((report.passed ? "PASSED" : "FAILED") + " (" + passed + "/" + report.steps.length + " steps, " + report.duration + " ms)");
+    return lines.join("\n");
+}
+
+//
+// Runs scenarios against a ChargePoint
+// (the runner uses the message callback of the ChargePoint to follow the exchanges with the server)
+//
+export default class ScenarioRunner {
+
+    //
+    // Constructor
+    // @param cp The ChargePoint
+    // @param url The URL of the OCPP server
+    // @param cpid The charge point identifier
+    //
+    constructor(cp, url, cpid) {
+        this._cp = cp;
+        this._url = url;
+        this._cpid = cpid;
+        this._loggingCb = null;
+        // messages received but not expected yet, and steps waiting for a message
+        this._events = [];
+        this._waiters = [];
+        // action of the CALLs sent by the charge point, by message id
+        this._sentCalls = new Map();
+        this._vars = {};
+        cp.setMessageCallback((direction, data) => this.onMessage(direction, data));
+    }
+
+    //
+    // Set the logging callback
+    // @param A callback function which takes a string argument ("message to log")
+    //
+    setLoggingCallback(cb) {
+        this._loggingCb = cb;
+    }
+
+    //
+    // output a log to the logging callback if any
+    //
+    logMsg(msg) {
+        if (this._loggingCb) {
+            this._loggingCb('[SCENARIO] ' + msg);
+        }
+    }
+
+    //
+    // Keep track of the messages exchanged with the server
+    // @param direction "send" or "receive"
+    // @param data The raw message
+    //
+    onMessage(direction, data) {
+        var msg;
+        try {
+            msg = JSON.parse(data);
+        }
+        catch (err) {
+            // invalid JSON (e.g. an injected fault), nothing to match
+            return;
+        }
+        if (!Array.isArray(msg)) {
+            return;
+        }
+        if (direction == "send") {
+            if (msg[0] == 2) {
+                this._sentCalls.set(msg[1], msg[2]);
+            }
+            return;
+        }
+        var event = null;
+        switch (msg[0]) {
+            case 2:
+                event = { "type": "call", "action": msg[2], "payload": msg[3] };
+                break;
+            case 3:
+                event = { "type": "result", "action": this._sentCalls.get(msg[1]), "payload": msg[2] };
+                this._sentCalls.delete(msg[1]);
+                break;
+            case 4:
+                event = { "type": "error", "action": this._sentCalls.get(msg[1]), "payload": { "errorCode": msg[2], "errorDescription": msg[3] } };
+                this._sentCalls.delete(msg[1]);
+                break;
+            default:
+                return;
+        }
+        var waiter = this._waiters.find(w => w.type == event.type && w.action == event.action);
+        if (waiter) {
+            this._waiters.splice(this._waiters.indexOf(waiter), 1);
+            waiter.resolve(event);
+            return;
+        }
+        this._events.push(event);
+        if (this._events.length > MAX_EVENTS) {
+            this._events.shift();
+        }
+    }
+
+    //
+    // Wait for a message (or take it if it was already received)
+    // @param type "call" (CALL from the server) or "result" (response to a CALL of the charge point)
+    // @param action The OCPP action
+    // @param seconds The time to wait
+    // @return a promise resolved with the event {type, action, payload}
+    //
+    waitFor(type, action, seconds) {
+        var event = this.takeEvent(type, action);
+        if (event) {
+            return Promise.resolve(event);
+        }
+        return new Promise((resolve, reject) => {
+            var waiter = { "type": type, "action": action, "resolve": null };
+            var timer = setTimeout(() => {
+                this._waiters.splice(this._waiters.indexOf(waiter), 1);
+                reject(new Error("no " + action + (type == "call" ? " received" : " response") + " within " + seconds + "s"));
+            }, seconds * 1000);
+            waiter.resolve = event => {
+                clearTimeout(timer);
+                resolve(event);
+            };
+            this._waiters.push(waiter);
+        });
+    }
+
+    //
+    // Remove the oldest received message of given type and action
+    // (also used by the steps which get their response directly, so that it is not expected twice)
+    // @return the event, null if none
+    //
+    takeEvent(type, action) {
+        var i = this._events.findIndex(e => e.type == type && e.action == action);
+        return i < 0 ? null : this._events.splice(i, 1)[0];
+    }
+
+    //
+    // Run a scenario (stopping at the first failed step)
+    // @param scenario The scenario {name, timeout, steps}
+    // @return a promise resolved with the report {name, passed, duration, steps: [{index, name, result, duration, message}]}
+    //
+    async run(scenario) {
+        var report = { "name": scenario.name || "unnamed", "passed": true, "duration": 0, "steps": [] };
+        var start = Date.now();
+        this._vars = Object.assign({}, scenario.vars || {});
+        var steps = scenario.steps || [];
+        for (var i = 0; i < steps.length; i++) {
+            var step = steps[i];
+            var type = stepType(step);
+            var resolved = substitute(step, this._vars);
+            var name = step.name || (type + (typeof resolved[type] == "string" || typeof resolved[type] == "number" ? " " + resolved[type] : ""));
+            var entry = { "index": i + 1, "name": name, "result": "SKIP", "duration": 0, "message": "" };
+            report.steps.push(entry);
+            if (!report.passed) {
+                continue;
+            }
+            var stepStart = Date.now();
+            try {
+                if (type === null) {
+                    throw new Error("unknown step type (" + Object.keys(step).join(", ") + ")");
+                }
+                var seconds = resolved.within || scenario.timeout || ocpp.SCENARIO_STEP_TIMEOUT_SECONDS;
+                this.logMsg("Step " + entry.index + ": " + name);
+                var result = await this.runStep(type, resolved, seconds);
+                this.check(result, resolved.expect || {});
+                for (const [v, path] of Object.entries(resolved.save || {})) {
+                    this._vars[v] = getPath(result, path);
+                }
+                entry.result = "PASS";
+            }
+            catch (err) {
+                entry.result = "FAIL";
+                entry.message = err.message;
+                report.passed = false;
+                this.logMsg("Step " + entry.index + " failed: " + err.message);
+            }
+            entry.duration = Date.now() - stepStart;
+        }
+        report.duration = Date.now() - start;
+        return report;
+    }
+
+    //
+    // Check the expected values of a step result
+    // @param result The result of the step
+    // @param expect The expected values {path: value}
+    //
+    check(result, expect) {
+        for (const [path, expected] of Object.entries(expect)) {
+            var actual = getPath(result, path);
+            if (expected === "*" ? actual === undefined : JSON.stringify(actual) !== JSON.stringify(expected)) {
+                throw new Error(path + " is " + JSON.stringify(actual) + ", expected " + JSON.stringify(expected));
+            }
+        }
+    }
+
+    //
+    // Run a step with a time limit
+    // @param promise The promise of the step
+    // @param seconds The time limit
+    // @param what What is waited for (in the error message)
+    // @return the promise result
+    //
+    within(promise, seconds, what) {
+        var timer;
+        var timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error("no " + what + " within " + seconds + "s")), seconds * 1000);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    //
+    // Wait for the response to a CALL sent by the charge point
+    // @param action The OCPP action
+    // @param p The promise returned by the ChargePoint (null if the CALL could not be sent)
+    // @param seconds The time limit
+    // @return the CALLRESULT payload
+    //
+    async callResult(action, p, seconds) {
+        if (p === null) {
+            throw new Error(action + " not sent");
+        }
+        var payload = await this.within(p, seconds, action + " response");
+        this.takeEvent("result", action);
+        return payload;
+    }
+
+    //
+    // Run one step
+    // @param type The step type
+    // @param step The step (variables substituted)
+    // @param seconds The time given to the step
+    // @return the result of the step (checked against "expect")
+    //
+    async runStep(type, step, seconds) {
+        var cp = this._cp;
+        var c = Number(step[type]);
+        switch (type) {
+            case "connect":
+                cp.wsConnect(this._url, this._cpid);
+                return (await this.waitFor("result", ocpp.BOOT_NOTIFICATION, seconds)).payload;
+            case "disconnect":
+                cp.wsDisconnect();
+                return {};
+            case "call":
+                return this.callResult(step.call, cp.call(step.call, step.payload || {}), seconds);
+            case "authorize":
+                return this.callResult(ocpp.AUTHORIZE, cp.authorize(step.authorize), seconds);
+            case "plug":
+                if (!cp.plugIn(c)) {
+                    throw new Error("cannot plug in connector " + c);
+                }
+                return {};
+            case "unplug":
+                if (!cp.unplug(c)) {
+                    throw new Error("cannot unplug connector " + c);
+                }
+                return {};
+            case "start":
+                return this.callResult(ocpp.START_TRANSACTION, cp.startTransaction(step.idTag || "DEADBEEF", c), seconds);
+            case "stop":
+                var conn = cp.connector(c);
+                return this.callResult(ocpp.STOP_TRANSACTION, conn ? cp.stopTransaction(conn.transactionTag(), c) : null, seconds);
+            case "ramp":
+                return this.ramp(c, step.duration || 60, step.interval || 60, seconds);
+            case "wait":
+                await sleep(Number(step.wait) * 1000);
+                return {};
+            case "expectCall":
+                return (await this.waitFor("call", step.expectCall, seconds)).payload;
+            case "expectResult":
+                return (await this.waitFor("result", step.expectResult, seconds)).payload;
+            case "expectStatus":
+                if (cp.connectorStatus(c) != step.status) {
+                    throw new Error("connector " + c + " is " + cp.connectorStatus(c) + ", expected " + step.status);
+                }
+                return { "status": cp.connectorStatus(c) };
+        }
+    }
+
+    //
+    // Simulate charging on a connector, sending a MeterValues after each interval
+    // @param c connectorId
+    // @param duration The simulated duration (s)
+    // @param interval The simulated time between two MeterValues (s)
+    // @param seconds The time given to each MeterValues to be acknowledged
+    // @return {meterValue} the energy register at the end (Wh)
+    //
+    async ramp(c, duration, interval, seconds) {
+        var cp = this._cp;
+        if (cp.connectorStatus(c) != ocpp.CONN_CHARGING) {
+            throw new Error("connector " + c + " is not charging (" + cp.connectorStatus(c) + ")");
+        }
+        for (var t = 0; t < duration; t += interval) {
+            cp.meter(c).advance(Math.min(interval, duration - t));
+            await this.callResult(ocpp.METER_VALUES, cp.sendMeterValue(c), seconds);
+        }
+        return { "meterValue": cp.meterValue(c) };
+    }
+}
@@ -0,0 +1,205 @@
+"use strict";
+import * as ocpp from './ocpp_constants.js'
+import Storage from './ocpp_storage.js'
+import {
+    parseCertificate, splitChain, isValidAt, verifyCertificate, certificateHashData,
+    generateKeyPair, exportPrivateKey, createCsr, parseCsr, sameBytes
+} from './ocpp_pki.js'
+
+//
+// @param a A CertificateHashDataType
+// @param b A CertificateHashDataType
+// @return true if both identify the same certificate
+//
+function sameHashData(a, b) {
+    var serial = s => String(s).toLowerCase().replace(/^0+(?=.)/, "");
+    return a.hashAlgorithm == b.hashAlgorithm &&
+        String(a.issuerNameHash).toLowerCase() == String(b.issuerNameHash).toLowerCase() &&
+        String(a.issuerKeyHash).toLowerCase() == String(b.issuerKeyHash).toLowerCase() &&
+        serial(a.serialNumber) == serial(b.serialNumber);
+}
+
+//
+// Certificate store of the security extension (OCPP 1.6 Security Whitepaper, sections 3 and 4):
+// root certificates installed by InstallCertificate, and certificate of the charge point
+// obtained with SignCertificate / CertificateSigned (used as TLS client certificate by the security profile 3)
+// The certificates and the private keys are persistent (local storage)
+//
+export default class CertificateStore {
+
+    //
+    // Constructor
+    // @param storage The storage of the certificates
+    //
+    constructor(storage = new Storage()) {
+        this._storage = storage;
+        this._changeCb = null;
+    }
+
+    //
+    // Set the change callback, triggered when a certificate is installed or removed
+    // @param A callback function without argument
+    //
+    setChangeCallback(cb) {
+        this._changeCb = cb;
+    }
+
+    //
+    // @param certificateType CentralSystemRootCertificate or ManufacturerRootCertificate, all types if null
+    // @return the installed root certificates: list of {certificateType, certificate (PEM), certificateHashData}
+    //
+    installed(certificateType = null) {
+        var list = JSON.parse(this._storage.getKey(ocpp.KEY_INSTALLED_CERTIFICATES, "[]"));
+        return certificateType ? list.filter(c => c.certificateType == certificateType) : list;
+    }
+
+    //
+    // Save the installed root certificates
+    // @param list The list of {certificateType, certificate, certificateHashData}
+    //
+    save(list) {
+        this._storage.setKey(ocpp.KEY_INSTALLED_CERTIFICATES, JSON.stringify(list));
+        if (this._changeCb) {
+            this._changeCb();
+        }
+    }
+
+    //
+    // Install a root certificate (InstallCertificate), replacing the same certificate if already installed
+    // @param certificateType CentralSystemRootCertificate or ManufacturerRootCertificate
+    // @param pem The PEM of the certificate
+    // @param maxLength The maximum number of installed certificates (CertificateStoreMaxLength)
+    // @return a promise resolved with the status: Accepted, or Rejected when the certificate is invalid
+    //         or the store is full
+    //
+    async install(certificateType, pem, maxLength) {
+        var hashData;
+        try {
+            var cert = parseCertificate(pem);
+            if (!isValidAt(cert) || !ocpp.CERTIFICATE_TYPES.includes(certificateType)) {
+                return ocpp.CERTIFICATE_REJECTED;
+            }
+            hashData = await certificateHashData(pem);
+        }
+        catch (err) {
+            return ocpp.CERTIFICATE_REJECTED;
+        }
+        var list = this.installed().filter(c => !sameHashData(c.certificateHashData, hashData));
+        if (list.length >= maxLength) {
+            return ocpp.CERTIFICATE_REJECTED;
+        }
+        list.push({ "certificateType": certificateType, "certificate": pem, "certificateHashData": hashData });
+        this.save(list);
+        return ocpp.CERTIFICATE_ACCEPTED;
+    }
+
+    //
+    // Remove an installed root certificate (DeleteCertificate)
+    // @param hashData The CertificateHashDataType of the certificate (any hash algorithm)
+    // @return a promise resolved with the status: Accepted or NotFound
+    //
+    async remove(hashData) {
+        var list = this.installed();
+        for (var i = 0; i < list.length; i++) {
+            var installed = list[i].certificateHashData;
+            if (hashData.hashAlgorithm != installed.hashAlgorithm) {
+                installed = await certificateHashData(list[i].certificate, list[i].certificate, hashData.hashAlgorithm).catch(() => null);
+            }
+            if (installed && sameHashData(installed, hashData)) {
+                list.splice(i, 1);
+                this.save(list);
+                return ocpp.CERTIFICATE_ACCEPTED;
+            }
+        }
+        return ocpp.CERTIFICATE_NOT_FOUND;
+    }
+
+    //
+    // @return the PEM of the certificate chain of the charge point, null if none
+    //
+    chargePointCertificate() {
+        return this._storage.getKey(ocpp.KEY_CP_CERTIFICATE, null);
+    }
+
+    //
+    // @return the PEM of the private key of the charge point certificate, null if none
+    //
+    chargePointPrivateKey() {
+        return this._storage.getKey(ocpp.KEY_CP_PRIVATE_KEY, null);
+    }
+
+    //
+    // Generate a new key pair and the certificate signing request of the charge point (SignCertificate),
+    // the private key being kept until the signed certificate is received
+    // @param subject {commonName, organization} (charge point id and CpoName)
+    // @return a promise resolved with the PEM of the CSR
+    //
+    async createCsr(subject) {
+        var keyPair = await generateKeyPair();
+        var csr = await createCsr(keyPair, subject);
+        this._storage.setKey(ocpp.KEY_PENDING_CSR, JSON.stringify({
+            "csr": csr,
+            "privateKey": await exportPrivateKey(keyPair.privateKey)
+        }));
+        return csr;
+    }
+
+    //
+    // Install the certificate chain signed from the last CSR (CertificateSigned): the chain must be valid
+    // (each certificate signed by the next one) and its first certificate must hold the key of the CSR
+    // @param chain The PEM of the certificate chain
+    // @return a promise resolved once the certificate is installed, rejected with the reason if it is invalid
+    //
+    async setChargePointCertificate(chain) {
+        var pending = JSON.parse(this._storage.getKey(ocpp.KEY_PENDING_CSR, "null"));
+        if (pending === null) {
+            throw new Error("No pending certificate signing request");
+        }
+        var pems = splitChain(chain);
+        if (pems.length == 0) {
+            throw new Error("No certificate in the chain");
+        }
+        var leaf = parseCertificate(pems[0]);
+        if (!sameBytes(leaf.publicKey, parseCsr(pending.csr).publicKey)) {
+            throw new Error("The certificate does not match the key of the signing request");
+        }
+        for (var i = 0; i < pems.length; i++) {
+            if (!isValidAt(parseCertificate(pems[i]))) {
+                throw new Error("Certificate " + i + " of the chain is expired or not yet valid");
+            }
+            if (i + 1 < pems.length && !(await verifyCertificate(pems[i], pems[i + 1]))) {
+                throw new Error("Certificate " + i + " of the chain is not signed by the next one");
+            }
+        }
+        this._storage.setKey(ocpp.KEY_CP_CERTIFICATE, chain);
+        this._storage.setKey(ocpp.KEY_CP_PRIVATE_KEY, pending.privateKey);
+        this._storage.setKey(ocpp.KEY_PENDING_CSR, "null");
+        if (this._changeCb) {
+            this._changeCb();
+        }
+    }
+
+    //
+    // Check a certificate against the installed root certificates of a type
+    // (e.g. the signing certificate of a SignedUpdateFirmware against the ManufacturerRootCertificates)
+    // @param pem The PEM of the certificate
+    // @param certificateType The type of the roots
+    // @return a promise resolved with true if the certificate is valid and issued by one of the roots
+    //
+    async isTrusted(pem, certificateType) {
+        try {
+            if (!isValidAt(parseCertificate(pem))) {
+                return false;
+            }
+        }
+        catch (err) {
+            return false;
+        }
+        for (const root of this.installed(certificateType)) {
+            if (await verifyCertificate(pem, root.certificate)) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
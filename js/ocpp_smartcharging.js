@@ -0,0 +1,311 @@
+"use strict";
+import * as ocpp from './ocpp_constants.js'
+import Storage from './ocpp_storage.js'
+
+// length of a recurrence cycle (ms)
+const RECURRENCY_MS = {
+    [ocpp.RECURRENCY_DAILY]: 24 * 3600 * 1000,
+    [ocpp.RECURRENCY_WEEKLY]: 7 * 24 * 3600 * 1000
+};
+
+//
+// Convert a limit of a charging schedule to W
+// @param limit The limit of a chargingSchedulePeriod
+// @param unit The chargingRateUnit of the schedule (W or A)
+// @param numberPhases The numberPhases of the period (the phases of the meter if not given)
+// @param electrical {voltage, phases} of the simulated meter
+//
+function toWatts(limit, unit, numberPhases, electrical) {
+    if (unit == ocpp.RATE_UNIT_CURRENT) {
+        return limit * electrical.voltage * (numberPhases || electrical.phases);
+    }
+    return limit;
+}
+
+//
+// @param profile A csChargingProfiles object
+// @param time The time (ms)
+// @param txStart The start of the transaction (ms), null if none
+// @return the start of the schedule applying at the given time (ms), null if the schedule did not start
+//
+function scheduleStart(profile, time, txStart) {
+    var schedule = profile.chargingSchedule;
+    switch (profile.chargingProfileKind) {
+        case ocpp.KIND_RELATIVE:
+            return txStart;
+        case ocpp.KIND_RECURRING:
+            var first = new Date(schedule.startSchedule).getTime();
+            var cycle = RECURRENCY_MS[profile.recurrencyKind];
+            if (isNaN(first) || !cycle || time < first) {
+                return null;
+            }
+            return first + Math.floor((time - first) / cycle) * cycle;
+        default:
+            var start = new Date(schedule.startSchedule).getTime();
+            return isNaN(start) ? null : start;
+    }
+}
+
+//
+// @param profile A csChargingProfiles object
+// @param time The time (ms)
+// @return true if the time is within the validFrom / validTo period of the profile
+//
+function isValidAt(profile, time) {
+    if (profile.validFrom && time < new Date(profile.validFrom).getTime()) {
+        return false;
+    }
+    if (profile.validTo && time >= new Date(profile.validTo).getTime()) {
+        return false;
+    }
+    return true;
+}
+
+//
+// Store of the charging profiles installed by SetChargingProfile (OCPP 1.6 section 3.13)
+// The profiles are persistent (local storage), each one attached to a connector
+// (0 for the charge point as a whole, or for a TxDefaultProfile applying to every connector)
+// All the limits computed here are in W, the schedules in A being converted with the meter voltage
+//
+export default class ChargingProfiles {
+
+    //
+    // Constructor
+    // @param storage The storage of the profiles
+    //
+    constructor(storage = new Storage()) {
+        this._storage = storage;
+        this._changeCb = null;
+    }
+
+    //
+    // Set the change callback, triggered when a profile is installed or removed
+    // @param A callback function without argument
+    //
+    setChangeCallback(cb) {
+        this._changeCb = cb;
+    }
+
+    //
+    // @return the installed profiles: list of {connectorId, profile} (profile being a csChargingProfiles object)
+    //
+    installed() {
+        return JSON.parse(this._storage.getKey(ocpp.KEY_CHARGING_PROFILES, "[]"));
+    }
+
+    //
+    // Save the installed profiles
+    // @param list The list of {connectorId, profile}
+    //
+    save(list) {
+        this._storage.setKey(ocpp.KEY_CHARGING_PROFILES, JSON.stringify(list));
+        if (this._changeCb) {
+            this._changeCb();
+        }
+    }
+
+    //
+    // Install a profile, replacing the profile with the same chargingProfileId, and the profile
+    // of the same connector with the same stackLevel and chargingProfilePurpose
+    // @param connectorId The connector of the profile
+    // @param profile The csChargingProfiles object
+    //
+    install(connectorId, profile) {
+        var list = this.installed().filter(p => p.profile.chargingProfileId != profile.chargingProfileId &&
+            !(p.connectorId == connectorId && p.profile.stackLevel == profile.stackLevel &&
+                p.profile.chargingProfilePurpose == profile.chargingProfilePurpose));
+        list.push({ "connectorId": Number(connectorId), "profile": profile });
+        this.save(list);
+    }
+
+    //
+    // Remove the profiles matching all the given criteria (ClearChargingProfile)
+    // @param criteria {id, connectorId, chargingProfilePurpose, stackLevel}, all optional
+    //        (when the id is given, the other criteria are ignored)
+    // @return the number of removed profiles
+    //
+    clear(criteria = {}) {
+        var matches = function (p) {
+            if (criteria.id !== undefined && criteria.id !== null) {
+                return p.profile.chargingProfileId == criteria.id;
+            }
+            return (criteria.connectorId === undefined || criteria.connectorId === null || p.connectorId == criteria.connectorId) &&
+                (!criteria.chargingProfilePurpose || p.profile.chargingProfilePurpose == criteria.chargingProfilePurpose) &&
+                (criteria.stackLevel === undefined || criteria.stackLevel === null || p.profile.stackLevel == criteria.stackLevel);
+        };
+        var list = this.installed();
+        var kept = list.filter(p => !matches(p));
+        if (kept.length != list.length) {
+            this.save(kept);
+        }
+        return list.length - kept.length;
+    }
+
+    //
+    // Limit of one profile at a given time
+    // @param profile A csChargingProfiles object
+    // @param time The time (ms)
+    // @param context {voltage, phases, transactionStart}
+    // @return the limit (W), null if the profile does not apply at that time
+    //
+    profileLimit(profile, time, context) {
+        if (!isValidAt(profile, time)) {
+            return null;
+        }
+        var start = scheduleStart(profile, time, context.transactionStart);
+        var schedule = profile.chargingSchedule;
+        if (start === null || time < start) {
+            return null;
+        }
+        var offset = (time - start) / 1000;
+        if (schedule.duration && offset >= schedule.duration) {
+            return null;
+        }
+        var period = null;
+        for (const p of schedule.chargingSchedulePeriod) {
+            if (p.startPeriod <= offset && (period === null || p.startPeriod >= period.startPeriod)) {
+                period = p;
+            }
+        }
+        return period === null ? null : toWatts(period.limit, schedule.chargingRateUnit, period.numberPhases, context);
+    }
+
+    //
+    // Limit of the profiles with the given purpose: the profile with the highest stackLevel
+    // applying at that time wins
+    // @param connectorIds The connectors whose profiles are considered
+    // @param purpose The chargingProfilePurpose
+    // @param time The time (ms)
+    // @param context {voltage, phases, transactionStart}
+    // @return the limit (W), null if no profile applies
+    //
+    purposeLimit(connectorIds, purpose, time, context) {
+        var profiles = this.installed()
+            .filter(p => connectorIds.includes(p.connectorId) && p.profile.chargingProfilePurpose == purpose)
+            .sort((a, b) => b.profile.stackLevel - a.profile.stackLevel);
+        for (const p of profiles) {
+            var limit = this.profileLimit(p.profile, time, context);
+            if (limit !== null) {
+                return limit;
+            }
+        }
+        return null;
+    }
+
+    //
+    // Limit of a connector: its TxProfile, or else its TxDefaultProfile (the one of the connector
+    // overriding the one of the charge point)
+    // @param connectorId The connector id (> 0)
+    // @param time The time (ms)
+    // @param context {voltage, phases, transactionStart}
+    // @return the limit (W), null if no profile applies
+    //
+    connectorLimit(connectorId, time, context) {
+        var limit = this.purposeLimit([connectorId], ocpp.PURPOSE_TX, time, context);
+        if (limit === null) {
+            limit = this.purposeLimit([connectorId], ocpp.PURPOSE_TX_DEFAULT, time, context);
+        }
+        if (limit === null) {
+            limit = this.purposeLimit([0], ocpp.PURPOSE_TX_DEFAULT, time, context);
+        }
+        return limit;
+    }
+
+    //
+    // Limit of the charge point as a whole (ChargePointMaxProfile)
+    // @param time The time (ms)
+    // @param context {voltage, phases}
+    // @return the limit (W), null if no profile applies
+    //
+    chargePointLimit(time, context) {
+        return this.purposeLimit([0], ocpp.PURPOSE_CHARGE_POINT_MAX, time, Object.assign({ "transactionStart": null }, context));
+    }
+
+    //
+    // Times at which the limit of a profile may change within a time window
+    // @param profile A csChargingProfiles object
+    // @param from The start of the window (ms)
+    // @param to The end of the window (ms)
+    // @param txStart The start of the transaction (ms), null if none
+    // @return the list of times (ms)
+    //
+    changeTimes(profile, from, to, txStart) {
+        var times = [];
+        var schedule = profile.chargingSchedule;
+        var add = function (start) {
+            if (start === null) {
+                return;
+            }
+            times.push(start);
+            for (const p of schedule.chargingSchedulePeriod) {
+                times.push(start + p.startPeriod * 1000);
+            }
+            if (schedule.duration) {
+                times.push(start + schedule.duration * 1000);
+            }
+        };
+        if (profile.chargingProfileKind == ocpp.KIND_RECURRING && RECURRENCY_MS[profile.recurrencyKind]) {
+            for (var t = from; t < to + RECURRENCY_MS[profile.recurrencyKind]; t += RECURRENCY_MS[profile.recurrencyKind]) {
+                add(scheduleStart(profile, t, txStart));
+            }
+        }
+        else {
+            add(scheduleStart(profile, from, txStart));
+        }
+        for (const date of [profile.validFrom, profile.validTo]) {
+            if (date) {
+                times.push(new Date(date).getTime());
+            }
+        }
+        return times.filter(t => t > from && t < to);
+    }
+
+    //
+    // Compute the composite schedule of a connector (GetCompositeSchedule): the limit of the
+    // connector (or of the charge point for connector 0), capped by the ChargePointMaxProfile
+    // @param connectorId The connector id (0 for the charge point)
+    // @param start The start of the schedule (ms)
+    // @param duration The duration of the schedule (s)
+    // @param unit The chargingRateUnit of the result (W or A)
+    // @param context {voltage, phases, transactionStart, maxPower}, maxPower being the limit
+    //        when no profile applies (W), the Relative schedules starting with the composite schedule
+    //        when there is no transaction
+    // @return the chargingSchedule object
+    //
+    compositeSchedule(connectorId, start, duration, unit, context) {
+        var end = start + duration * 1000;
+        var times = [start];
+        for (const p of this.installed()) {
+            if (p.connectorId == connectorId || p.connectorId == 0) {
+                times = times.concat(this.changeTimes(p.profile, start, end, context.transactionStart));
+            }
+        }
+        times = Array.from(new Set(times)).sort((a, b) => a - b);
+        var periods = [];
+        for (const t of times) {
+            var limit = this.chargePointLimit(t, context);
+            if (connectorId > 0) {
+                var connLimit = this.connectorLimit(connectorId, t, context);
+                if (connLimit !== null) {
+                    limit = limit === null ? connLimit : Math.min(limit, connLimit);
+                }
+            }
+            if (limit === null) {
+                limit = context.maxPower;
+            }
+            if (unit == ocpp.RATE_UNIT_CURRENT) {
+                limit = limit / (context.voltage * context.phases);
+            }
+            limit = Math.round(limit * 10) / 10;
+            if (periods.length == 0 || periods[periods.length - 1].limit != limit) {
+                periods.push({ "startPeriod": Math.round((t - start) / 1000), "limit": limit });
+            }
+        }
+        return {
+            "duration": duration,
+            "startSchedule": new Date(start).toISOString(),
+            "chargingRateUnit": unit,
+            "chargingSchedulePeriod": periods
+        };
+    }
+}
@@ -0,0 +1,100 @@
+"use strict";
+
+//
+// Storage helpers
+// Volatile state (status, transactions...) goes to the session storage,
+// persistent state (availability, settings...) goes to the local storage
+// Any object implementing getItem/setItem/removeItem (as the Web Storage API does)
+// can be used as backend, so that the charge point can also run outside of a browser
+//
+
+//
+// In-memory backend (Web Storage API subset), its content is lost when the process ends
+//
+export class MemoryStorage {
+    constructor() {
+        this._items = new Map();
+    }
+
+    getItem(key) {
+        return this._items.has(key) ? this._items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this._items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this._items.delete(key);
+    }
+}
+
+//
+// Session and local storage of a charge point
+//
+export default class Storage {
+
+    //
+    // Constructor
+    // @param session The backend of the volatile state (sessionStorage by default)
+    // @param local The backend of the persistent state (localStorage by default)
+    // @param prefix Optional prefix of all the keys (to share a backend between several charge points)
+    //
+    constructor(session = globalThis.sessionStorage, local = globalThis.localStorage, prefix = "") {
+        this._session = session;
+        this._local = local;
+        this._prefix = prefix;
+    }
+
+    //
+    // Store a key value in session storage
+    // @param key The key name
+    // @param value The key value
+    //
+    setSessionKey(key, value) {
+        this._session.setItem(this._prefix + key, value)
+    }
+
+    //
+    // Get a key value from session storage
+    // @param key The key name
+    // @return The key value
+    //
+    getSessionKey(key, default_value = "") {
+        var v = this._session.getItem(this._prefix + key);
+        if (!v) {
+            v = default_value;
+        }
+        return v
+    }
+
+    //
+    // Remove a key from session storage
+    // @param key The key name
+    //
+    removeSessionKey(key) {
+        this._session.removeItem(this._prefix + key)
+    }
+
+    //
+    // Store a key value in local storage
+    // @param key The key name
+    // @param value The key value
+    //
+    setKey(key, value) {
+        this._local.setItem(this._prefix + key, value)
+    }
+
+    //
+    // Get a key value from local storage
+    // @param key The key name
+    // @return The key value
+    //
+    getKey(key, default_value = "") {
+        var v = this._local.getItem(this._prefix + key);
+        if (!v) {
+            v = default_value;
+        }
+        return v
+    }
+}
@@ -0,0 +1,379 @@
+"use strict";
+import * as ocpp from './ocpp_constants.js'
+import Storage from './ocpp_storage.js'
+
+//
+// Decode a message sent or received on the websocket
+// @param data The text of the message
+// @return {messageType, messageId, action, payload, errorCode, errorDescription}, messageType being
+//         Malformed (and the other fields missing) if the text is not an OCPP-J message
+//
+export function parseFrame(data) {
+    var frame = null;
+    try {
+        frame = JSON.parse(data);
+    }
+    catch (err) {
+        frame = null;
+    }
+    var type = Array.isArray(frame) ? ocpp.MESSAGE_TYPES[frame[0]] : undefined;
+    if (!type || typeof frame[1] != "string") {
+        return { "messageType": ocpp.MESSAGE_MALFORMED };
+    }
+    var message = { "messageType": type, "messageId": frame[1] };
+    switch (type) {
+        case ocpp.MESSAGE_CALL:
+            message["action"] = frame[2];
+            message["payload"] = frame[3];
+            break;
+        case ocpp.MESSAGE_CALLRESULT:
+            message["payload"] = frame[2];
+            break;
+        default:
+            message["errorCode"] = frame[2];
+            message["errorDescription"] = frame[3];
+            message["payload"] = frame[4];
+            break;
+    }
+    return message;
+}
+
+//
+// @param payload The payload of a message
+// @return the connector id given in the payload (connectorId, evseId or evse of OCPP 2.0.1), null if none
+//
+function payloadConnector(payload) {
+    if (payload === null || typeof payload != "object") {
+        return null;
+    }
+    for (const id of [payload.connectorId, payload.evseId, payload.evse ? payload.evse.id : undefined]) {
+        if (Number.isInteger(id)) {
+            return id;
+        }
+    }
+    return null;
+}
+
+//
+// @param payload The payload of a message
+// @return the transaction id given in the payload, null if none
+//
+function payloadTransaction(payload) {
+    if (payload === null || typeof payload != "object") {
+        return null;
+    }
+    if (payload.transactionId !== undefined) {
+        return payload.transactionId;
+    }
+    return payload.transactionInfo ? payload.transactionInfo.transactionId : null;
+}
+
+//
+// Trace of the messages exchanged with the OCPP server
+// Each message is stored as a record:
+//   {seq, timestamp, direction, messageType, messageId, action, connectorId, payload,
+//    errorCode, errorDescription, raw, requestSeq, responseSeq, latency}
+// direction: send or receive, messageType: CALL, CALLRESULT, CALLERROR or Malformed (the text being
+// kept in raw), the responses being correlated with their CALL (requestSeq / responseSeq, latency in ms
+// on both records) and taking its action and connector
+// The trace is kept in the session storage (it survives a reload of the page, being written at most
+// every TRACE_SAVE_DELAY_MS), limited to the last TRACE_MAX_RECORDS messages, and can be exported as
+// JSON Lines or as a HAR-like document. It can be disabled (the stations of a fleet keep no trace)
+//
+export default class MessageTrace {
+
+    //
+    // Constructor
+    // @param storage The storage of the trace
+    // @param transactionConnector A function returning the connector id of a transaction id (null if unknown),
+    //        for the messages only giving a transaction id (StopTransaction...)
+    //
+    constructor(storage = new Storage(), transactionConnector = () => null) {
+        this._storage = storage;
+        this._transactionConnector = transactionConnector;
+        this._records = null;
+        this._changeCb = null;
+        this._enabled = true;
+        this._saveTimer = null;
+    }
+
+    //
+    // Enable or disable the recording of the messages
+    // @param enabled false to stop recording (the records are kept)
+    //
+    setEnabled(enabled) {
+        this._enabled = enabled;
+    }
+
+    //
+    // Set the change callback, triggered when a record is added or the trace is cleared / imported
+    // @param A callback function without argument
+    //
+    setChangeCallback(cb) {
+        this._changeCb = cb;
+    }
+
+    //
+    // @return the records of the trace, oldest first
+    //
+    records() {
+        if (this._records === null) {
+            this._records = JSON.parse(this._storage.getSessionKey(ocpp.KEY_MESSAGE_TRACE, "[]"));
+        }
+        return this._records;
+    }
+
+    //
+    // Record a message
+    // @param direction send or receive
+    // @param data The text of the message
+    // @return the record, null if the trace is disabled
+    //
+    record(direction, data) {
+        if (!this._enabled) {
+            return null;
+        }
+        var message = parseFrame(data);
+        var record = Object.assign({ "timestamp": new Date().toISOString(), "direction": direction }, message);
+        if (message.messageType == ocpp.MESSAGE_MALFORMED) {
+            record["raw"] = String(data);
+        }
+        record = this.add(record);
+        this.changed();
+        return record;
+    }
+
+    //
+    // Add a record to the trace, correlating a response with its CALL
+    // @param record The record, without seq
+    // @return the stored record
+    //
+    add(record) {
+        var records = this.records();
+        record = Object.assign({ "seq": records.length ? records[records.length - 1].seq + 1 : 1 }, record);
+        if (record.connectorId === undefined) {
+            record.connectorId = payloadConnector(record.payload);
+        }
+        if (record.messageType == ocpp.MESSAGE_CALLRESULT || record.messageType == ocpp.MESSAGE_CALLERROR) {
+            var call = null;
+            for (var i = records.length - 1; i >= 0 && !call; i--) {
+                var r = records[i];
+                if (r.messageType == ocpp.MESSAGE_CALL && r.messageId == record.messageId &&
+                    r.direction != record.direction && r.responseSeq === undefined) {
+                    call = r;
+                }
+            }
+            if (call) {
+                var latency = Math.max(0, Date.parse(record.timestamp) - Date.parse(call.timestamp));
+                call.responseSeq = record.seq;
+                call.latency = latency;
+                record.requestSeq = call.seq;
+                record.latency = latency;
+                record.action = call.action;
+                if (record.connectorId === null) {
+                    record.connectorId = call.connectorId;
+                }
+            }
+        }
+        if (record.connectorId === null) {
+            var transactionId = payloadTransaction(record.payload);
+            record.connectorId = transactionId !== null ? this._transactionConnector(transactionId) : null;
+        }
+        records.push(record);
+        if (records.length > ocpp.TRACE_MAX_RECORDS) {
+            records.splice(0, records.length - ocpp.TRACE_MAX_RECORDS);
+        }
+        return record;
+    }
+
+    //
+    // Schedule the storage of the trace and trigger the change callback
+    //
+    changed() {
+        if (this._saveTimer === null) {
+            this._saveTimer = setTimeout(() => {
+                this._saveTimer = null;
+                this.save();
+            }, ocpp.TRACE_SAVE_DELAY_MS);
+        }
+        if (this._changeCb) {
+            this._changeCb();
+        }
+    }
+
+    //
+    // Write the trace to the session storage
+    // When the storage is full, the oldest half of the trace is dropped, then the whole trace
+    //
+    save() {
+        var records = this.records();
+        try {
+            this._storage.setSessionKey(ocpp.KEY_MESSAGE_TRACE, JSON.stringify(records));
+            return;
+        }
+        catch (err) {
+            records.splice(0, Math.ceil(records.length / 2));
+        }
+        try {
+            this._storage.setSessionKey(ocpp.KEY_MESSAGE_TRACE, JSON.stringify(records));
+        }
+        catch (err) {
+            records.splice(0, records.length);
+            this._storage.removeSessionKey(ocpp.KEY_MESSAGE_TRACE);
+        }
+    }
+
+    //
+    // @param filter {action, connectorId}: the records of an action and / or of a connector
+    //        (null or empty for all of them)
+    // @return the matching records
+    //
+    filter(filter = {}) {
+        var action = filter.action || null;
+        var connectorId = filter.connectorId === undefined || filter.connectorId === null || filter.connectorId === "" ?
+            null : Number(filter.connectorId);
+        return this.records().filter(r => (action === null || r.action == action) &&
+            (connectorId === null || r.connectorId === connectorId));
+    }
+
+    //
+    // @return the actions found in the trace, sorted
+    //
+    actions() {
+        return [...new Set(this.records().filter(r => r.action).map(r => r.action))].sort();
+    }
+
+    //
+    // Remove all the records
+    //
+    clear() {
+        this._records = [];
+        this.changed();
+    }
+
+    //
+    // @param format jsonl or har
+    // @param records The records to export (all of them by default)
+    // @return the text of the export
+    //
+    export(format = ocpp.TRACE_FORMAT_JSONL, records = this.records()) {
+        switch (format) {
+            case ocpp.TRACE_FORMAT_JSONL:
+                return records.map(r => JSON.stringify(r)).join("\n") + (records.length ? "\n" : "");
+            case ocpp.TRACE_FORMAT_HAR:
+                return JSON.stringify(this.har(records), null, 2);
+            default:
+                throw new Error("Unknown trace format: " + format);
+        }
+    }
+
+    //
+    // Build a HAR-like document: one entry per CALL (request) with its response, if any;
+    // the responses without CALL and the malformed messages are entries without response
+    // @param records The records
+    // @return the document {log: {version, creator, entries}}
+    //
+    har(records) {
+        var bySeq = new Map(records.map(r => [r.seq, r]));
+        var entries = [];
+        for (const r of records) {
+            if (r.requestSeq !== undefined && bySeq.has(r.requestSeq)) {
+                continue;
+            }
+            var response = r.responseSeq !== undefined ? bySeq.get(r.responseSeq) : undefined;
+            var entry = {
+                "startedDateTime": r.timestamp,
+                "time": r.latency !== undefined ? r.latency : -1,
+                "connectorId": r.connectorId,
+                "request": {
+                    "direction": r.direction,
+                    "messageType": r.messageType,
+                    "messageId": r.messageId,
+                    "action": r.action,
+                    "payload": r.payload
+                },
+                "response": null
+            };
+            for (const field of ["errorCode", "errorDescription", "raw"]) {
+                if (r[field] !== undefined) {
+                    entry.request[field] = r[field];
+                }
+            }
+            if (response) {
+                entry.response = {
+                    "timestamp": response.timestamp,
+                    "direction": response.direction,
+                    "messageType": response.messageType,
+                    "payload": response.payload
+                };
+                if (response.messageType == ocpp.MESSAGE_CALLERROR) {
+                    entry.response["errorCode"] = response.errorCode;
+                    entry.response["errorDescription"] = response.errorDescription;
+                }
+            }
+            entries.push(entry);
+        }
+        return { "log": { "version": "1.2", "creator": { "name": "OCPP ChargePoint Simulator" }, "entries": entries } };
+    }
+
+    //
+    // Decode a trace exported as JSON Lines or as a HAR-like document
+    // @param text The text of the export
+    // @return the records (without seq and correlation), oldest first
+    // @throw an Error if the text is not a trace
+    //
+    static parse(text) {
+        var doc = null;
+        try {
+            doc = JSON.parse(text);
+        }
+        catch (err) {
+            doc = null;
+        }
+        var records = [];
+        if (doc && doc.log && Array.isArray(doc.log.entries)) {
+            for (const entry of doc.log.entries) {
+                var request = Object.assign({ "timestamp": entry.startedDateTime, "connectorId": entry.connectorId }, entry.request);
+                records.push(request);
+                if (entry.response) {
+                    records.push(Object.assign({ "messageId": request.messageId, "connectorId": entry.connectorId }, entry.response));
+                }
+            }
+        }
+        else {
+            var lines = String(text).split("\n").map(l => l.trim()).filter(l => l);
+            lines.forEach((line, i) => {
+                try {
+                    records.push(JSON.parse(line));
+                }
+                catch (err) {
+                    throw new Error("Line " + (i + 1) + " is not a trace record: " + err.message);
+                }
+            });
+        }
+        for (const r of records) {
+            if (!r || !r.timestamp || !r.direction || !r.messageType) {
+                throw new Error("Not a message trace (timestamp, direction and messageType expected)");
+            }
+            for (const field of ["seq", "requestSeq", "responseSeq", "latency"]) {
+                delete r[field];
+            }
+        }
+        return records.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+    }
+
+    //
+    // Replace the trace with an export
+    // @param text The text of the export (JSON Lines or HAR-like)
+    // @return the number of imported records
+    //
+    importTrace(text) {
+        var records = MessageTrace.parse(text);
+        this._records = [];
+        for (const r of records) {
+            this.add(r);
+        }
+        this.changed();
+        return this._records.length;
+    }
+}
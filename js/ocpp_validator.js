@@ -0,0 +1,183 @@
+"use strict";
+import * as ocpp from './ocpp_constants.js'
+
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+const URI = /^[a-zA-Z][a-zA-Z0-9+.-]*:\S*$/;
+
+//
+// @return the JSON schema type name of a value
+//
+function typeOf(value) {
+    if (value === null) {
+        return "null";
+    }
+    if (Array.isArray(value)) {
+        return "array";
+    }
+    if (typeof value == "number") {
+        return Number.isInteger(value) ? "integer" : "number";
+    }
+    return typeof value;
+}
+
+//
+// Validate a value against a (draft-04) JSON schema
+// Only the keywords used by the OCPP schemas are supported
+// @param schema The schema
+// @param value The value to check
+// @param path The path of the value in the payload (for error reporting)
+// @param errors The list the errors are appended to: {path, keyword, message}
+//
+function check(schema, value, path, errors) {
+    var error = function (keyword, message) {
+        errors.push({ "path": path, "keyword": keyword, "message": message });
+    };
+
+    if (schema.type) {
+        var types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        var t = typeOf(value);
+        if (!types.includes(t) && !(t == "integer" && types.includes("number"))) {
+            error("type", "should be " + types.join(" or ") + " (got " + t + ")");
+            return;
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        error("enum", "should be one of " + schema.enum.join(", "));
+    }
+    if (typeof value == "string") {
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            error("maxLength", "should not be longer than " + schema.maxLength + " characters");
+        }
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            error("minLength", "should not be shorter than " + schema.minLength + " characters");
+        }
+        if (schema.format == "date-time" && !DATE_TIME.test(value)) {
+            error("format", "should be a date-time");
+        }
+        if (schema.format == "uri" && !URI.test(value)) {
+            error("format", "should be an uri");
+        }
+    }
+    if (typeof value == "number") {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            error("minimum", "should be >= " + schema.minimum);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            error("maximum", "should be <= " + schema.maximum);
+        }
+        // rounding to avoid floating point artefacts (e.g. 0.3 / 0.1)
+        if (schema.multipleOf !== undefined && Math.abs(Math.round(value / schema.multipleOf) * schema.multipleOf - value) > 1e-9) {
+            error("multipleOf", "should be a multiple of " + schema.multipleOf);
+        }
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            error("minItems", "should have at least " + schema.minItems + " items");
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            error("maxItems", "should have at most " + schema.maxItems + " items");
+        }
+        if (schema.items) {
+            value.forEach((item, i) => check(schema.items, item, path + "[" + i + "]", errors));
+        }
+    }
+    if (typeOf(value) == "object") {
+        var properties = schema.properties || {};
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) {
+                error("required", "missing required property " + name);
+            }
+        }
+        for (const name of Object.keys(value)) {
+            if (properties[name]) {
+                check(properties[name], value[name], path + "." + name, errors);
+            }
+            else if (schema.additionalProperties === false) {
+                error("additionalProperties", "unexpected property " + name);
+            }
+        }
+    }
+}
+
+//
+// Map a schema violation to the matching CALLERROR code (OCPP-J 4.2.3)
+// @param keyword The JSON schema keyword that failed
+// @return the OCPP error code
+//
+export function errorCodeFor(keyword) {
+    switch (keyword) {
+        case "type":
+            return ocpp.ERROR_TYPE_CONSTRAINT;
+        case "required":
+            return ocpp.ERROR_OCCURENCE_CONSTRAINT;
+        case "additionalProperties":
+            return ocpp.ERROR_FORMATION;
+        default:
+            return ocpp.ERROR_PROPERTY_CONSTRAINT;
+    }
+}
+
+//
+//
+// Validator class
+// Checks the OCPP payloads against the JSON schemas of the json/ folder
+// (<Action>.txt for requests, <Action>Response.txt for responses)
+//
+//
+export default class Validator {
+
+    constructor() {
+        this._schemas = new Map();
+    }
+
+    //
+    // Load the schemas of all the OCPP 1.6 messages
+    // @param loader An async function returning the parsed schema for a given name (e.g. "AuthorizeResponse")
+    // @return a promise resolved once all schemas are loaded (missing schemas are skipped)
+    //
+    async loadSchemas(loader) {
+        var names = [];
+        for (const action of ocpp.OCPP16_ACTIONS) {
+            names.push(action, action + "Response");
+        }
+        await Promise.all(names.map(async (name) => {
+            try {
+                this.addSchema(name, await loader(name));
+            }
+            catch (err) {
+                console.log("Cannot load schema " + name + ": " + err);
+            }
+        }));
+    }
+
+    //
+    // @param name The schema name ("Authorize", "AuthorizeResponse"...)
+    // @param schema The parsed JSON schema
+    //
+    addSchema(name, schema) {
+        this._schemas.set(name, schema);
+    }
+
+    //
+    // @param name The schema name
+    // @return true if the schema is known
+    //
+    hasSchema(name) {
+        return this._schemas.has(name);
+    }
+
+    //
+    // Validate a payload
+    // @param name The schema name ("Authorize" for the request, "AuthorizeResponse" for the response)
+    // @param payload The payload to check
+    // @return the list of violations ({path, keyword, message}), empty if valid or no schema is known
+    //
+    validate(name, payload) {
+        var errors = [];
+        var schema = this._schemas.get(name);
+        if (schema) {
+            check(schema, payload, "$", errors);
+        }
+        return errors;
+    }
+}
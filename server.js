@@ -1,37 +1,257 @@
+// Web server of the simulator, and mock OCPP 1.6 Central System for the development without a real server
+// Usage: node server.js [options], "node server.js --help" to list them
+//   http://localhost:3000/           the simulator
+//   http://localhost:3000/admin      the admin page of the Central System
+//   ws://localhost:3000/ocpp/<id>    the OCPP endpoint of the Central System (WSURL ws://localhost:3000/ocpp/)
+//   http://localhost:3000/api/...    the REST API of the Central System (see README)
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
+const { WebSocketServer } = require('ws');
 
-const server = http.createServer((req, res) => {
-  // Handle the root path and serve index.html
-  if (req.url === '/' || req.url === '/index.html') {
-    const filePath = path.join(__dirname, 'index.html');
-    fs.readFile(filePath, (err, data) => {
-      if (err) {
-        res.writeHead(500, { 'Content-Type': 'text/plain' });
-        res.end('Internal Server Error');
-      } else {
-        res.writeHead(200, { 'Content-Type': 'text/html' });
-        res.end(data);
+const USAGE = `Usage: node server.js [options]
+  -p, --port <n>            port of the web server and of the Central System (default $PORT or 3000)
+      --tags <list>         idTags authorized by the Central System, comma separated (default: every idTag)
+      --heartbeat <s>       heartbeat interval given to the charge points (default 300)
+      --ca <folder>         folder of the CA created by ca.js, to sign the certificates of the charge points
+  -h, --help                show this help`;
+
+// static files: URL prefix -> content type (the folders have the name of the prefix)
+const STATIC_FOLDERS = {
+  '/js/': 'text/javascript',
+  '/json/': 'application/json',
+  '/node_modules/luxon/': 'text/javascript'
+};
+
+// path of the OCPP endpoint, followed by the charge point id
+const OCPP_PATH = '/ocpp/';
+
+// files received by the stand-in upload endpoint (GetDiagnostics)
+const UPLOAD_DIR = path.join(__dirname, 'uploads');
+
+// Extract the uploaded file from a POST (multipart/form-data) or PUT request
+function parseUpload(req, body) {
+  const m = /boundary=(?:"([^"]+)"|([^;]+))/.exec(req.headers['content-type'] || '');
+  if (!m) {
+    return { name: path.basename(req.url) || 'upload_' + Date.now(), data: body };
+  }
+  const boundary = Buffer.from('--' + (m[1] || m[2]));
+  let start = body.indexOf(boundary);
+  while (start >= 0) {
+    const next = body.indexOf(boundary, start + boundary.length);
+    if (next < 0) {
+      break;
+    }
+    const part = body.subarray(start + boundary.length + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const name = /filename="([^"]*)"/.exec(part.subarray(0, headerEnd).toString());
+    if (name) {
+      return { name: path.basename(name[1]), data: part.subarray(headerEnd + 4) };
+    }
+    start = next;
+  }
+  return null;
+}
+
+// Send a file of the simulator
+function serveFile(res, file, type) {
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('File not found');
+    } else {
+      res.writeHead(200, { 'Content-Type': type });
+      res.end(data);
+    }
+  });
+}
+
+// Decode a component of a request path
+// @return the decoded text, null if the escapes are malformed
+function decodePath(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (err) {
+    return null;
+  }
+}
+
+// Send a JSON response
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+// Read the JSON body of a request (empty object if none)
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString();
+      try {
+        resolve(text.trim() ? JSON.parse(text) : {});
+      } catch (err) {
+        reject(new Error('Invalid JSON body: ' + err.message));
       }
     });
+    req.on('error', reject);
+  });
+}
+
+// REST API of the Central System
+//   GET  /api/chargepoints                   charge points, their status and last MeterValues
+//   GET  /api/transactions                   transactions
+//   GET  /api/tags, PUT /api/tags            authorized idTags (JSON list, empty for every idTag)
+//   POST /api/chargepoints/<id>/<command>    send RemoteStartTransaction, RemoteStopTransaction, Reset,
+//                                            ChangeAvailability or TriggerMessage (JSON payload), returns the response
+async function handleApi(cs, req, res, pathname) {
+  const parts = pathname.split('/').slice(2).map(decodePath);
+  if (parts.includes(null)) {
+    return sendJson(res, 400, { error: 'Malformed path ' + pathname });
   }
-  // Serve JavaScript files from the 'js' folder
-  else if (req.url.startsWith('/js/')) {
-    const jsFilePath = path.join(__dirname, req.url);
-    fs.readFile(jsFilePath, (err, data) => {
-      if (err) {
+  try {
+    if (req.method === 'GET' && parts.length == 1 && parts[0] == 'chargepoints') {
+      return sendJson(res, 200, cs.chargePoints());
+    }
+    if (req.method === 'GET' && parts.length == 1 && parts[0] == 'transactions') {
+      return sendJson(res, 200, cs.transactions());
+    }
+    if (parts.length == 1 && parts[0] == 'tags' && (req.method === 'GET' || req.method === 'PUT')) {
+      if (req.method === 'PUT') {
+        cs.setTags(await readJson(req));
+      }
+      return sendJson(res, 200, cs.tags());
+    }
+    if (req.method === 'POST' && parts.length == 3 && parts[0] == 'chargepoints') {
+      const payload = await readJson(req);
+      return sendJson(res, 200, await cs.command(parts[1], parts[2], payload));
+    }
+    sendJson(res, 404, { error: 'Unknown API ' + req.method + ' ' + pathname });
+  } catch (err) {
+    // errorCode of a CALLERROR, NotConnected or Timeout
+    sendJson(res, err.errorCode ? 502 : 400, { error: err.message, errorCode: err.errorCode });
+  }
+}
+
+async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      port: { type: 'string', short: 'p', default: process.env.PORT || '3000' },
+      tags: { type: 'string', default: '' },
+      heartbeat: { type: 'string', default: '300' },
+      ca: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  if (args.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const { default: CentralSystem } = await import('./js/ocpp_central_system.js');
+  let ca = null;
+  if (args.ca) {
+    const pki = await import('./js/ocpp_pki.js');
+    ca = await pki.LocalCA.load(fs.readFileSync(path.join(args.ca, 'ca.key'), 'utf8'),
+      fs.readFileSync(path.join(args.ca, 'ca.pem'), 'utf8'));
+  }
+  const cs = new CentralSystem({
+    tags: args.tags.split(',').map(t => t.trim()).filter(t => t),
+    heartbeatInterval: Number(args.heartbeat),
+    ca: ca
+  });
+  cs.setLoggingCallback(msg => console.log(msg));
+
+  const server = http.createServer((req, res) => {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    const folder = Object.keys(STATIC_FOLDERS).find(prefix => pathname.startsWith(prefix));
+    // Handle the root path and serve index.html
+    if (pathname === '/' || pathname === '/index.html') {
+      serveFile(res, path.join(__dirname, 'index.html'), 'text/html');
+    }
+    else if (pathname === '/admin' || pathname === '/admin.html') {
+      serveFile(res, path.join(__dirname, 'admin.html'), 'text/html');
+    }
+    // Serve the files of the js, json and luxon folders (nothing outside of them)
+    else if (folder) {
+      const decoded = decodePath(pathname);
+      if (decoded === null) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('Malformed path');
+        return;
+      }
+      const file = path.join(__dirname, decoded);
+      if (!file.startsWith(path.join(__dirname, folder))) {
         res.writeHead(404, { 'Content-Type': 'text/plain' });
         res.end('File not found');
-      } else {
-        res.writeHead(200, { 'Content-Type': 'text/javascript' });
-        res.end(data);
+        return;
       }
+      serveFile(res, file, STATIC_FOLDERS[folder]);
+    }
+    else if (pathname.startsWith('/api/')) {
+      handleApi(cs, req, res, pathname);
+    }
+    // Stand-in for the diagnostics upload endpoint: GetDiagnostics with location http://localhost:3000/upload/
+    else if (req.url.startsWith('/upload') && (req.method === 'POST' || req.method === 'PUT')) {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const file = parseUpload(req, Buffer.concat(chunks));
+        if (!file) {
+          res.writeHead(400, { 'Content-Type': 'text/plain' });
+          res.end('No file');
+          return;
+        }
+        fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+        fs.writeFileSync(path.join(UPLOAD_DIR, file.name), file.data);
+        console.log(`Received ${file.name} (${file.data.length} bytes)`);
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('OK');
+      });
+    }
+    else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+    }
+  });
+
+  // OCPP endpoint: ws://localhost:<port>/ocpp/<charge point id>
+  const wss = new WebSocketServer({
+    noServer: true,
+    handleProtocols: protocols => protocols.has('ocpp1.6') ? 'ocpp1.6' : false
+  });
+  server.on('upgrade', (req, socket, head) => {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    const id = decodePath(pathname.slice(OCPP_PATH.length));
+    if (id === null) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    if (!pathname.startsWith(OCPP_PATH) || !id) {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, ws => {
+      const connection = cs.connect(id, data => ws.send(data), () => ws.close());
+      // the messages of a socket replaced by a reconnection are ignored
+      ws.on('message', data => {
+        if (cs.isCurrent(id, connection)) {
+          cs.receive(id, data.toString());
+        }
+      });
+      ws.on('close', () => cs.disconnect(id, connection));
     });
-  } 
-});
+  });
+
+  server.listen(Number(args.port), () => {
+    console.log(`Server is running on port ${args.port}`);
+    console.log(`Central System: ws://localhost:${args.port}${OCPP_PATH}, admin page: http://localhost:${args.port}/admin`);
+  });
+}
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
 });
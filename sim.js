@@ -0,0 +1,338 @@
+// Headless charge point simulator
+// Usage: node sim.js --url ws://localhost:8080/ocpp/ --id CP01 [options]
+// then type commands on stdin (or pipe a script), "help" to list them
+// An id pattern such as CP{001..500} starts a fleet of charge points (load tests)
+// --scenario runs a JSON or YAML scenario and exits with the result (0 if passed)
+// --replay replays a recorded session and exits with the result (0 if the server answered as recorded)
+const { parseArgs } = require('util');
+const readline = require('readline');
+const fs = require('fs');
+
+const USAGE = `Usage: node sim.js --url <OCPP server URL> --id <charge point id> [options]
+  -u, --url <url>           URL of the OCPP server (the charge point id is appended)
+  -i, --id <id>             charge point id, or id pattern (e.g. CP{001..500}) for a fleet
+  -n, --connectors <n>      number of connectors (default 2)
+  -s, --storage <file>      JSON file keeping the persistent state (configuration, queue...)
+  -t, --tag <idTag>         default idTag (default DEADBEEF)
+      --ocpp <version>      OCPP version: 1.6 or 2.0.1 (default 1.6)
+      --validation <mode>   schema validation of the messages sent and responses received:
+                            off, warn or strict (default warn), the requests of the server are always checked
+      --no-reconnect        do not reconnect when the connection is lost
+      --boot-delay <s>      delay before reconnecting after a Reset or a firmware update (default 5)
+      --fail <step>         simulate a failure of the firmware download, signature, install or diagnostics upload
+      --faults <file>       inject the faults of a profile (JSON, exported from the Faults tab)
+      --security-profile <n>
+                            security profile: 0 none, 1 Basic Auth, 2 TLS + Basic Auth, 3 TLS client certificate
+      --auth-key <key>      AuthorizationKey (Basic Auth password) of the profiles 1 and 2
+      --cert <file>         TLS client certificate (PEM) of the profile 3, until the server signs one
+      --key <file>          private key (PEM) of the client certificate
+      --ca <file>           CA certificates (PEM) trusted for the wss:// connection
+      --stagger <ms>        fleet: delay between two connections (default 100)
+      --scenario <file>     run a scenario (.json, .yaml or .yml) and exit
+      --replay <file>       replay the charge point side of a recorded session (trace export or frame log) and exit
+      --speed <factor>      replay: 1 keeps the recorded timing, 2 is twice faster, 0 does not wait (default 1)
+      --report <file>       write the scenario or replay report (JSON) to a file
+  -h, --help                show this help`;
+
+const COMMANDS = `Commands (c = connector id):
+  plug <c>                 plug an EV in
+  unplug <c>               unplug the EV (stops the transaction)
+  start <c> [idTag]        start a transaction
+  authstart <c> [idTag]    authorize then start a transaction
+  stop <c>                 stop the transaction
+  suspend <c> [ev|evse]    suspend charging
+  resume <c>               resume charging
+  fault <c> <errorCode>    report a fault
+  clear <c>                clear the fault
+  meter <c>                send a MeterValues
+  event <type> [techInfo]  send a SecurityEventNotification
+  csr                      send a SignCertificate with a new key
+  trace <file>             write the message trace (JSON Lines, HAR-like if the file ends with .har)
+  status                   show the charge point and connector status
+  heartbeat                send a Heartbeat
+  quit                     disconnect and exit`;
+
+const FLEET_COMMANDS = `Fleet commands:
+  charge [idTag]           plug an EV and start a transaction on every free connector
+  uncharge                 stop all the transactions and unplug the EVs
+  stats                    show the message rates and response times
+  status                   show the status of every charge point
+  quit                     disconnect and exit`;
+
+// period of the fleet statistics output (s)
+const FLEET_STATS_PERIOD = 10;
+
+function formatStats(s) {
+  return `${s.registered}/${s.stations} registered, ${s.inTransaction} charging - ` +
+    `sent ${s.sent} (${s.sendRate.toFixed(1)}/s), received ${s.received} (${s.receiveRate.toFixed(1)}/s), ` +
+    `${s.errors} CALLERROR - response time avg ${s.latency.avg.toFixed(0)}ms, p95 ${s.latency.p95}ms, max ${s.latency.max}ms`;
+}
+
+// ws options of the TLS connection (client certificate and trusted CAs)
+function tlsOptions(args) {
+  const options = {};
+  for (const name of ['cert', 'key', 'ca']) {
+    if (args[name]) {
+      options[name] = fs.readFileSync(args[name], 'utf8');
+    }
+  }
+  return options;
+}
+
+// security profile and Basic Auth password, kept in the configuration like the ones set by the server
+function applySecurity(cp, args) {
+  if (args['auth-key'] !== undefined) {
+    cp.configuration().store('AuthorizationKey', args['auth-key']);
+  }
+  if (args['security-profile'] !== undefined) {
+    cp.configuration().store('SecurityProfile', Number(args['security-profile']));
+  }
+}
+
+async function runFleet(args, url) {
+  const { default: Fleet } = await import('./js/ocpp_fleet.js');
+  const { createChargePoint, FileStorage } = await import('./js/ocpp_node.js');
+  const { MemoryStorage } = await import('./js/ocpp_storage.js');
+
+  // all the charge points share the same backend, each one under its own key prefix
+  const local = args.storage ? new FileStorage(args.storage) : new MemoryStorage();
+  const fleet = new Fleet(id => {
+    const cp = createChargePoint(Number(args.connectors), { local: local, prefix: id + '.', wsOptions: tlsOptions(args) });
+    applySecurity(cp, args);
+    cp.setProtocolVersion('ocpp' + args.ocpp);
+    cp.setValidationMode(args.validation);
+    cp.setReconnectSettings({ enabled: !args['no-reconnect'] });
+    return cp;
+  });
+  fleet.setLoggingCallback(msg => console.log(msg));
+  fleet.start(url, args.id, Number(args.stagger));
+  setInterval(() => console.log('[FLEET] ' + formatStats(fleet.stats())), FLEET_STATS_PERIOD * 1000);
+
+  const quit = () => {
+    fleet.stop();
+    setTimeout(() => process.exit(0), 200);
+  };
+  process.on('SIGINT', quit);
+
+  const rl = readline.createInterface({ input: process.stdin });
+  rl.on('line', line => {
+    const [cmd, arg] = line.trim().split(/\s+/);
+    switch (cmd) {
+      case 'charge':
+        fleet.startCharging(arg || args.tag);
+        break;
+      case 'uncharge':
+        fleet.stopCharging();
+        break;
+      case 'stats':
+        console.log(formatStats(fleet.stats()));
+        break;
+      case 'status':
+        for (const [id, cp] of fleet.chargePoints()) {
+          console.log(id + ': ' + cp.status() + ' - ' +
+            cp.connectors().map(conn => conn.id() + ': ' + conn.status()).join(', '));
+        }
+        break;
+      case 'quit':
+      case 'exit':
+        quit();
+        break;
+      case undefined:
+      case '':
+        break;
+      default:
+        console.log(FLEET_COMMANDS);
+        break;
+    }
+  });
+}
+
+async function runScenario(cp, args, url) {
+  const { default: ScenarioRunner, formatReport } = await import('./js/ocpp_scenario.js');
+  const text = fs.readFileSync(args.scenario, 'utf8');
+  const scenario = /\.ya?ml$/.test(args.scenario) ? require('yaml').parse(text) : JSON.parse(text);
+
+  const runner = new ScenarioRunner(cp, url, args.id);
+  runner.setLoggingCallback(msg => console.log(msg));
+  const report = await runner.run(scenario);
+  cp.wsDisconnect();
+  console.log(formatReport(report));
+  if (args.report) {
+    fs.writeFileSync(args.report, JSON.stringify(report, null, 2));
+  }
+  setTimeout(() => process.exit(report.passed ? 0 : 1), 200);
+}
+
+async function runReplay(cp, args, url) {
+  const { default: TraceReplay, loadSession, formatReport } = await import('./js/ocpp_replay.js');
+  const records = loadSession(fs.readFileSync(args.replay, 'utf8'));
+
+  const replay = new TraceReplay(cp, url, args.id);
+  replay.setLoggingCallback(msg => console.log(msg));
+  process.on('SIGINT', () => replay.stop());
+  const report = await replay.run(records, Number(args.speed));
+  console.log(formatReport(report));
+  if (args.report) {
+    fs.writeFileSync(args.report, JSON.stringify(report, null, 2));
+  }
+  setTimeout(() => process.exit(report.passed ? 0 : 1), 200);
+}
+
+async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      url: { type: 'string', short: 'u' },
+      id: { type: 'string', short: 'i' },
+      connectors: { type: 'string', short: 'n', default: '2' },
+      storage: { type: 'string', short: 's' },
+      tag: { type: 'string', short: 't', default: 'DEADBEEF' },
+      ocpp: { type: 'string', default: '1.6' },
+      validation: { type: 'string', default: 'warn' },
+      'no-reconnect': { type: 'boolean', default: false },
+      'boot-delay': { type: 'string', default: '5' },
+      fail: { type: 'string', default: 'none' },
+      faults: { type: 'string' },
+      'security-profile': { type: 'string' },
+      'auth-key': { type: 'string' },
+      cert: { type: 'string' },
+      key: { type: 'string' },
+      ca: { type: 'string' },
+      stagger: { type: 'string', default: '100' },
+      scenario: { type: 'string' },
+      replay: { type: 'string' },
+      speed: { type: 'string', default: '1' },
+      report: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  if (args.help || !args.url || !args.id) {
+    console.log(USAGE);
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const url = args.url.endsWith('/') ? args.url : args.url + '/';
+  const { expandIdPattern } = await import('./js/ocpp_fleet.js');
+  if (expandIdPattern(args.id).length > 1) {
+    return runFleet(args, url);
+  }
+
+  const ocpp = await import('./js/ocpp_constants.js');
+  const { createChargePoint, loadSchemas } = await import('./js/ocpp_node.js');
+
+  const cp = createChargePoint(Number(args.connectors), { storageFile: args.storage, wsOptions: tlsOptions(args) });
+  applySecurity(cp, args);
+  cp.setLoggingCallback(msg => console.log(msg));
+  cp.setStatusChangeCallback((s, msg) => console.log('[CP] ' + s + (msg ? ' ' + msg : '')));
+  cp.setProtocolVersion('ocpp' + args.ocpp);
+  cp.setValidationMode(args.validation);
+  cp.setReconnectSettings({ enabled: !args['no-reconnect'] });
+  cp.setMaintenanceSettings({ rebootSeconds: Number(args['boot-delay']), failure: args.fail });
+  if (args.faults) {
+    cp.faults().importProfile(fs.readFileSync(args.faults, 'utf8'));
+  }
+  await loadSchemas(cp);
+  if (args.scenario) {
+    return runScenario(cp, args, url);
+  }
+  if (args.replay) {
+    return runReplay(cp, args, url);
+  }
+
+  cp.wsConnect(url, args.id);
+
+  const quit = () => {
+    cp.wsDisconnect();
+    // let the close frame go
+    setTimeout(() => process.exit(0), 200);
+  };
+  process.on('SIGINT', quit);
+
+  const rl = readline.createInterface({ input: process.stdin });
+  rl.on('line', line => {
+    const [cmd, c, arg] = line.trim().split(/\s+/);
+    const tag = arg || args.tag;
+    if (c !== undefined && cmd != 'event' && cmd != 'trace' && !cp.connector(Number(c))) {
+      console.log('Unknown connector ' + c);
+      return;
+    }
+    switch (cmd) {
+      case 'plug':
+        cp.plugIn(Number(c));
+        break;
+      case 'unplug':
+        cp.unplug(Number(c));
+        break;
+      case 'start':
+        cp.startTransaction(tag, Number(c));
+        break;
+      case 'authstart':
+        cp.authorizeAndStart(Number(c), tag).catch(err => console.log(err.message));
+        break;
+      case 'stop':
+        cp.stopTransaction(cp.connector(Number(c)).transactionTag(), Number(c));
+        break;
+      case 'suspend':
+        cp.suspendCharging(Number(c), arg == 'evse' ? ocpp.CONN_SUSPENDED_EVSE : ocpp.CONN_SUSPENDED_EV);
+        break;
+      case 'resume':
+        cp.suspendCharging(Number(c), ocpp.CONN_CHARGING);
+        break;
+      case 'fault':
+        cp.setConnectorFault(Number(c), arg || 'OtherError');
+        break;
+      case 'clear':
+        cp.clearConnectorFault(Number(c));
+        break;
+      case 'meter':
+        cp.sendMeterValue(Number(c));
+        break;
+      case 'event':
+        if (!ocpp.SECURITY_EVENTS.includes(c)) {
+          console.log('Security events: ' + ocpp.SECURITY_EVENTS.join(', '));
+          break;
+        }
+        cp.sendSecurityEvent(c, line.trim().split(/\s+/).slice(2).join(' '));
+        break;
+      case 'csr':
+        cp.signCertificate();
+        break;
+      case 'trace':
+        if (!c) {
+          console.log('Missing file');
+          break;
+        }
+        fs.writeFileSync(c, cp.trace().export(c.endsWith('.har') ? ocpp.TRACE_FORMAT_HAR : ocpp.TRACE_FORMAT_JSONL));
+        console.log(cp.trace().records().length + ' message(s) written to ' + c);
+        break;
+      case 'status':
+        console.log('Charge point: ' + cp.status() + ', ' + cp.queue().length() + ' queued message(s), firmware ' +
+          cp.firmwareVersion() + ' (' + cp.firmwareStatus() + ')');
+        for (let i = 0; i <= cp.connectorCount(); i++) {
+          const conn = cp.connector(i);
+          console.log('Connector ' + i + ': ' + conn.status() + ' (' + conn.errorCode() + ')' +
+            (conn.hasTransaction() ? ', transaction ' + conn.transactionId() : '') +
+            (conn.reservation() ? ', reserved for ' + conn.reservation().idTag + ' (reservation ' + conn.reservation().reservationId + ')' : '') +
+            (i > 0 ? ', ' + cp.meterValue(i) + ' Wh' : ''));
+        }
+        break;
+      case 'heartbeat':
+        cp.sendHeartbeat();
+        break;
+      case 'quit':
+      case 'exit':
+        quit();
+        break;
+      case undefined:
+      case '':
+        break;
+      default:
+        console.log(COMMANDS);
+        break;
+    }
+  });
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});